@@ -0,0 +1,272 @@
+import { parseArgs } from 'node:util'
+import { CONFIG } from './config.js'
+import { LEVELS } from './data/levels.js'
+import { parsePageSelection } from './utils/pages.js'
+
+/**
+ * Formats `export` can write.
+ */
+export const EXPORT_FORMATS = ['json', 'anki', 'sqlite']
+
+/**
+ * Break detectors `--detector` can select.
+ */
+export const BREAK_DETECTORS = ['pixel', 'text']
+
+/**
+ * Options shared by every command that works page by page.
+ */
+const PAGE_OPTIONS = ['pages', 'page', 'all', 'force', 'retries', 'keep-going', 'fail-fast']
+
+/**
+ * Options every command takes; they choose and override the configuration.
+ */
+const GLOBAL_OPTIONS = ['config', 'profile', 'level', 'pdf', 'output-dir']
+
+/**
+ * Subcommands with the options each one accepts. `stage` names the build
+ * manifest stage a plain `--force` rebuilds; `run` takes `--force-stage` instead.
+ * `thematic` commands select from the thematic pages instead of the Wortliste pages.
+ */
+export const COMMANDS = {
+  run: {
+    description: 'Run the whole pipeline on the selected pages',
+    options: [...PAGE_OPTIONS, 'force-stage', 'threshold', 'detector'],
+  },
+  render: {
+    description: 'Render PDF pages to PNG',
+    stage: 'render',
+    options: PAGE_OPTIONS,
+  },
+  detect: {
+    description: 'Detect entry breaks (NNN-l.txt, NNN-r.txt)',
+    stage: 'breaks',
+    options: [...PAGE_OPTIONS, 'threshold', 'detector'],
+  },
+  'compare-breaks': {
+    description: 'Report where the pixel and text break detectors disagree',
+    options: ['pages', 'page', 'all', 'retries', 'keep-going', 'fail-fast', 'threshold'],
+  },
+  extract: {
+    description: 'Extract text of the detected ranges (NNN-l.json, NNN-r.json)',
+    stage: 'extract',
+    options: PAGE_OPTIONS,
+  },
+  crop: {
+    description: 'Crop one image per detected range (NNN-c-i.png)',
+    stage: 'crop',
+    options: PAGE_OPTIONS,
+  },
+  annotate: {
+    description: 'Draw the detected ranges onto the page (NNN-annot.png)',
+    stage: 'annotate',
+    options: PAGE_OPTIONS,
+  },
+  check: {
+    description: 'Rank suspect ranges for review (reports/segmentation-review.json)',
+    options: ['pages', 'page', 'all', 'retries', 'keep-going', 'fail-fast'],
+  },
+  benchmark: {
+    description: 'Time text extraction per page (reports/extraction-benchmark.json)',
+    options: ['pages', 'page', 'all', 'retries', 'keep-going', 'fail-fast'],
+  },
+  groups: {
+    description: 'Extract the thematic word groups (thematic-groups.json/.csv)',
+    stage: 'groups',
+    thematic: true,
+    options: PAGE_OPTIONS,
+  },
+  edit: {
+    description: 'Edit the break overrides of a page in the browser',
+    options: ['page', 'port'],
+  },
+  aggregate: {
+    description: 'Write page CSVs, all.csv, reports and the UI from cached data',
+    stage: 'csv',
+    options: PAGE_OPTIONS,
+  },
+  export: {
+    description: 'Write all.json/all.ndjson, wortliste.apkg and wortliste.sqlite',
+    options: ['format'],
+  },
+}
+
+/**
+ * Every option understood by any command, in `util.parseArgs` form.
+ */
+const OPTIONS = {
+  pages: { type: 'string' },
+  page: { type: 'string' },
+  all: { type: 'boolean' },
+  force: { type: 'boolean' },
+  'force-stage': { type: 'string', multiple: true },
+  threshold: { type: 'string' },
+  detector: { type: 'string' },
+  format: { type: 'string', multiple: true },
+  retries: { type: 'string' },
+  'keep-going': { type: 'boolean' },
+  'fail-fast': { type: 'boolean' },
+  config: { type: 'string' },
+  profile: { type: 'string' },
+  level: { type: 'string' },
+  pdf: { type: 'string' },
+  'output-dir': { type: 'string' },
+  port: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+}
+
+/**
+ * @typedef {object} CommandLine
+ * @property {keyof typeof COMMANDS|'help'} command - Subcommand to run.
+ * @property {string|null} selection - Page selection such as "16-20,42"; `null` selects all
+ *   Wortliste pages. Resolved with {@link resolvePages} once the configuration is loaded.
+ * @property {boolean} force - Rebuild every artifact of the selected pages.
+ * @property {string[]} forceStages - Manifest stages to rebuild regardless of their inputs.
+ * @property {string[]} formats - Formats written by `export`.
+ * @property {boolean} failFast - Stop at the first failed page instead of processing the rest.
+ * @property {number} [port] - Port of the `edit` server.
+ * @property {string} [configFile] - Configuration file given with `--config`.
+ * @property {string} [profile] - Configuration profile given with `--profile`.
+ * @property {import('./config-file.js').Settings} overrides - Settings given as flags,
+ *   overriding the configuration file.
+ */
+
+/**
+ * Parses the command-line arguments. Without a subcommand, `--all`, `--pages`
+ * and `--page` run the whole pipeline as before.
+ *
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {CommandLine} The parsed command line.
+ * @throws {Error} On unknown commands or options, options the command does not
+ *   take and malformed values.
+ */
+export function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+    strict: true,
+  })
+
+  const [command = 'run', ...extra] = positionals
+  const parsed = {
+    command,
+    selection: null,
+    force: false,
+    forceStages: [],
+    formats: EXPORT_FORMATS,
+    failFast: false,
+    configFile: values.config,
+    profile: values.profile,
+    overrides: {},
+  }
+  if (values.help || argv.length === 0) return { ...parsed, command: 'help' }
+
+  const spec = COMMANDS[command]
+  if (!spec) {
+    throw new Error(
+      `Unknown command "${command}" (expected one of ${Object.keys(COMMANDS).join(', ')})`,
+    )
+  }
+  if (extra.length > 0) throw new Error(`Unexpected argument "${extra[0]}"`)
+  for (const name of Object.keys(values)) {
+    if (!spec.options.includes(name) && !GLOBAL_OPTIONS.includes(name)) {
+      throw new Error(`Option --${name} is not supported by "${command}"`)
+    }
+  }
+
+  const selections = ['all', 'pages', 'page'].filter(name => values[name] !== undefined)
+  if (selections.length > 1) {
+    throw new Error(`Use only one of ${selections.map(name => `--${name}`).join(', ')}`)
+  }
+  parsed.selection = values.pages ?? values.page ?? null
+
+  if (spec.stage) {
+    parsed.forceStages = values.force ? [spec.stage] : []
+  } else {
+    parsed.force = values.force ?? false
+    parsed.forceStages = (values['force-stage'] ?? []).flatMap(list => list.split(','))
+  }
+
+  if (values.threshold === 'auto') {
+    parsed.overrides.adaptiveThreshold = true
+  } else if (values.threshold !== undefined) {
+    const threshold = Number(values.threshold)
+    if (!Number.isInteger(threshold) || threshold < 1) {
+      throw new Error(
+        `Invalid threshold "${values.threshold}" (expected a positive integer or auto)`,
+      )
+    }
+    parsed.overrides.breakThreshold = threshold
+    parsed.overrides.adaptiveThreshold = false
+  }
+
+  if (values.detector !== undefined) {
+    if (!BREAK_DETECTORS.includes(values.detector)) {
+      throw new Error(
+        `Unknown detector "${values.detector}" (expected one of ${BREAK_DETECTORS.join(', ')})`,
+      )
+    }
+    parsed.overrides.breakDetector = values.detector
+  }
+
+  if (values.retries !== undefined) {
+    const retries = Number(values.retries)
+    if (!Number.isInteger(retries) || retries < 0) {
+      throw new Error(`Invalid retry count "${values.retries}" (expected a non-negative integer)`)
+    }
+    parsed.overrides.pageRetries = retries
+  }
+  if (values.level !== undefined) {
+    parsed.overrides.level = values.level.toUpperCase()
+    if (!Object.hasOwn(LEVELS, parsed.overrides.level)) {
+      throw new Error(
+        `Unknown level "${values.level}" (expected one of ${Object.keys(LEVELS).join(', ')})`,
+      )
+    }
+  }
+  if (values.pdf !== undefined) parsed.overrides.pdfFile = values.pdf
+  if (values['output-dir'] !== undefined) parsed.overrides.outputDir = values['output-dir']
+
+  if (command === 'edit' && values.page === undefined) {
+    throw new Error('The editor works on one page – select it with --page <number>')
+  }
+  if (values.port !== undefined) {
+    parsed.port = Number(values.port)
+    if (!Number.isInteger(parsed.port) || parsed.port < 0 || parsed.port > 65535) {
+      throw new Error(`Invalid port "${values.port}" (expected 0-65535)`)
+    }
+  }
+
+  if (values['keep-going'] && values['fail-fast']) {
+    throw new Error('Use only one of --keep-going, --fail-fast')
+  }
+  parsed.failFast = values['fail-fast'] ?? false
+
+  if (values.format) {
+    parsed.formats = [...new Set(values.format.flatMap(list => list.split(',')))]
+    for (const format of parsed.formats) {
+      if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Unknown format "${format}" (expected one of ${EXPORT_FORMATS.join(', ')})`)
+      }
+    }
+  }
+
+  return parsed
+}
+
+/**
+ * Resolves a page selection against the configured Wortliste pages, or the
+ * thematic pages for a `thematic` command.
+ *
+ * @param {string|null} selection - Selection from {@link parseCommandLine}; `null` selects all pages.
+ * @param {{thematic?: boolean}} [command] - Spec of the command from {@link COMMANDS}.
+ * @returns {number[]} Page numbers in ascending order.
+ * @throws {Error} When the selection is malformed or outside the configured pages.
+ */
+export function resolvePages(selection, { thematic = false } = {}) {
+  const bounds = thematic
+    ? { min: CONFIG.THEMATIC_START, max: CONFIG.THEMATIC_END }
+    : { min: CONFIG.PAGE_START, max: CONFIG.PAGE_END }
+  return parsePageSelection(selection ?? `${bounds.min}-${bounds.max}`, bounds)
+}
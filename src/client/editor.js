@@ -0,0 +1,211 @@
+// Page state from /api/state; the overrides of each column are edited in place
+let state = null
+// Overrides as last saved, to tell whether a column has unsaved changes
+const saved = { l: [], r: [] }
+// Latest preview request per column; older answers are dropped
+const requests = { l: 0, r: 0 }
+
+// Screen pixels within which a click removes a forced break instead of adding one
+const REMOVE_DISTANCE = 6
+
+const COLUMN_NAMES = { l: 'Left column', r: 'Right column' }
+
+const escapeHtml = text => {
+  if (!text) return ''
+  return text.replace(/[&<>"']/g, match => {
+    const escape = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;',
+    }
+    return escape[match]
+  })
+}
+
+const setStatus = (message, isError = false) => {
+  const status = document.getElementById('status')
+  status.textContent = message
+  status.className = `text-sm ${isError ? 'text-red-700' : 'text-gray-800'}`
+}
+
+const api = async (path, body) => {
+  const response = await fetch(
+    path,
+    body
+      ? {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        }
+      : { method: 'GET' },
+  )
+  const data = await response.json()
+  if (!response.ok) throw new Error(data.error ?? `HTTP ${response.status}`)
+  return data
+}
+
+const isDirty = column => state.columns[column].overrides.join() !== saved[column].join()
+
+// Image pixels per screen pixel of the displayed page
+const scale = () => {
+  const image = document.getElementById('page-image')
+  return image.clientWidth / image.naturalWidth
+}
+
+const renderOverlay = () => {
+  const page = document.getElementById('page')
+  page.querySelectorAll('.overlay').forEach(element => element.remove())
+  const s = scale()
+
+  for (const [column, { CROP_X, FULL_WIDTH, ranges, overrides }] of Object.entries(state.columns)) {
+    const left = CROP_X * s
+    const width = (FULL_WIDTH - CROP_X) * s
+    ranges.forEach(([y0, y1], i) => {
+      const box = document.createElement('div')
+      box.className = `overlay absolute pointer-events-none border border-goethe-blue ${i % 2 === 0 ? 'bg-blue-300/20' : 'bg-green-300/20'}`
+      Object.assign(box.style, {
+        left: `${left}px`,
+        width: `${width}px`,
+        top: `${(state.yOffset + y0) * s}px`,
+        height: `${(y1 - y0) * s}px`,
+      })
+      box.title = `${column}-${i}: ${y0}–${y1}`
+      page.appendChild(box)
+    })
+    for (const y of overrides) {
+      const line = document.createElement('div')
+      line.className = 'overlay absolute pointer-events-none bg-red-600'
+      Object.assign(line.style, {
+        left: `${left}px`,
+        width: `${width}px`,
+        top: `${(state.yOffset + y) * s - 1}px`,
+        height: '2px',
+      })
+      page.appendChild(line)
+    }
+  }
+}
+
+const renderColumns = () => {
+  document.getElementById('columns').innerHTML = Object.entries(state.columns)
+    .map(
+      ([column, { overrides, ranges, regions }]) => `
+        <section class="bg-white rounded-lg shadow p-4">
+          <div class="flex items-center gap-2 mb-2">
+            <h2 class="text-lg font-semibold text-goethe-blue grow">${COLUMN_NAMES[column]}</h2>
+            <button data-reset="${column}" class="px-3 py-1 rounded border text-sm disabled:opacity-40" ${isDirty(column) ? '' : 'disabled'}>Reset</button>
+            <button data-save="${column}" class="px-3 py-1 rounded bg-goethe-blue text-white text-sm disabled:opacity-40" ${isDirty(column) && state.editable ? '' : 'disabled'}>Save</button>
+          </div>
+          <p class="text-sm text-gray-600 mb-3">
+            Forced breaks: ${overrides.length > 0 ? overrides.join(', ') : 'none'}${isDirty(column) ? ' (unsaved)' : ''}
+          </p>
+          <ol class="space-y-2">
+            ${regions
+              .map(
+                ({ definition, example }, i) => `
+                  <li class="border-l-4 ${i % 2 === 0 ? 'border-blue-300' : 'border-green-300'} pl-2">
+                    <div class="text-xs text-gray-500">#${i} · ${ranges[i][0]}–${ranges[i][1]}</div>
+                    <div class="grid grid-cols-2 gap-2 text-sm">
+                      <pre class="whitespace-pre-wrap font-sans font-medium">${escapeHtml(definition) || '<span class="text-red-600">(no definition)</span>'}</pre>
+                      <pre class="whitespace-pre-wrap font-sans">${escapeHtml(example)}</pre>
+                    </div>
+                  </li>`,
+              )
+              .join('')}
+          </ol>
+        </section>`,
+    )
+    .join('')
+}
+
+const render = () => {
+  renderOverlay()
+  renderColumns()
+}
+
+const preview = async column => {
+  const request = ++requests[column]
+  setStatus(`Segmenting ${COLUMN_NAMES[column].toLowerCase()}…`)
+  try {
+    const result = await api('api/preview', {
+      column,
+      overrides: state.columns[column].overrides,
+    })
+    if (request !== requests[column]) return
+    Object.assign(state.columns[column], result)
+    render()
+    setStatus(`${result.ranges.length} ranges in the ${COLUMN_NAMES[column].toLowerCase()}`)
+  } catch (error) {
+    setStatus(error.message, true)
+  }
+}
+
+const save = async column => {
+  setStatus(`Saving and reprocessing page ${state.page}…`)
+  try {
+    const { overrides } = await api('api/save', {
+      column,
+      overrides: state.columns[column].overrides,
+    })
+    saved[column] = overrides
+    render()
+    setStatus(`Saved the ${COLUMN_NAMES[column].toLowerCase()} and reprocessed page ${state.page}`)
+  } catch (error) {
+    setStatus(error.message, true)
+  }
+}
+
+// Adds a forced break at the clicked row, or removes the one next to it
+const toggleBreak = event => {
+  const bounds = event.currentTarget.getBoundingClientRect()
+  const s = scale()
+  const x = (event.clientX - bounds.left) / s
+  const y = Math.round((event.clientY - bounds.top) / s - state.yOffset)
+  const column = Object.keys(state.columns).find(
+    key => x >= state.columns[key].CROP_X && x < state.columns[key].FULL_WIDTH,
+  )
+  if (!column || y < 0 || y >= state.imageHeight) return
+
+  const { overrides } = state.columns[column]
+  const near = overrides.findIndex(row => Math.abs(row - y) <= REMOVE_DISTANCE / s)
+  if (near >= 0) overrides.splice(near, 1)
+  else overrides.push(y)
+  overrides.sort((a, b) => a - b)
+  render()
+  preview(column)
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    state = await api('api/state')
+  } catch (error) {
+    setStatus(`Failed to load the page: ${error.message}`, true)
+    return
+  }
+  for (const column of Object.keys(state.columns)) {
+    saved[column] = [...state.columns[column].overrides]
+  }
+
+  document.title = `${state.title} – page ${state.page}`
+  document.getElementById('title').textContent = `${state.title}, page ${state.page}`
+  if (!state.editable) {
+    setStatus('The overrides come from the configuration profile – saving is disabled', true)
+  }
+
+  const image = document.getElementById('page-image')
+  if (image.complete) render()
+  else image.addEventListener('load', render)
+  window.addEventListener('resize', renderOverlay)
+  document.getElementById('page').addEventListener('click', toggleBreak)
+  document.getElementById('columns').addEventListener('click', event => {
+    const { save: saveColumn, reset } = event.target.dataset
+    if (saveColumn) save(saveColumn)
+    if (reset) {
+      state.columns[reset].overrides = [...saved[reset]]
+      render()
+      preview(reset)
+    }
+  })
+})
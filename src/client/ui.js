@@ -1,6 +1,14 @@
-const PDF_URL =
-  'https://web.archive.org/web/20250601000000/https://www.goethe.de/pro/relaunch/prf/de/Goethe-Zertifikat_B1_Wortliste.pdf'
-const PDF_FILE = 'Goethe-Zertifikat_B1_Wortliste.pdf'
+// Word list shown; replaced by level.json, which the pipeline writes next to the CSVs
+let level = {
+  level: 'B1',
+  title: 'Goethe Zertifikat B1 Wortliste',
+  pages: { start: 16, end: 102 },
+  source: {
+    file: 'Goethe-Zertifikat_B1_Wortliste.pdf',
+    url: 'https://web.archive.org/web/20250601000000/https://www.goethe.de/pro/relaunch/prf/de/Goethe-Zertifikat_B1_Wortliste.pdf',
+  },
+  levels: [],
+}
 
 let allData = []
 let filteredData = []
@@ -53,6 +61,8 @@ const parseCSV = csvText => {
       data.push({
         definition: fields[0],
         example: fields[1],
+        lexical: parseLexical(fields[2]),
+        id: fields[3] || null,
       })
     }
   }
@@ -70,6 +80,36 @@ const parseCSV = csvText => {
   return { data, metadata }
 }
 
+// Third CSV column holds the structured definition parse as JSON (may be absent)
+const parseLexical = field => {
+  if (!field) return null
+  try {
+    return JSON.parse(field)
+  } catch {
+    return null
+  }
+}
+
+const GENDER_LABELS = { m: 'masc.', f: 'fem.', n: 'neut.' }
+
+const formatLexical = lexical => {
+  if (!lexical) return ''
+  const parts = [lexical.pos]
+  const genders = lexical.forms
+    .filter(form => form.gender)
+    .map(form =>
+      form.gender
+        .split('/')
+        .map(g => GENDER_LABELS[g])
+        .join('/'),
+    )
+  if (genders.length > 0) parts.push(genders.join(', '))
+  const plurals = lexical.forms.map(form => form.inflection?.plural).filter(Boolean)
+  if (plurals.length > 0) parts.push(`Pl. ${plurals.join(', ')}`)
+  if (lexical.regions.length > 0) parts.push(lexical.regions.join(', '))
+  return parts.join(' · ')
+}
+
 const generateStatsHTML = () => {
   return `
     <div class="text-2xl font-bold text-goethe-blue">${filteredData.length}</div>
@@ -83,9 +123,10 @@ const generateTableContentHTML = () => {
     .map((item, index) => {
       const bgClass = index % 2 === 0 ? 'bg-white' : 'bg-gray-50'
       return `
-            <tr class="${bgClass} hover:bg-blue-50 transition-colors">
+            <tr ${item.id ? `id="${escapeHtml(item.id)}" ` : ''}class="${bgClass} hover:bg-blue-50 transition-colors">
               <td class="px-6 py-4 text-sm text-gray-900 whitespace-pre-line align-top leading-relaxed">
                 ${escapeHtml(item.definition)}
+                ${item.lexical ? `<div class="text-xs text-gray-400 mt-1">${escapeHtml(formatLexical(item.lexical))}</div>` : ''}
               </td>
               <td class="px-6 py-4 text-sm text-gray-700 whitespace-pre-line align-top leading-relaxed">
                 ${escapeHtml(item.example)}
@@ -145,11 +186,17 @@ const updateFilter = newFilter => {
 }
 
 const generateTemplate = () => {
-  const pageOptions = Array.from({ length: 87 }, (_, i) => {
-    const pageNum = i + 16
+  const pageOptions = Array.from({ length: level.pages.end - level.pages.start + 1 }, (_, i) => {
+    const pageNum = i + level.pages.start
     const selected = currentPage == pageNum ? 'selected' : ''
     return `<option value="${pageNum}" ${selected}>Page ${pageNum}</option>`
   }).join('')
+  const levelOptions = level.levels
+    .map(
+      ({ level: name, title, href }) =>
+        `<option value="${escapeHtml(href)}" ${name === level.level ? 'selected' : ''}>${escapeHtml(title)}</option>`,
+    )
+    .join('')
 
   return `
           <div class="bg-white rounded-lg shadow-lg overflow-hidden">
@@ -157,22 +204,38 @@ const generateTemplate = () => {
             <div class="bg-goethe-blue text-white px-6 py-8">
               <div class="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
                 <div class="flex-1">
-                  <h1 class="text-3xl md:text-4xl font-bold mb-2">Goethe Zertifikat B1 Wortliste</h1>
+                  <h1 class="text-3xl md:text-4xl font-bold mb-2">${escapeHtml(level.title)}</h1>
                   <p class="text-goethe-light text-sm opacity-90">${escapeHtml(metadata.version)}</p>
                   <h2 class="text-xl md:text-2xl font-semibold mt-4 text-white">
-                    ${currentPage === 'all' ? 'Pages 16-102 (Complete)' : `Page ${parseInt(currentPage)}`}
+                    ${currentPage === 'all' ? `Pages ${level.pages.start}-${level.pages.end} (Complete)` : `Page ${parseInt(currentPage)}`}
                   </h2>
                 </div>
-                <div class="text-right">
-                  <label for="page-select" class="block text-sm font-medium text-goethe-light mb-2">Select Page</label>
-                  <select
-                    id="page-select"
-                    class="px-3 py-2 border border-goethe-light rounded-md bg-white text-gray-900 focus:ring-2 focus:ring-white focus:border-white"
-                    onchange="loadPage(this.value)"
-                  >
-                    <option value="all" ${currentPage === 'all' ? 'selected' : ''}>All Pages</option>
-                    ${pageOptions}
-                  </select>
+                <div class="text-right space-y-3">
+                  ${
+                    level.levels.length > 1
+                      ? `<div>
+                    <label for="level-select" class="block text-sm font-medium text-goethe-light mb-2">Select Level</label>
+                    <select
+                      id="level-select"
+                      class="px-3 py-2 border border-goethe-light rounded-md bg-white text-gray-900 focus:ring-2 focus:ring-white focus:border-white"
+                      onchange="window.location.href = this.value"
+                    >
+                      ${levelOptions}
+                    </select>
+                  </div>`
+                      : ''
+                  }
+                  <div>
+                    <label for="page-select" class="block text-sm font-medium text-goethe-light mb-2">Select Page</label>
+                    <select
+                      id="page-select"
+                      class="px-3 py-2 border border-goethe-light rounded-md bg-white text-gray-900 focus:ring-2 focus:ring-white focus:border-white"
+                      onchange="loadPage(this.value)"
+                    >
+                      <option value="all" ${currentPage === 'all' ? 'selected' : ''}>All Pages</option>
+                      ${pageOptions}
+                    </select>
+                  </div>
                 </div>
               </div>
             </div>
@@ -213,7 +276,7 @@ const generateTemplate = () => {
                 <div class="space-y-2">
                   <p>
                     All text extracted from
-                    <a href="${PDF_URL}" class="text-goethe-blue hover:underline font-medium">${PDF_FILE}</a>
+                    <a href="${escapeHtml(level.source.url)}" class="text-goethe-blue hover:underline font-medium">${escapeHtml(level.source.file)}</a>
                     (© 2016 Goethe-Institut und ÖSD) for flashcard creation.
                   </p>
                   <p>
@@ -227,7 +290,7 @@ const generateTemplate = () => {
                 <div class="text-right">
                   <a
                     href="all.csv"
-                    download="goethe-b1-wortliste.csv"
+                    download="goethe-${level.level.toLowerCase()}-wortliste.csv"
                     class="inline-flex items-center px-4 py-2 text-sm font-medium text-goethe-blue hover:bg-goethe-blue hover:text-white transition-colors rounded-md border border-goethe-blue"
                   >
                     <svg class="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -302,7 +365,19 @@ const loadPage = async page => {
   }
 }
 
+// Reads level.json; older outputs without it are B1
+const loadLevel = async () => {
+  try {
+    const response = await fetch('level.json')
+    if (response.ok) level = await response.json()
+  } catch (error) {
+    console.warn('level.json not available, assuming B1:', error)
+  }
+  document.title = level.title
+}
+
 // Initialize - load all pages by default
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  await loadLevel()
   loadPage('all')
 })
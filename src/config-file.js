@@ -0,0 +1,265 @@
+import { promises as fs } from 'fs'
+import { BREAK_OVERRIDES, CONFIG, readBreakOverrides } from './config.js'
+import { LEVELS } from './data/levels.js'
+import { fileExists, readJSON } from './utils/fs.js'
+import { validateSchema } from './utils/schema.js'
+
+/**
+ * Configuration file read from the working directory when `--config` is not given.
+ */
+export const CONFIG_FILE = 'wortliste.config.json'
+
+/**
+ * Scalar settings and the {@link CONFIG} keys they set.
+ */
+const SETTINGS = {
+  pdfFile: 'PDF_FILE',
+  pdfUrl: 'PDF_URL',
+  pdfUrlFallback: 'PDF_URL_FALLBACK',
+  dpi: 'PDF_DPI',
+  pageStart: 'PAGE_START',
+  pageEnd: 'PAGE_END',
+  thematicStart: 'THEMATIC_START',
+  thematicEnd: 'THEMATIC_END',
+  yOffset: 'Y_OFFSET',
+  imageHeight: 'IMAGE_HEIGHT',
+  detectLayout: 'DETECT_LAYOUT',
+  breakDetector: 'BREAK_DETECTOR',
+  breakThreshold: 'BREAK_THRESHOLD',
+  whiteThreshold: 'WHITE_THRESHOLD',
+  adaptiveThreshold: 'ADAPTIVE_THRESHOLD',
+  normalize: 'NORMALIZE',
+  pageRetries: 'PAGE_RETRIES',
+  outputDir: 'OUTPUT_DIR',
+}
+
+/**
+ * Column settings and the {@link CONFIG} keys they set.
+ */
+const COLUMNS = { leftColumn: 'LEFT_COLUMN', rightColumn: 'RIGHT_COLUMN' }
+const COLUMN_SETTINGS = {
+  cropX: 'CROP_X',
+  cropWidth: 'CROP_WIDTH',
+  textX: 'TEXT_X',
+  textWidth: 'TEXT_WIDTH',
+  fullWidth: 'FULL_WIDTH',
+}
+
+/**
+ * @typedef {object} Settings
+ * @property {'A1'|'A2'|'B1'} [level] - Word list whose built-in settings apply first.
+ * @property {string} [pdfFile] - Source PDF.
+ * @property {string} [pdfUrl] - Download URL of the source PDF.
+ * @property {string|null} [pdfUrlFallback] - Alternative download URL; `null` for none.
+ * @property {number} [dpi] - Render resolution.
+ * @property {number} [pageStart] - First Wortliste page.
+ * @property {number} [pageEnd] - Last Wortliste page.
+ * @property {number} [thematicStart] - First page of the thematic word groups.
+ * @property {number} [thematicEnd] - Last page of the thematic word groups.
+ * @property {{cropX?: number, cropWidth?: number, textX?: number, textWidth?: number, fullWidth?: number}} [leftColumn] - Left column extent.
+ * @property {{cropX?: number, cropWidth?: number, textX?: number, textWidth?: number, fullWidth?: number}} [rightColumn] - Right column extent.
+ * @property {number} [yOffset] - Top of the entry area.
+ * @property {number} [imageHeight] - Height of the entry area.
+ * @property {boolean} [detectLayout] - Detect the columns of each page instead of using the configured ones.
+ * @property {'pixel'|'text'} [breakDetector] - How entries are segmented.
+ * @property {number} [breakThreshold] - Empty rows that separate two entries.
+ * @property {number} [whiteThreshold] - Lowest channel value of a white pixel.
+ * @property {boolean} [adaptiveThreshold] - Choose break threshold and whiteness cutoff per column.
+ * @property {string[]} [normalize] - Normalization classes to apply to the extracted text.
+ * @property {number} [pageRetries] - Extra attempts for a failed page.
+ * @property {string} [outputDir] - Output directory.
+ * @property {Record<string, number[]>} [breakOverrides] - Replacement for {@link BREAK_OVERRIDES}.
+ */
+
+/**
+ * Loads and validates a configuration file and resolves the selected profile.
+ * Without a profile (neither given nor `defaultProfile`) no settings apply.
+ *
+ * @param {string} [file] - Path of the configuration file.
+ * @param {{profile?: string, required?: boolean}} [options] - Profile to select; `required`
+ *   makes a missing file an error (as for an explicit `--config`).
+ * @returns {Promise<{settings: Settings, profile: string|null, file: string|null}>} The
+ *   profile's settings, its name and the file read (`null` when there was none).
+ * @throws {Error} When the file is missing but required, is not valid JSON, does not match
+ *   the schema, or the profile is unknown.
+ */
+export async function loadConfigFile(file = CONFIG_FILE, { profile, required = false } = {}) {
+  if (!(await fileExists(file))) {
+    if (required) throw new Error(`Config file not found: ${file}`)
+    if (profile !== undefined) throw new Error(`Profile "${profile}" needs a config file: ${file}`)
+    return { settings: {}, profile: null, file: null }
+  }
+
+  let config
+  try {
+    config = await readJSON(file)
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`)
+  }
+
+  const schema = await readJSON(new URL('./schemas/wortliste-config.schema.json', import.meta.url))
+  const errors = validateSchema(config, schema)
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${file}:\n${errors.map(error => `  ${error}`).join('\n')}`)
+  }
+
+  const name = profile ?? config.defaultProfile ?? null
+  const settings = name === null ? {} : resolveProfile(config.profiles, name, file)
+  return { settings, profile: name, file }
+}
+
+/**
+ * Resolves a profile including the profiles it extends.
+ *
+ * @param {Record<string, Settings & {extends?: string}>} profiles - Profiles of the file.
+ * @param {string} name - Profile to resolve.
+ * @param {string} file - File name used in messages.
+ * @param {string[]} [chain] - Profiles already being resolved, to detect cycles.
+ * @returns {Settings} The merged settings.
+ * @throws {Error} On unknown profiles and cyclic `extends`.
+ */
+export function resolveProfile(profiles, name, file, chain = []) {
+  if (!Object.hasOwn(profiles, name)) {
+    const available = Object.keys(profiles).join(', ') || 'none'
+    throw new Error(`Unknown profile "${name}" in ${file} (available: ${available})`)
+  }
+  if (chain.includes(name)) {
+    throw new Error(`Profiles in ${file} extend each other: ${[...chain, name].join(' → ')}`)
+  }
+
+  const { extends: parent, ...own } = profiles[name]
+  const base = parent === undefined ? {} : resolveProfile(profiles, parent, file, [...chain, name])
+  return mergeSettings(base, own)
+}
+
+/**
+ * Overlays settings; column settings are merged field by field.
+ *
+ * @param {Settings} base - Settings to start from.
+ * @param {Settings} override - Settings that win.
+ * @returns {Settings} The merged settings.
+ */
+export function mergeSettings(base, override) {
+  const merged = { ...base, ...override }
+  for (const key of Object.keys(COLUMNS)) {
+    if (base[key] || override[key]) merged[key] = { ...base[key], ...override[key] }
+  }
+  return merged
+}
+
+/**
+ * Applies settings to {@link CONFIG} and {@link BREAK_OVERRIDES}. A `level`
+ * brings in that word list's settings from {@link LEVELS} first; the other
+ * settings override them. Selecting a level whose settings are not verified
+ * prints a warning. Must run before the processors are created, as
+ * they read some values once.
+ *
+ * @param {Settings} settings - Settings to apply.
+ * @returns {void}
+ * @throws {Error} When the level is unknown or a resulting page range is empty.
+ */
+export function applySettings(settings) {
+  if (settings.level !== undefined) {
+    const level = LEVELS[settings.level]
+    if (!level) {
+      throw new Error(
+        `Unknown level "${settings.level}" (expected one of ${Object.keys(LEVELS).join(', ')})`,
+      )
+    }
+    CONFIG.LEVEL = settings.level
+    CONFIG.TITLE = level.title
+    if (!level.verified) {
+      console.warn(
+        `⚠ The ${settings.level} page ranges and column geometry are unverified starting points – check them with detect, annotate and groups`,
+      )
+    }
+    settings = mergeSettings(level.settings, settings)
+  }
+
+  const pageStart = settings.pageStart ?? CONFIG.PAGE_START
+  const pageEnd = settings.pageEnd ?? CONFIG.PAGE_END
+  if (pageStart > pageEnd) {
+    throw new Error(`Invalid page range: pageStart ${pageStart} is after pageEnd ${pageEnd}`)
+  }
+  const thematicStart = settings.thematicStart ?? CONFIG.THEMATIC_START
+  const thematicEnd = settings.thematicEnd ?? CONFIG.THEMATIC_END
+  if (thematicStart > thematicEnd) {
+    throw new Error(
+      `Invalid page range: thematicStart ${thematicStart} is after thematicEnd ${thematicEnd}`,
+    )
+  }
+
+  for (const [key, configKey] of Object.entries(SETTINGS)) {
+    if (settings[key] !== undefined) CONFIG[configKey] = settings[key]
+  }
+  for (const [key, configKey] of Object.entries(COLUMNS)) {
+    for (const [field, configField] of Object.entries(COLUMN_SETTINGS)) {
+      if (settings[key]?.[field] !== undefined) {
+        CONFIG[configKey] = { ...CONFIG[configKey], [configField]: settings[key][field] }
+      }
+    }
+  }
+
+  // A level brings its own overrides, which a profile's breakOverrides replace
+  const overrides =
+    settings.breakOverrides ??
+    (settings.level !== undefined ? readBreakOverrides(settings.level) : null)
+  if (overrides) {
+    for (const prefix of Object.keys(BREAK_OVERRIDES)) delete BREAK_OVERRIDES[prefix]
+    for (const [prefix, rows] of Object.entries(overrides)) {
+      BREAK_OVERRIDES[prefix] = new Set(rows)
+    }
+  }
+  // Overrides from a profile cannot be edited in CONFIG.BREAK_OVERRIDES_FILE
+  if (settings.breakOverrides) CONFIG.BREAK_OVERRIDES_FILE = null
+}
+
+/**
+ * Replaces the break overrides of one column of the current level, both in
+ * {@link BREAK_OVERRIDES} and in `CONFIG.BREAK_OVERRIDES_FILE` (the `edit`
+ * command). An empty list removes the column's overrides.
+ *
+ * @param {string} prefix - "page-column" prefix such as "042-l".
+ * @param {number[]} rows - Y coordinates of the forced breaks in the column image.
+ * @returns {Promise<void>}
+ * @throws {Error} When the overrides come from a configuration profile.
+ */
+export async function saveBreakOverrides(prefix, rows) {
+  const file = CONFIG.BREAK_OVERRIDES_FILE
+  if (!file) {
+    throw new Error(
+      'The break overrides come from the configuration profile – edit its breakOverrides instead',
+    )
+  }
+
+  const sorted = [...new Set(rows)].sort((a, b) => a - b)
+  const data = await readJSON(file)
+  const level = { ...data[CONFIG.LEVEL], [prefix]: sorted }
+  if (sorted.length === 0) delete level[prefix]
+  data[CONFIG.LEVEL] = Object.fromEntries(
+    Object.keys(level)
+      .sort()
+      .map(key => [key, level[key]]),
+  )
+  await fs.writeFile(file, formatBreakOverrides(data))
+
+  if (sorted.length === 0) delete BREAK_OVERRIDES[prefix]
+  else BREAK_OVERRIDES[prefix] = new Set(sorted)
+}
+
+/**
+ * Serialises the overrides file with one column per line, as Prettier would.
+ *
+ * @param {Record<string, Record<string, number[]>>} data - Overrides per level.
+ * @returns {string} The file contents.
+ */
+function formatBreakOverrides(data) {
+  const levels = Object.entries(data).map(([level, columns]) => {
+    const lines = Object.entries(columns).map(
+      ([prefix, rows]) => `    ${JSON.stringify(prefix)}: [${rows.join(', ')}]`,
+    )
+    const body = lines.length > 0 ? `{\n${lines.join(',\n')}\n  }` : '{}'
+    return `  ${JSON.stringify(level)}: ${body}`
+  })
+  return `{\n${levels.join(',\n')}\n}\n`
+}
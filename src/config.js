@@ -1,3 +1,7 @@
+import { readFileSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import { NORMALIZATION_CLASSES } from './data/normalization.js'
+
 /**
  * Read an environment variable and provide a default value if it is not set.
  *
@@ -43,11 +47,18 @@ export const CONFIG = {
     'https://www.goethe.de/pro/relaunch/prf/de/Goethe-Zertifikat_B1_Wortliste.pdf',
   ),
 
+  // Word list (see src/data/levels.js)
+  LEVEL: 'B1',
+  TITLE: 'Goethe Zertifikat B1 Wortliste',
+
   // PDF processing
   PDF_FILE: getEnvVar('PDF_FILENAME', 'Goethe-Zertifikat_B1_Wortliste.pdf'),
   PDF_DPI: 300,
   PAGE_START: 16,
   PAGE_END: 102,
+  // Thematic word groups in front of the alphabetical list (the `groups` command)
+  THEMATIC_START: 8,
+  THEMATIC_END: 15,
 
   // Column coordinates
   LEFT_COLUMN: {
@@ -66,58 +77,57 @@ export const CONFIG = {
     FULL_WIDTH: 2340,
   },
 
+  // Detect the columns of each page from the PDF text, falling back to the
+  // coordinates above when a page's layout is ambiguous
+  DETECT_LAYOUT: getEnvBool('DETECT_LAYOUT', true),
+
   // Layout
   Y_OFFSET: 320,
   IMAGE_HEIGHT: 3260 - 320,
 
-  // Break detection
+  // Break detection: 'pixel' scans the page image for white gaps, 'text'
+  // segments from the PDF's text lines (see src/processors/text-break-detector.js)
+  BREAK_DETECTOR: getEnvVar('BREAK_DETECTOR', 'pixel'),
   BREAK_THRESHOLD: 42,
+  // Lowest channel value of a white pixel
+  WHITE_THRESHOLD: 240,
+  // Choose the pixel detector's threshold and whiteness cutoff per column
+  // from its whitespace runs instead of the two values above
+  ADAPTIVE_THRESHOLD: getEnvBool('ADAPTIVE_THRESHOLD', false),
+
+  // Character classes unified before the extracted text is processed
+  // (see src/data/normalization.js); all of them by default
+  NORMALIZE: NORMALIZATION_CLASSES.map(({ id }) => id),
+
+  // Extra attempts for a page whose processing failed
+  PAGE_RETRIES: parseInt(getEnvVar('PAGE_RETRIES', '0'), 10),
 
   // Output
   OUTPUT_DIR: 'output',
+
+  // Manual break overrides of every level (see BREAK_OVERRIDES); null while
+  // the overrides come from a configuration profile instead
+  BREAK_OVERRIDES_FILE: fileURLToPath(new URL('./data/break-overrides.json', import.meta.url)),
 }
 
-// Manual break overrides for specific pages
 /**
  * Manual break overrides for problematic pages.
  *
  * The keys are "page-column" prefixes (e.g. "022-l") and each value is a
- * set of Y coordinates where a break should be forced.
+ * set of Y coordinates where a break should be forced. They are kept per
+ * level in `CONFIG.BREAK_OVERRIDES_FILE`, which the `edit` command updates.
+ */
+export const BREAK_OVERRIDES = readBreakOverrides(CONFIG.LEVEL)
+
+/**
+ * Reads the break overrides of a level from `CONFIG.BREAK_OVERRIDES_FILE`.
+ *
+ * @param {string} level - Level key such as "B1".
+ * @returns {Record<string, Set<number>>} The overrides; empty for a level without any.
  */
-export const BREAK_OVERRIDES = {
-  '022-l': new Set([118]),
-  '026-l': new Set([348]),
-  '028-l': new Set([
-    304, 395, 528, 665, 1032, 1175, 1307, 1720, 1954, 2086, 2229, 2407, 2545, 2870,
-  ]),
-  '032-l': new Set([530]),
-  '033-l': new Set([713]),
-  '035-l': new Set([711, 991]),
-  '037-r': new Set([1083]),
-  '040-l': new Set([117]),
-  '041-l': new Set([988]),
-  '042-l': new Set([2728]),
-  '046-r': new Set([711]),
-  '048-r': new Set([2776]),
-  '050-l': new Set([442]),
-  '054-l': new Set([2274]),
-  '057-l': new Set([2500]),
-  '058-l': new Set([1676]),
-  '063-r': new Set([1630]),
-  '064-r': new Set([1218]),
-  '065-r': new Set([1360]),
-  '067-l': new Set([2502]),
-  '069-r': new Set([1310]),
-  '075-l': new Set([1037, 1079]),
-  '077-l': new Set([576]),
-  '080-l': new Set([530]),
-  '081-l': new Set([1636]),
-  '082-l': new Set([346]),
-  '086-r': new Set([71]),
-  '087-r': new Set([1080]),
-  '089-l': new Set([2272]),
-  '089-r': new Set([162]),
-  '090-l': new Set([486, 574, 715]),
-  '090-r': new Set([211]),
-  '093-l': new Set([2640]),
+export function readBreakOverrides(level) {
+  const data = JSON.parse(readFileSync(CONFIG.BREAK_OVERRIDES_FILE, 'utf8'))
+  return Object.fromEntries(
+    Object.entries(data[level] ?? {}).map(([prefix, rows]) => [prefix, new Set(rows)]),
+  )
 }
@@ -0,0 +1,148 @@
+/**
+ * Declarative OCR and layout corrections applied by {@link CorrectionRules}.
+ *
+ * Every rule has a unique `id` and runs at one `stage`:
+ * - `extract` – on the raw definition/example pair of a region, right after
+ *   text extraction (results are cached in the per-column JSON);
+ * - `pre` – on a single field before `DataProcessor` reshapes it;
+ * - `post` – on a single field after it has been reshaped.
+ *
+ * A rule either rewrites `field` with `match`/`replace` (plain
+ * `String.prototype.replace` semantics) or replaces fields wholesale with
+ * `override`. `page` and `column` restrict a rule to a location, and `when`
+ * maps field names to patterns (or lists of patterns) that must all match.
+ *
+ * Keep rules in the order they should run.
+ *
+ * @type {Array<import('../processors/correction-rules.js').CorrectionRule>}
+ */
+export const CORRECTION_RULES = [
+  // Page 79, left column: "die See" and "die Nord-/Ostsee" are extracted into
+  // the wrong regions and "sehen" loses its definition.
+  {
+    id: 'p079-die-see',
+    stage: 'extract',
+    page: 79,
+    column: 'l',
+    when: { definition: /^die See.*die Nord.*Ostsee/ms, example: /Im Sommer/ },
+    override: { definition: 'die See', example: 'Im Sommer fahren wir immer an die See.' },
+  },
+  {
+    id: 'p079-nord-ostsee',
+    stage: 'extract',
+    page: 79,
+    column: 'l',
+    when: { definition: /^sehen,/, example: /Warst du schon/ },
+    override: { definition: 'die Nord-/Ostsee', example: 'Warst du schon mal an der Nord/Ostsee?' },
+  },
+  {
+    id: 'p079-sehen',
+    stage: 'extract',
+    page: 79,
+    column: 'l',
+    when: { definition: /^$/, example: /^1\.\s+Ich\s+sehe\s+nicht/ },
+    override: { definition: 'sehen, sieht, sah, hat gesehen' },
+  },
+
+  // Definitions
+  {
+    id: 'raus-heraus',
+    stage: 'post',
+    field: 'definition',
+    match: /raus\(heraus/,
+    replace: 'raus- (heraus',
+  },
+  {
+    id: 'runter-herunter',
+    stage: 'post',
+    field: 'definition',
+    match: /runter\(herunter/,
+    replace: 'runter- (herunter',
+  },
+  {
+    id: 'kriminal-krimi',
+    stage: 'post',
+    field: 'definition',
+    match: /Kriminaldie Krimi/,
+    replace: 'Kriminal-\ndie Krimi',
+  },
+  {
+    id: 'reception-plural',
+    stage: 'post',
+    field: 'definition',
+    match: /Reception, en/,
+    replace: 'Reception, -en',
+  },
+  {
+    id: 'serviceangestellte-plural',
+    stage: 'post',
+    field: 'definition',
+    match: /Serviceangestellte, n /,
+    replace: 'Serviceangestellte, -n ',
+  },
+  {
+    id: 'ueber-uebertreiben',
+    stage: 'post',
+    field: 'definition',
+    match: /überübertreiben,/,
+    replace: 'über-\nübertreiben,',
+  },
+  {
+    id: 'festnehmen-principal-parts',
+    stage: 'post',
+    field: 'definition',
+    match: /festnehmen nimmt fest, nahm fest, hat festgenommen\./,
+    replace: 'festnehmen, nimmt fest, nahm fest, hat festgenommen',
+  },
+
+  // Examples
+  {
+    id: 'absender-list-number',
+    stage: 'pre',
+    page: 39,
+    column: 'r',
+    field: 'example',
+    match: /1 Auf dem Brief fehlt der Absender/,
+    replace: '1. Auf dem Brief fehlt der Absender',
+  },
+  {
+    // Keep "11. Mai" from being mistaken for list item 11
+    id: 'mai-date-protect',
+    stage: 'pre',
+    page: 80,
+    field: 'example',
+    match: /11\. Mai/,
+    replace: '11~Mai',
+  },
+  {
+    id: 'mai-date-restore',
+    stage: 'post',
+    page: 80,
+    field: 'example',
+    match: /11~Mai/,
+    replace: '11. Mai',
+  },
+  {
+    id: 'ding-dialogue-dash',
+    stage: 'post',
+    field: 'example',
+    match: /Ding\? Damit/,
+    replace: 'Ding? - Damit',
+  },
+  {
+    id: 'mueller-dialogue-dash',
+    stage: 'post',
+    field: 'example',
+    match: /Müller ist\? Nein/,
+    replace: 'Müller ist? - Nein',
+  },
+  {
+    id: 'hausfrau-hausmann-lines',
+    stage: 'post',
+    page: 49,
+    field: 'example',
+    when: { example: [/Hausfrau/, /Hausmann/, /kümmert/] },
+    match: /\//g,
+    replace: '\n',
+  },
+]
@@ -0,0 +1,71 @@
+import { CORRECTION_RULES } from './corrections.js'
+
+/**
+ * @typedef {object} Level
+ * @property {string} title - Title of the word list, used in CSV headers, metadata and the deck name.
+ * @property {string} idPrefix - Prefix of minted entry IDs, keeping IDs unique across levels.
+ * @property {number} deckId - Fixed Anki deck ID; must never change once published.
+ * @property {Array<import('../processors/correction-rules.js').CorrectionRule>} corrections - Fix rules of the list.
+ * @property {import('../config-file.js').Settings} settings - Layout and file settings; the
+ *   built-in {@link CONFIG} values are those of B1.
+ * @property {boolean} verified - Whether the settings were checked against the list's PDF;
+ *   selecting a level that was not prints a warning.
+ */
+
+/**
+ * The Goethe-Institut word lists the pipeline can process, selected with the
+ * `level` setting or `--level`. All three share the two-column layout of the
+ * B1 list (definition left, example right).
+ *
+ * The A1 and A2 page ranges and column geometry are starting points taken
+ * from the B1 layout; verify them with `detect` and `annotate` (the thematic
+ * pages with `groups`) and adjust them in a profile where needed. Their
+ * override and fix rule sets start out empty. No archived copy of their PDFs
+ * is known, so they have no fallback URL.
+ *
+ * @type {Record<'A1'|'A2'|'B1', Level>}
+ */
+export const LEVELS = {
+  A1: {
+    title: 'Goethe-Zertifikat A1 Wortliste',
+    idPrefix: 'a1-',
+    deckId: 1718000000003,
+    corrections: [],
+    verified: false,
+    settings: {
+      pdfFile: 'Goethe-Zertifikat_A1_Wortliste.pdf',
+      pdfUrl: 'https://www.goethe.de/pro/relaunch/prf/de/A1_SD1_Wortliste_02.pdf',
+      pdfUrlFallback: null,
+      pageStart: 9,
+      pageEnd: 28,
+      thematicStart: 6,
+      thematicEnd: 8,
+      outputDir: 'output/a1',
+    },
+  },
+  A2: {
+    title: 'Goethe-Zertifikat A2 Wortliste',
+    idPrefix: 'a2-',
+    deckId: 1718000000004,
+    corrections: [],
+    verified: false,
+    settings: {
+      pdfFile: 'Goethe-Zertifikat_A2_Wortliste.pdf',
+      pdfUrl: 'https://www.goethe.de/pro/relaunch/prf/de/Goethe-Zertifikat_A2_Wortliste.pdf',
+      pdfUrlFallback: null,
+      pageStart: 8,
+      pageEnd: 27,
+      thematicStart: 5,
+      thematicEnd: 7,
+      outputDir: 'output/a2',
+    },
+  },
+  B1: {
+    title: 'Goethe Zertifikat B1 Wortliste',
+    idPrefix: '',
+    deckId: 1718000000002,
+    corrections: CORRECTION_RULES,
+    verified: true,
+    settings: { outputDir: 'output' },
+  },
+}
@@ -0,0 +1,62 @@
+/**
+ * Character classes unified by {@link TextNormalizer} before the extracted
+ * text is processed, so visually identical text compares equal in search,
+ * deduplication and diffs.
+ *
+ * Every class has a unique `id` and rewrites each `match` (a global pattern)
+ * with `replace` – a string, or a function of the matched text. Classes run in
+ * order; `CONFIG.NORMALIZE` (the `normalize` setting) selects which are enabled.
+ *
+ * @type {Array<import('../processors/text-normalizer.js').NormalizationClass>}
+ */
+export const NORMALIZATION_CLASSES = [
+  {
+    // Before NFC, which would otherwise leave the mark dangling after a space
+    id: 'plural-marker',
+    description: 'Combining diaeresis (U+0308) not on a letter, as in "¨-er", becomes "¨" (U+00A8)',
+    match: /(?<!\p{L})\u0308/gu,
+    replace: '¨',
+  },
+  {
+    id: 'nfc',
+    description: 'Decomposed letters such as "a" + U+0308 are composed (Unicode NFC)',
+    match: /\P{M}\p{M}+/gu,
+    replace: text => text.normalize('NFC'),
+  },
+  {
+    id: 'soft-hyphen',
+    description: 'Soft hyphens (U+00AD) are removed',
+    match: /\u00ad/g,
+    replace: '',
+  },
+  {
+    id: 'zero-width',
+    description: 'Zero-width spaces, joiners and byte order marks are removed',
+    match: /[\u200b-\u200d\u2060\ufeff]/g,
+    replace: '',
+  },
+  {
+    id: 'non-breaking-space',
+    description: 'No-break, narrow, figure and thin spaces become a plain space',
+    match: /[\u00a0\u2007\u2009\u202f]/g,
+    replace: ' ',
+  },
+  {
+    id: 'ligature',
+    description: 'Typographic ligatures such as "ﬁ" are spelled out',
+    match: /[\ufb00-\ufb06]/g,
+    replace: text => text.normalize('NFKC'),
+  },
+  {
+    id: 'quote',
+    description: 'Typographic double and single quotes become " and \'',
+    match: /[\u00ab\u00bb\u2018-\u201f\u2039\u203a]/g,
+    replace: text => ('\u2018\u2019\u201a\u201b\u2039\u203a'.includes(text) ? "'" : '"'),
+  },
+  {
+    id: 'dash',
+    description: 'Hyphens, dashes and the minus sign become "-"',
+    match: /[\u2010-\u2015\u2212]/g,
+    replace: '-',
+  },
+]
@@ -3,20 +3,49 @@
 import { promises as fs } from 'fs'
 import { cpus } from 'os'
 import { fileURLToPath } from 'url'
+import path from 'node:path'
 import { CONFIG } from './config.js'
 import { PDFConverter } from './processors/pdf-converter.js'
+import { BuildManifest, STAGES } from './processors/build-manifest.js'
 import { PageProcessor } from './processors/page-processor.js'
 import { DataProcessor } from './processors/data-processor.js'
-import { fileExists } from './utils/fs.js'
+import { EntryIdentifier } from './processors/entry-identifier.js'
+import { JsonExporter } from './processors/json-exporter.js'
+import { AnkiExporter } from './processors/anki-exporter.js'
+import { SqliteExporter } from './processors/sqlite-exporter.js'
+import { EDITOR_PORT, OverrideEditor } from './processors/override-editor.js'
+import { LEVELS } from './data/levels.js'
+import { fileExists, hashFile, padPageNumber, writeJSON } from './utils/fs.js'
+import { formatPageSelection } from './utils/pages.js'
+import { COMMANDS, EXPORT_FORMATS, parseCommandLine, resolvePages } from './cli.js'
+import { applySettings, CONFIG_FILE, loadConfigFile, mergeSettings } from './config-file.js'
+
+/**
+ * Suspect ranges `check` prints; the report lists all of them.
+ */
+const REVIEW_PREVIEW = 10
 
 export class GoetheBrListProcessor {
   /**
    * Main orchestrator for processing the entire Wortliste.
    */
   constructor() {
-    this.pdfConverter = new PDFConverter()
-    this.pageProcessor = new PageProcessor()
+    this.manifest = new BuildManifest()
+    this.pdfConverter = new PDFConverter(this.manifest)
+    this.pageProcessor = new PageProcessor(this.manifest)
     this.dataProcessor = new DataProcessor()
+    this.entryIdentifier = new EntryIdentifier()
+    this.jsonExporter = new JsonExporter(CONFIG.OUTPUT_DIR)
+    this.ankiExporter = new AnkiExporter(CONFIG.OUTPUT_DIR)
+    this.sqliteExporter = new SqliteExporter(CONFIG.OUTPUT_DIR, this.dataProcessor)
+
+    // Failure handling
+    this.retries = CONFIG.PAGE_RETRIES
+    this.failFast = false
+    /** @type {Array<{page: number|null, stage: string, error: string, attempts: number}>} */
+    this.failures = []
+    /** @type {number[]} */
+    this.skipped = []
   }
 
   /**
@@ -42,120 +71,665 @@ export class GoetheBrListProcessor {
     await Promise.all(executing)
   }
 
-  /**
-   * Process the whole Wortliste (pages 16 – 102) in parallel.
-   * Concurrency is capped at the number of detected CPU cores.
-   */
   /**
    * Process all pages of the PDF in parallel and generate combined outputs.
    *
    * @returns {Promise<void>}
    */
   async processAll() {
-    console.log('Starting Goethe B1 Wortliste processing...')
+    const pageNumbers = []
+    for (let p = CONFIG.PAGE_START; p <= CONFIG.PAGE_END; p++) pageNumbers.push(p)
+    await this.processPages(pageNumbers)
+  }
 
-    // Check if PDF exists
-    if (!(await fileExists(CONFIG.PDF_FILE))) {
-      const message = `PDF file not found: ${CONFIG.PDF_FILE}\nGet yourself ${CONFIG.PDF_FILE}\nIt can be downloaded from: ${CONFIG.PDF_URL}\nFallback URL: ${CONFIG.PDF_URL_FALLBACK}`
-      throw new Error(message)
+  /**
+   * Process a single page of the Wortliste and rebuild the combined outputs.
+   *
+   * @param {number} pageNum - Page number to process.
+   * @returns {Promise<void>}
+   */
+  async processPage(pageNum) {
+    await this.processPages([pageNum])
+  }
+
+  /**
+   * Process the selected pages in parallel, then rebuild the combined outputs
+   * from the cached per-page JSON of every page, so reprocessing a few pages
+   * never leaves `all.csv` stale. Concurrency is capped at the number of
+   * detected CPU cores. Failed pages are collected in {@link GoetheBrListProcessor#failures};
+   * with `failFast` set, the run stops before the combined outputs.
+   *
+   * @param {number[]} pageNumbers - Pages to (re)process.
+   * @returns {Promise<void>}
+   */
+  async processPages(pageNumbers) {
+    console.log(
+      `Starting ${CONFIG.TITLE} processing (pages ${formatPageSelection(pageNumbers)})...`,
+    )
+
+    // Render PNGs if necessary
+    const rendered = await this.render(pageNumbers)
+
+    // Process the selected pages in parallel, creating intermediate files
+    if (!this.shouldStop()) {
+      await this.forEachPage(rendered, 'run', pageNum => this.pageProcessor.processPage(pageNum))
+    }
+
+    if (!this.shouldStop()) {
+      const loaded = await this.runStep('aggregate', () => this.aggregate())
+      if (loaded) await this.runStep('export', () => this.exportOutputs(EXPORT_FORMATS, loaded))
     }
 
+    // Clean up resources so Node can exit cleanly
+    await this.destroy()
+
+    if (this.failures.length === 0) {
+      console.log('Processing completed successfully!')
+    } else {
+      console.error(`Processing finished with ${this.failures.length} failure(s)`)
+    }
+  }
+
+  /**
+   * Render the selected pages to PNG (the `render` command).
+   *
+   * @param {number[]} pageNumbers - Pages to render.
+   * @returns {Promise<number[]>} The pages that were rendered or already up to date.
+   */
+  async render(pageNumbers) {
+    await this.assertPdfExists()
+
     // Ensure output directory exists
     await fs.mkdir(CONFIG.OUTPUT_DIR, { recursive: true })
 
-    // Render PNGs if necessary
-    await this.pdfConverter.convertPDFToPNG()
+    const failed = await this.pdfConverter.convertPDFToPNG(pageNumbers, { retries: this.retries })
+    for (const { page, error, attempts } of failed) {
+      this.recordFailure(page, 'render', error, attempts)
+    }
+    return pageNumbers.filter(pageNum => !failed.some(({ page }) => page === pageNum))
+  }
 
-    const cpuCount = Math.max(1, cpus().length)
-    console.log(`Processing pages in parallel (concurrency = ${cpuCount})…`)
+  /**
+   * Detect break ranges of the rendered pages (the `detect` command).
+   *
+   * @param {number[]} pageNumbers - Pages to analyse.
+   * @returns {Promise<void>}
+   */
+  async detect(pageNumbers) {
+    await this.forEachPage(pageNumbers, 'detect', pageNum => this.pageProcessor.detectPage(pageNum))
+  }
 
-    const pageNumbers = []
-    for (let p = CONFIG.PAGE_START; p <= CONFIG.PAGE_END; p++) pageNumbers.push(p)
+  /**
+   * Extract the text of the detected ranges (the `extract` command).
+   *
+   * @param {number[]} pageNumbers - Pages to extract.
+   * @returns {Promise<void>}
+   */
+  async extract(pageNumbers) {
+    await this.assertPdfExists()
+    await this.forEachPage(pageNumbers, 'extract', pageNum =>
+      this.pageProcessor.extractPage(pageNum),
+    )
+  }
 
-    // Process all pages in parallel, creating intermediate files
-    await this.runWithConcurrency(pageNumbers, cpuCount, async pageNum => {
-      try {
-        await this.pageProcessor.processPage(pageNum)
-      } catch (err) {
-        console.error(`Error processing page ${pageNum}:`, err.message)
-      }
+  /**
+   * Crop one image per detected range (the `crop` command).
+   *
+   * @param {number[]} pageNumbers - Pages to crop.
+   * @returns {Promise<void>}
+   */
+  async crop(pageNumbers) {
+    await this.forEachPage(pageNumbers, 'crop', pageNum => this.pageProcessor.cropPage(pageNum))
+  }
+
+  /**
+   * Draw the detected ranges onto the page images (the `annotate` command).
+   *
+   * @param {number[]} pageNumbers - Pages to annotate.
+   * @returns {Promise<void>}
+   */
+  async annotate(pageNumbers) {
+    await this.forEachPage(pageNumbers, 'annotate', pageNum =>
+      this.pageProcessor.annotatePage(pageNum),
+    )
+  }
+
+  /**
+   * Compare the pixel and text break detectors on the selected pages (the
+   * `compare-breaks` command) and write `reports/breaks-comparison.json`,
+   * listing every column where they start entries at different rows and the
+   * columns whose overrides the text detector makes unnecessary.
+   *
+   * @param {number[]} pageNumbers - Pages to compare.
+   * @returns {Promise<void>}
+   */
+  async compareBreaks(pageNumbers) {
+    await this.assertPdfExists()
+    const columns = []
+    await this.forEachPage(pageNumbers, 'compare-breaks', async pageNum => {
+      columns.push(...(await this.pageProcessor.compareBreaks(pageNum)))
     })
+    columns.sort((a, b) => a.page - b.page || a.column.localeCompare(b.column))
+
+    const agrees = ({ pixelOnly, textOnly }) => pixelOnly.length === 0 && textOnly.length === 0
+    const disagreements = columns.filter(result => !agrees(result))
+    const report = {
+      generatedAt: new Date().toISOString(),
+      threshold: CONFIG.ADAPTIVE_THRESHOLD ? 'auto' : CONFIG.BREAK_THRESHOLD,
+      columns: columns.length,
+      agreeing: columns.length - disagreements.length,
+      retirableOverrides: columns
+        .filter(result => result.overrides.length > 0 && agrees(result))
+        .map(({ page, column }) => `${padPageNumber(page)}-${column}`),
+      disagreements,
+    }
+    await writeJSON(`${CONFIG.OUTPUT_DIR}/reports/breaks-comparison.json`, report)
+
+    console.log(
+      `✓ Wrote reports/breaks-comparison.json (${report.agreeing} of ${report.columns} columns agree, ${report.retirableOverrides.length} override(s) no longer needed with --detector text)`,
+    )
+    for (const { page, column, pixelOnly, textOnly } of disagreements) {
+      console.warn(
+        `⚠ ${padPageNumber(page)}-${column}: ${pixelOnly.length} break(s) only from pixels, ${textOnly.length} only from text`,
+      )
+    }
+  }
 
-    // Aggregate data sequentially to ensure deterministic order
-    console.log('Aggregating data from all pages...')
-    let allRawData = []
-    for (const pageNum of pageNumbers) {
-      const paddedPage = pageNum.toString().padStart(3, '0')
-      const leftFile = `${CONFIG.OUTPUT_DIR}/${paddedPage}-l.json`
-      const rightFile = `${CONFIG.OUTPUT_DIR}/${paddedPage}-r.json`
+  /**
+   * Look for segmentation suspects in the cached ranges and extractions of
+   * the selected pages (the `check` command) and write
+   * `reports/segmentation-review.json`, a review list of the suspect ranges
+   * with their crops, most suspicious first.
+   *
+   * @param {number[]} pageNumbers - Pages to check.
+   * @returns {Promise<void>}
+   */
+  async check(pageNumbers) {
+    await this.assertPdfExists()
+    const ranges = []
+    await this.forEachPage(pageNumbers, 'check', async pageNum => {
+      ranges.push(...(await this.pageProcessor.checkPage(pageNum)))
+    })
+
+    const checker = this.pageProcessor.segmentationChecker
+    const medianHeight = checker.checkHeights(ranges)
+    const review = checker.rank(ranges)
+    await writeJSON(`${CONFIG.OUTPUT_DIR}/reports/segmentation-review.json`, {
+      generatedAt: new Date().toISOString(),
+      pages: formatPageSelection([...new Set(ranges.map(({ page }) => page))]),
+      ranges: ranges.length,
+      medianHeight: Math.round(medianHeight),
+      suspects: review.length,
+      review: review.map(({ contentHeight, ...suspect }) => ({
+        ...suspect,
+        annotation: `${CONFIG.OUTPUT_DIR}/${padPageNumber(suspect.page)}-annot.png`,
+      })),
+    })
+
+    console.log(
+      `✓ Wrote reports/segmentation-review.json (${review.length} suspect range(s) of ${ranges.length})`,
+    )
+    for (const { page, column, index, score, issues } of review.slice(0, REVIEW_PREVIEW)) {
+      console.warn(
+        `⚠ ${padPageNumber(page)}-${column}-${index} (score ${score}): ${issues.map(({ message }) => message).join('; ')}`,
+      )
+    }
+    if (review.length > REVIEW_PREVIEW) {
+      console.warn(`  … ${review.length - REVIEW_PREVIEW} more in the report`)
+    }
+  }
+
+  /**
+   * Time reading the regions of the selected pages from their cached ranges
+   * with and without the per-page text index (the `benchmark` command) and
+   * write `reports/extraction-benchmark.json`. Pages are timed one at a time.
+   *
+   * @param {number[]} pageNumbers - Pages to time.
+   * @returns {Promise<void>}
+   */
+  async benchmark(pageNumbers) {
+    await this.assertPdfExists()
+    const pages = []
+    await this.forEachPage(
+      pageNumbers,
+      'benchmark',
+      async pageNum => {
+        const result = await this.pageProcessor.benchmarkPage(pageNum)
+        const { before, after } = result
+        console.log(
+          `${padPageNumber(pageNum)}: ${result.regions} regions, ${before.ms} ms (${before.parses} parses) → ${after.ms} ms (${after.parses} parse${after.parses === 1 ? '' : 's'})`,
+        )
+        if (!result.identical) {
+          console.warn(
+            `⚠ ${padPageNumber(pageNum)}: the page text index reads other text than the per-region parse`,
+          )
+        }
+        pages.push(result)
+      },
+      1,
+    )
+    pages.sort((a, b) => a.page - b.page)
+
+    const total = key => Math.round(pages.reduce((sum, page) => sum + page[key].ms, 0) * 10) / 10
+    const report = {
+      generatedAt: new Date().toISOString(),
+      pages: pages.length,
+      before: { ms: total('before') },
+      after: { ms: total('after') },
+      differing: pages.filter(({ identical }) => !identical).map(({ page }) => page),
+      results: pages,
+    }
+    await writeJSON(`${CONFIG.OUTPUT_DIR}/reports/extraction-benchmark.json`, report)
+
+    const speedup = report.after.ms > 0 ? (report.before.ms / report.after.ms).toFixed(1) : '–'
+    console.log(
+      `✓ Wrote reports/extraction-benchmark.json (${report.before.ms} ms → ${report.after.ms} ms on ${pages.length} page(s), ${speedup}× faster)`,
+    )
+  }
 
-      if (await fileExists(leftFile)) {
-        const leftData = JSON.parse(await fs.readFile(leftFile, 'utf8'))
-        allRawData = this.dataProcessor.processRawData(leftData, allRawData)
+  /**
+   * Extract the thematic word groups in front of the alphabetical list from
+   * the selected thematic pages (the `groups` command) and write them to
+   * `thematic-groups.json` and `thematic-groups.csv`. Items at the top of a
+   * page continue the last group of the page before.
+   *
+   * @param {number[]} pageNumbers - Thematic pages to extract.
+   * @returns {Promise<void>}
+   */
+  async groups(pageNumbers) {
+    await this.assertPdfExists()
+    const pages = []
+    await this.forEachPage(pageNumbers, 'groups', async pageNum => {
+      pages.push({ page: pageNum, groups: await this.pageProcessor.extractGroups(pageNum) })
+    })
+    pages.sort((a, b) => a.page - b.page)
+
+    const extractor = this.pageProcessor.thematicExtractor
+    const groups = extractor.combine(pages)
+    await writeJSON(`${CONFIG.OUTPUT_DIR}/thematic-groups.json`, {
+      level: CONFIG.LEVEL,
+      title: CONFIG.TITLE,
+      generatedAt: new Date().toISOString(),
+      pages: formatPageSelection(pages.map(({ page }) => page)),
+      groups,
+    })
+    await fs.writeFile(`${CONFIG.OUTPUT_DIR}/thematic-groups.csv`, extractor.generateCSV(groups))
+
+    const items = groups.reduce((sum, group) => sum + group.items.length, 0)
+    console.log(
+      `✓ Wrote thematic-groups.json and thematic-groups.csv (${groups.length} topic(s), ${items} item(s))`,
+    )
+    for (const { pages: groupPages, items: groupItems } of groups.filter(g => g.topic === null)) {
+      console.warn(
+        `⚠ ${padPageNumber(groupPages[0])}: ${groupItems.length} item(s) without a topic heading – check thematicStart`,
+      )
+    }
+  }
+
+  /**
+   * Serve the break override editor for a page (the `edit` command) until
+   * the process is interrupted. The page is rendered first if necessary.
+   *
+   * @param {number} pageNum - Page to edit.
+   * @param {number} [port] - Port to listen on.
+   * @returns {Promise<void>}
+   */
+  async edit(pageNum, port) {
+    const [rendered] = await this.render([pageNum])
+    if (rendered === undefined) return
+
+    const editor = new OverrideEditor(this.pageProcessor, pageNum)
+    const url = await editor.listen(port)
+    console.log(`Editing the break overrides of page ${pageNum} at ${url} – Ctrl+C to stop`)
+    await new Promise(resolve => process.once('SIGINT', resolve))
+    await editor.close()
+    await this.manifest.save()
+  }
+
+  /**
+   * Run a page-level step on the selected pages in parallel and save the build
+   * manifest afterwards. A failing page is retried `retries` times before it
+   * is recorded as a failure; with `failFast` set, pages not started yet are
+   * skipped after the first failure. Concurrency defaults to the number of
+   * detected CPU cores. What the page processor cached for a page is released
+   * after every attempt.
+   *
+   * @param {number[]} pageNumbers - Pages to process.
+   * @param {string} stage - Command name reported for errors not tagged with their own stage.
+   * @param {(pageNum: number) => Promise<unknown>} step - Work to perform per page.
+   * @param {number} [concurrency] - Pages processed at once.
+   * @returns {Promise<void>}
+   */
+  async forEachPage(pageNumbers, stage, step, concurrency = Math.max(1, cpus().length)) {
+    console.log(`Processing pages in parallel (concurrency = ${concurrency})…`)
+
+    await this.runWithConcurrency(pageNumbers, concurrency, async pageNum => {
+      if (this.shouldStop()) {
+        this.skipped.push(pageNum)
+        return
       }
-      if (await fileExists(rightFile)) {
-        const rightData = JSON.parse(await fs.readFile(rightFile, 'utf8'))
-        allRawData = this.dataProcessor.processRawData(rightData, allRawData)
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await step(pageNum)
+          return
+        } catch (err) {
+          if (attempt > this.retries) {
+            this.recordFailure(pageNum, err.stage ?? stage, err, attempt)
+            return
+          }
+          console.warn(`⚠ Page ${pageNum} failed (${err.message}) – retrying`)
+        } finally {
+          this.pageProcessor.releasePage(pageNum)
+        }
       }
+    })
+    await this.manifest.save()
+  }
+
+  /**
+   * Run a step that is not tied to a page, recording an error it throws as a
+   * failure instead of aborting the run.
+   *
+   * @template T
+   * @param {string} stage - Command name reported on failure.
+   * @param {() => Promise<T>} step - Work to perform.
+   * @returns {Promise<T|undefined>} The step's result, or `undefined` if it failed.
+   */
+  async runStep(stage, step) {
+    try {
+      return await step()
+    } catch (err) {
+      this.recordFailure(null, err.stage ?? stage, err, 1)
+      return undefined
+    }
+  }
+
+  /**
+   * Log a failure and add it to the failure report.
+   *
+   * @param {number|null} page - Failed page, or `null` for steps covering all pages.
+   * @param {string} stage - Command name of the failed step.
+   * @param {Error} error - The error thrown.
+   * @param {number} attempts - How often the step was tried.
+   * @returns {void}
+   */
+  recordFailure(page, stage, error, attempts) {
+    const where = page === null ? stage : `page ${page} (${stage})`
+    console.error(`Error processing ${where}:`, error.message)
+    this.failures.push({ page, stage, error: error.message, attempts })
+  }
+
+  /**
+   * Whether `failFast` is set and something already failed.
+   *
+   * @returns {boolean}
+   */
+  shouldStop() {
+    return this.failFast && this.failures.length > 0
+  }
+
+  /**
+   * Write `failures.json` listing every failed page with the stage and error,
+   * plus the pages skipped after a failure with `failFast`. Written after every
+   * command, so an empty list means the last command succeeded.
+   *
+   * @param {string} command - The command that ran.
+   * @returns {Promise<void>}
+   */
+  async writeFailureReport(command) {
+    await writeJSON(`${CONFIG.OUTPUT_DIR}/failures.json`, {
+      command,
+      generatedAt: new Date().toISOString(),
+      failures: [...this.failures].sort((a, b) => (a.page ?? Infinity) - (b.page ?? Infinity)),
+      skipped: [...this.skipped].sort((a, b) => a - b),
+    })
+  }
+
+  /**
+   * Throw with download instructions if the source PDF is missing.
+   *
+   * @returns {Promise<void>}
+   */
+  async assertPdfExists() {
+    if (!(await fileExists(CONFIG.PDF_FILE))) {
+      let message = `PDF file not found: ${CONFIG.PDF_FILE}\nGet yourself ${CONFIG.PDF_FILE}\nIt can be downloaded from: ${CONFIG.PDF_URL}`
+      if (CONFIG.PDF_URL_FALLBACK) message += `\nFallback URL: ${CONFIG.PDF_URL_FALLBACK}`
+      throw new Error(message)
     }
+  }
+
+  /**
+   * Write the page CSVs of the selected pages, then rebuild `all.csv`, the
+   * reports and the UI from the cached per-page column JSON of all Wortliste
+   * pages (the `aggregate` command). Pages without cached data are left out
+   * with a warning.
+   *
+   * @param {number[]} [pageNumbers] - Pages whose CSV is (re)written.
+   * @returns {Promise<{entries: Array, pages: number[]}|null>} The loaded entries, or `null` without cached data.
+   */
+  async aggregate(pageNumbers = []) {
+    if (pageNumbers.length > 0) {
+      await this.forEachPage(pageNumbers, 'aggregate', pageNum =>
+        this.pageProcessor.writePageOutputs(pageNum),
+      )
+      if (this.shouldStop()) return null
+    }
+
+    const loaded = await this.loadEntries()
+    if (!loaded) return null
 
     // Produce combined output
     console.log('Generating final combined files…')
-    await this.generateCombinedOutputs(allRawData)
+    await this.generateCombinedOutputs(loaded.entries, loaded.pages, loaded.idReport)
+    return loaded
+  }
 
-    // Clean up resources so Node can exit cleanly
-    await this.destroy()
+  /**
+   * Write the selected export formats from the cached data of all pages (the
+   * `export` command).
+   *
+   * @param {string[]} [formats] - Any of {@link EXPORT_FORMATS}.
+   * @param {{entries: Array, pages: number[]}} [loaded] - Entries already loaded by {@link GoetheBrListProcessor#aggregate}.
+   * @returns {Promise<void>}
+   */
+  async exportOutputs(formats = EXPORT_FORMATS, loaded) {
+    loaded ??= await this.loadEntries()
+    if (!loaded) return
+
+    const { entries, pages } = loaded
+    const metadata = await this.buildRunMetadata(pages)
 
-    console.log('Processing completed successfully!')
+    if (formats.includes('json')) {
+      await this.jsonExporter.write(entries, metadata)
+      console.log('✓ Generated all.json and all.ndjson (schema in schemas/)')
+    }
+    if (formats.includes('anki')) {
+      const ankiResult = await this.ankiExporter.write(entries, metadata)
+      console.log(
+        `✓ Generated wortliste.apkg (${ankiResult.notes} notes, ${ankiResult.media} crop images)`,
+      )
+      if (ankiResult.missingMedia.length > 0) {
+        console.warn(
+          `⚠ ${ankiResult.missingMedia.length} crop image(s) not found, left out of wortliste.apkg`,
+        )
+      }
+    }
+    if (formats.includes('sqlite')) {
+      const sqliteResult = await this.sqliteExporter.write(entries, metadata)
+      console.log(
+        `✓ Generated wortliste.sqlite (${sqliteResult.entries} entries, ${sqliteResult.examples} examples, ${sqliteResult.pages} pages)`,
+      )
+    }
   }
 
   /**
-   * Process a single page of the Wortliste.
+   * Load the final entries of all Wortliste pages from the cached column JSON
+   * and give them stable IDs from the persisted ID map.
    *
-   * @param {number} pageNum - Page number to process.
-   * @returns {Promise<void>}
+   * @returns {Promise<{entries: Array, pages: number[], idReport: object}|null>} Entries, the pages they came from and the ID report, or `null` without cached data.
    */
-  async processPage(pageNum) {
-    console.log(`Processing single page: ${pageNum}`)
+  async loadEntries() {
+    const pageNumbers = []
+    for (let p = CONFIG.PAGE_START; p <= CONFIG.PAGE_END; p++) pageNumbers.push(p)
 
-    // Check if PDF exists
-    if (!(await fileExists(CONFIG.PDF_FILE))) {
-      throw new Error(`PDF file not found: ${CONFIG.PDF_FILE}`)
+    // Aggregate data sequentially to ensure deterministic order
+    console.log('Aggregating cached data from all pages...')
+    const { rawData, pages } = await this.loadCachedRawData(pageNumbers)
+
+    if (pages.length === 0) {
+      console.warn('⚠ No cached page data found – skipping combined outputs')
+      return null
+    }
+    const missing = pageNumbers.filter(p => !pages.includes(p))
+    if (missing.length > 0) {
+      console.warn(
+        `⚠ No cached data for pages ${formatPageSelection(missing)} – combined outputs are incomplete`,
+      )
     }
 
-    // Ensure output directory exists
-    await fs.mkdir(CONFIG.OUTPUT_DIR, { recursive: true })
+    const entries = await this.dataProcessor.processExtractedData(rawData)
 
-    // Convert PDF to PNG if needed
-    await this.pdfConverter.convertPDFToPNG()
+    const previousIds = await this.entryIdentifier.load()
+    const { map: idMap, report: idReport } = this.entryIdentifier.assign(entries, previousIds)
+    await this.entryIdentifier.save(idMap)
 
-    // Process the specific page
-    await this.pageProcessor.processPage(pageNum)
+    return { entries, pages, idReport }
+  }
 
-    // Clean up resources so Node can exit cleanly
-    await this.destroy()
+  /**
+   * Read the cached column JSON (`NNN-l.json`, `NNN-r.json`) of the given
+   * pages and merge it into raw entries in page and column order.
+   *
+   * @param {number[]} pageNumbers - Pages to read, in order.
+   * @returns {Promise<{rawData: Array, pages: number[]}>} Raw entries and the pages that had cached data.
+   */
+  async loadCachedRawData(pageNumbers) {
+    let rawData = []
+    const pages = []
 
-    console.log(`Page ${pageNum} processed successfully!`)
+    for (const pageNum of pageNumbers) {
+      const paddedPage = padPageNumber(pageNum)
+      let found = false
+
+      for (const column of ['l', 'r']) {
+        const file = `${CONFIG.OUTPUT_DIR}/${paddedPage}-${column}.json`
+        if (!(await fileExists(file))) continue
+
+        const columnData = JSON.parse(await fs.readFile(file, 'utf8'))
+        rawData = this.dataProcessor.processRawData(columnData, rawData, {
+          page: pageNum,
+          column,
+        })
+        found = true
+      }
+
+      if (found) pages.push(pageNum)
+    }
+
+    return { rawData, pages }
+  }
+
+  /**
+   * Collect the metadata describing this run for the JSON envelope.
+   *
+   * @param {number[]} pageNumbers - Pages included in the run.
+   * @returns {Promise<Omit<import('./processors/json-exporter.js').RunMetadata, 'entryCount'>>} Metadata without the entry count.
+   */
+  async buildRunMetadata(pageNumbers) {
+    const pdfAvailable = await fileExists(CONFIG.PDF_FILE)
+    return {
+      title: CONFIG.TITLE,
+      level: CONFIG.LEVEL,
+      gitVersion: await this.dataProcessor.getGitVersion(),
+      generatedAt: new Date().toISOString(),
+      source: {
+        file: path.basename(CONFIG.PDF_FILE),
+        sha256: pdfAvailable ? await hashFile(CONFIG.PDF_FILE) : null,
+      },
+      pages: pageNumbers,
+    }
   }
 
   /**
-   * Produce combined HTML and CSV outputs from aggregated data.
+   * Produce the combined CSV, the HTML viewer and the ID/verb/noun/correction/
+   * normalization reports from the aggregated entries. Warns about vanished entries and
+   * correction rules that never matched.
    *
-   * @param {Array} allRawData - Raw entries from all pages.
+   * @param {Array} processedData - Final entries of all pages, with IDs.
+   * @param {number[]} pageNumbers - Pages the entries were aggregated from.
+   * @param {object} [idReport] - Report of the ID assignment.
    * @returns {Promise<void>}
    */
-  async generateCombinedOutputs(allRawData) {
-    const processedData = await this.dataProcessor.processExtractedData(allRawData)
+  async generateCombinedOutputs(processedData, pageNumbers, idReport) {
     const csv = await this.dataProcessor.generateCSV(processedData, 'all')
 
     await fs.writeFile(`${CONFIG.OUTPUT_DIR}/all.csv`, csv)
 
+    const verbReport = this.dataProcessor.buildVerbReport(processedData)
+    await writeJSON(`${CONFIG.OUTPUT_DIR}/reports/verbs.json`, verbReport)
+
+    const nounReport = this.dataProcessor.buildNounReport(processedData)
+    await writeJSON(`${CONFIG.OUTPUT_DIR}/reports/nouns.json`, nounReport)
+
+    const correctionReport = this.dataProcessor.corrections.buildReport(processedData, pageNumbers)
+    await writeJSON(`${CONFIG.OUTPUT_DIR}/reports/corrections.json`, correctionReport)
+
+    const normalizationReport = this.dataProcessor.normalizer.buildReport(processedData)
+    await writeJSON(`${CONFIG.OUTPUT_DIR}/reports/normalization.json`, normalizationReport)
+
     // Copy client-side UI files
     await fs.copyFile('src/client/index.html', `${CONFIG.OUTPUT_DIR}/index.html`)
     await fs.copyFile('src/client/ui.js', `${CONFIG.OUTPUT_DIR}/ui.js`)
+    await writeJSON(`${CONFIG.OUTPUT_DIR}/level.json`, this.buildLevelInfo())
 
     console.log(`✓ Generated all.csv with ${processedData.length} vocabulary entries`)
-    console.log('✓ Copied client-side UI to output directory (index.html, ui.js)')
+    console.log(
+      `✓ Wrote reports/verbs.json (${verbReport.verbs} verbs, ${verbReport.mismatches.length} entries not matching the verb pattern)`,
+    )
+    console.log(
+      `✓ Wrote reports/nouns.json (${nounReport.nouns} nouns, ${nounReport.unexpanded.length} with unexpandable plural notation)`,
+    )
+    if (idReport) {
+      await writeJSON(`${CONFIG.OUTPUT_DIR}/reports/ids.json`, idReport)
+      console.log(
+        `✓ Wrote reports/ids.json (${idReport.kept} IDs kept, ${idReport.minted.length} minted, ${idReport.disappeared.length} disappeared)`,
+      )
+      for (const { id } of idReport.disappeared) {
+        console.warn(`⚠ Entry "${id}" from the previous run no longer exists`)
+      }
+    }
+    console.log('✓ Wrote reports/corrections.json')
+    for (const id of correctionReport.unmatched) {
+      console.warn(`⚠ Correction rule "${id}" never matched – it may be stale`)
+    }
+    console.log(
+      `✓ Wrote reports/normalization.json (${normalizationReport.classes.map(({ id, changes }) => `${id} ${changes}`).join(', ') || 'nothing to normalize'})`,
+    )
+    console.log('✓ Copied client-side UI to output directory (index.html, ui.js, level.json)')
+  }
+
+  /**
+   * Describe the processed word list for the web UI: title, page range and
+   * source PDF, plus links to the UIs of all levels, which live in the
+   * default output directories of the levels (see `src/data/levels.js`).
+   *
+   * @returns {{level: string, title: string, pages: {start: number, end: number}, source: {file: string, url: string}, levels: Array<{level: string, title: string, href: string}>}} Contents of `level.json`.
+   */
+  buildLevelInfo() {
+    return {
+      level: CONFIG.LEVEL,
+      title: CONFIG.TITLE,
+      pages: { start: CONFIG.PAGE_START, end: CONFIG.PAGE_END },
+      source: { file: path.basename(CONFIG.PDF_FILE), url: CONFIG.PDF_URL },
+      levels: Object.entries(LEVELS).map(([level, { title, settings }]) => ({
+        level,
+        title,
+        href: path.posix.join(
+          path.relative(CONFIG.OUTPUT_DIR, settings.outputDir).split(path.sep).join('/'),
+          'index.html',
+        ),
+      })),
+    }
   }
 
   /**
@@ -174,13 +748,78 @@ export class GoetheBrListProcessor {
    */
   showUsage() {
     console.log('Usage:')
-    console.log('  node src/index.js --all              # Process all pages')
-    console.log('  node src/index.js --page <number>    # Process single page')
+    console.log(
+      '  node src/index.js [command] [--all | --pages <list> | --page <number>] [options]',
+    )
     console.log('  node src/index.js --help             # Show this help')
     console.log('')
+    console.log('Commands:')
+    for (const [name, { description }] of Object.entries(COMMANDS)) {
+      console.log(`  ${name.padEnd(16)}${description}`)
+    }
+    console.log('')
+    console.log('Without a command, --all/--pages/--page run the whole pipeline. Stage')
+    console.log('commands work on all Wortliste pages unless pages are selected; groups works on')
+    console.log(`the thematic pages (${CONFIG.THEMATIC_START}-${CONFIG.THEMATIC_END}).`)
+    console.log('')
+    console.log('Options:')
+    console.log('  --pages <list>             Select pages, e.g. 16-20,42 (--page for one)')
+    console.log('  --force                    Rebuild every artifact of the selected pages;')
+    console.log('                             with a stage command only that stage')
+    console.log(
+      `  --force-stage <stages>     run: rebuild artifacts of these stages (${Object.keys(STAGES).join(', ')})`,
+    )
+    console.log(
+      `  --threshold <rows|auto>    run, detect: empty rows that make a break (default ${CONFIG.BREAK_THRESHOLD})`,
+    )
+    console.log('                             auto: chosen per column from its whitespace runs')
+    console.log(
+      `  --detector <pixel|text>    run, detect: break detector (default ${CONFIG.BREAK_DETECTOR})`,
+    )
+    console.log(
+      `  --retries <n>              Extra attempts for a failed page (default ${CONFIG.PAGE_RETRIES})`,
+    )
+    console.log(
+      '  --keep-going               Process the remaining pages after a failure (default)',
+    )
+    console.log('  --fail-fast                Stop at the first failed page')
+    console.log(
+      `  --format <formats>         export: any of ${EXPORT_FORMATS.join(', ')} (default all)`,
+    )
+    console.log(`  --port <number>            edit: port of the editor (default ${EDITOR_PORT})`)
+    console.log(
+      `  --config <file>            Configuration file (default ${CONFIG_FILE} if present)`,
+    )
+    console.log('  --profile <name>           Configuration profile (default: defaultProfile)')
+    console.log('  --level <A1|A2|B1>         Word list to process (default: B1)')
+    console.log('  --pdf <file>               Source PDF, overriding the configuration')
+    console.log('  --output-dir <dir>         Output directory, overriding the configuration')
+    console.log('')
+    console.log('Flags override the selected profile, which overrides the built-in settings.')
+    console.log('')
+    console.log('Cached artifacts are rebuilt automatically when the PDF, the relevant')
+    console.log('configuration or the code that produces them changes (see output/manifest.json).')
+    console.log('Combined outputs (all.csv, all.json, …) are always rebuilt from the cached')
+    console.log('data of every processed page.')
+    console.log('')
+    console.log('Failures are listed in output/failures.json and make the command exit with 1.')
+    console.log('')
     console.log('Examples:')
     console.log('  node src/index.js --all')
+    console.log('  node src/index.js --pages 16-20,42,88-90')
     console.log('  node src/index.js --page 42')
+    console.log('  node src/index.js --pages 42 --force-stage breaks,extract')
+    console.log('  node src/index.js detect --pages 42 --threshold 30')
+    console.log('  node src/index.js detect --pages 42 --threshold auto')
+    console.log('  node src/index.js detect --pages 42 --detector text')
+    console.log('  node src/index.js compare-breaks --all')
+    console.log('  node src/index.js check --all')
+    console.log('  node src/index.js benchmark --pages 42-44')
+    console.log('  node src/index.js groups')
+    console.log('  node src/index.js edit --page 42')
+    console.log('  node src/index.js annotate --pages 42')
+    console.log('  node src/index.js export --format json,sqlite')
+    console.log('  node src/index.js --all --profile scan-600')
     console.log('')
     console.log('Alternative npm scripts:')
     console.log('  npm run process:all')
@@ -192,32 +831,75 @@ export class GoetheBrListProcessor {
  * CLI entry point parsing arguments and invoking processors.
  */
 async function main() {
-  const args = process.argv.slice(2)
-  const processor = new GoetheBrListProcessor()
+  let commandLine
+  let pages
+  try {
+    commandLine = parseCommandLine(process.argv.slice(2))
+    if (commandLine.command !== 'help') {
+      // Configuration file and profile first, then flags on top
+      const { settings, profile, file } = await loadConfigFile(commandLine.configFile, {
+        profile: commandLine.profile,
+        required: commandLine.configFile !== undefined,
+      })
+      applySettings(mergeSettings(settings, commandLine.overrides))
+      if (file) console.log(`Using ${file}${profile ? ` (profile "${profile}")` : ''}`)
+      pages = resolvePages(commandLine.selection, COMMANDS[commandLine.command])
+    }
+  } catch (error) {
+    console.error(error.message)
+    console.error('Use --help for usage information.')
+    process.exit(1)
+  }
 
-  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+  const processor = new GoetheBrListProcessor()
+  const { command, formats } = commandLine
+  if (command === 'help') {
     processor.showUsage()
+    await processor.destroy()
     return
   }
 
-  if (args.includes('--all')) {
-    await processor.processAll()
-  } else if (args.includes('--page')) {
-    const pageIndex = args.indexOf('--page')
-    const pageNum = parseInt(args[pageIndex + 1], 10)
-
-    if (!pageNum || pageNum < CONFIG.PAGE_START || pageNum > CONFIG.PAGE_END) {
-      console.error(
-        `Invalid page number. Must be between ${CONFIG.PAGE_START} and ${CONFIG.PAGE_END}`,
-      )
-      process.exit(1)
-    }
-    await processor.processPage(pageNum)
-  } else {
-    console.error('Invalid arguments. Use --help for usage information.')
-    processor.showUsage()
+  try {
+    processor.manifest.configure(commandLine)
+  } catch (error) {
+    console.error(error.message)
+    await processor.destroy()
     process.exit(1)
   }
+  processor.failFast = commandLine.failFast
+
+  await processor.runStep(command, () => {
+    switch (command) {
+      case 'run':
+        return processor.processPages(pages)
+      case 'aggregate':
+        return processor.aggregate(pages)
+      case 'export':
+        return processor.exportOutputs(formats)
+      case 'compare-breaks':
+        return processor.compareBreaks(pages)
+      case 'check':
+        return processor.check(pages)
+      case 'benchmark':
+        return processor.benchmark(pages)
+      case 'groups':
+        return processor.groups(pages)
+      case 'edit':
+        return processor.edit(pages[0], commandLine.port)
+      default:
+        // render, detect, extract, crop, annotate
+        return processor[command](pages)
+    }
+  })
+  await processor.destroy()
+
+  await processor.writeFailureReport(command)
+  if (processor.failures.length > 0) {
+    console.error(
+      `✗ ${processor.failures.length} failure(s) – see ${CONFIG.OUTPUT_DIR}/failures.json`,
+    )
+    process.exitCode = 1
+  }
 }
 
 // Global unhandled-rejection guard
@@ -228,5 +910,8 @@ process.on('unhandledRejection', err => {
 
 const executedAsScript = process.argv[1] === fileURLToPath(import.meta.url)
 if (executedAsScript) {
-  main().catch(console.error)
+  main().catch(error => {
+    console.error(error)
+    process.exit(1)
+  })
 }
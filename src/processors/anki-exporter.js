@@ -0,0 +1,408 @@
+import { promises as fs } from 'fs'
+import { createHash } from 'node:crypto'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { CONFIG } from '../config.js'
+import { LEVELS } from '../data/levels.js'
+import { fileExists } from '../utils/fs.js'
+import { createZip } from '../utils/zip.js'
+
+/**
+ * Fixed ID of the note type, shared by all levels. It must never change,
+ * otherwise re-importing creates a second note type instead of updating. The
+ * deck IDs are fixed per level in `src/data/levels.js`.
+ */
+const MODEL_ID = 1718000000001
+
+/**
+ * Name of the note type.
+ */
+const MODEL_NAME = 'Goethe Zertifikat Wortliste (Definition/Example)'
+
+/**
+ * Fields of the note type, in order.
+ */
+const FIELDS = ['Definition', 'Example', 'Source image']
+
+/**
+ * Anki's field separator inside `notes.flds`.
+ */
+const FIELD_SEPARATOR = '\x1f'
+
+const CARD_CSS = `.card {
+  font-family: arial;
+  font-size: 20px;
+  text-align: left;
+  color: black;
+  background-color: white;
+}
+.example { margin-top: 1em; }
+.source img { max-width: 100%; margin-top: 1em; }`
+
+/**
+ * Schema of an Anki 2.1 "collection.anki2" file (schema version 11).
+ */
+const COLLECTION_SCHEMA = `
+CREATE TABLE col (
+  id integer PRIMARY KEY, crt integer NOT NULL, mod integer NOT NULL, scm integer NOT NULL,
+  ver integer NOT NULL, dty integer NOT NULL, usn integer NOT NULL, ls integer NOT NULL,
+  conf text NOT NULL, models text NOT NULL, decks text NOT NULL, dconf text NOT NULL, tags text NOT NULL
+);
+CREATE TABLE notes (
+  id integer PRIMARY KEY, guid text NOT NULL, mid integer NOT NULL, mod integer NOT NULL,
+  usn integer NOT NULL, tags text NOT NULL, flds text NOT NULL, sfld integer NOT NULL,
+  csum integer NOT NULL, flags integer NOT NULL, data text NOT NULL
+);
+CREATE TABLE cards (
+  id integer PRIMARY KEY, nid integer NOT NULL, did integer NOT NULL, ord integer NOT NULL,
+  mod integer NOT NULL, usn integer NOT NULL, type integer NOT NULL, queue integer NOT NULL,
+  due integer NOT NULL, ivl integer NOT NULL, factor integer NOT NULL, reps integer NOT NULL,
+  lapses integer NOT NULL, left integer NOT NULL, odue integer NOT NULL, odid integer NOT NULL,
+  flags integer NOT NULL, data text NOT NULL
+);
+CREATE TABLE revlog (
+  id integer PRIMARY KEY, cid integer NOT NULL, usn integer NOT NULL, ease integer NOT NULL,
+  ivl integer NOT NULL, lastIvl integer NOT NULL, factor integer NOT NULL, time integer NOT NULL,
+  type integer NOT NULL
+);
+CREATE TABLE graves (usn integer NOT NULL, oid integer NOT NULL, type integer NOT NULL);
+CREATE INDEX ix_notes_usn ON notes (usn);
+CREATE INDEX ix_cards_usn ON cards (usn);
+CREATE INDEX ix_revlog_usn ON revlog (usn);
+CREATE INDEX ix_cards_nid ON cards (nid);
+CREATE INDEX ix_cards_sched ON cards (did, queue, due);
+CREATE INDEX ix_revlog_cid ON revlog (cid);
+CREATE INDEX ix_notes_csum ON notes (csum);
+`
+
+/**
+ * @class AnkiExporter
+ * @description Writes the final entries as an Anki package (.apkg): a SQLite
+ * collection with one note per entry plus the crop images referenced by the
+ * notes, zipped together. Note GUIDs are derived from the stable entry IDs,
+ * so re-importing a newer package updates existing notes.
+ */
+export class AnkiExporter {
+  /**
+   * @param {string} outputDir - Directory holding the crop images and receiving the package.
+   * @param {'A1'|'A2'|'B1'} [level] - Word list, which selects the deck; defaults to the
+   *   configured level.
+   */
+  constructor(outputDir, level = CONFIG.LEVEL) {
+    this.outputDir = outputDir
+    this.level = level
+    this.deck = { id: LEVELS[level].deckId, name: LEVELS[level].title }
+  }
+
+  /**
+   * Builds the package and writes it to `<outputDir>/<fileName>`.
+   *
+   * @param {Array<{id: string, definition: string, example: string, provenance?: import('./data-processor.js').SourceRegion[]}>} entries - Final entries with IDs.
+   * @param {{gitVersion: string, generatedAt: string}} metadata - Run metadata shown in the deck description.
+   * @param {string} [fileName='wortliste.apkg'] - Package file name.
+   * @returns {Promise<{notes: number, media: number, missingMedia: string[]}>} Counts and crop images that were not found.
+   */
+  async write(entries, metadata, fileName = 'wortliste.apkg') {
+    const { files: media, missing } = await this.collectMedia(entries)
+    const tempDir = await fs.mkdtemp(path.join(tmpdir(), 'wortliste-anki-'))
+
+    try {
+      const dbPath = path.join(tempDir, 'collection.anki2')
+      await this.buildCollection(entries, metadata, dbPath, new Set(media.map(file => file.name)))
+
+      const mediaMap = Object.fromEntries(media.map((file, i) => [String(i), file.name]))
+      const archive = createZip([
+        { name: 'collection.anki2', data: await fs.readFile(dbPath) },
+        { name: 'media', data: JSON.stringify(mediaMap) },
+        ...media.map((file, i) => ({ name: String(i), data: file.data })),
+      ])
+      await fs.writeFile(path.join(this.outputDir, fileName), archive)
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true })
+    }
+
+    return { notes: entries.length, media: media.length, missingMedia: missing }
+  }
+
+  /**
+   * Reads the crop images referenced by the entries' provenance.
+   *
+   * @param {Array<{provenance?: import('./data-processor.js').SourceRegion[]}>} entries - Final entries.
+   * @returns {Promise<{files: Array<{name: string, data: Buffer}>, missing: string[]}>} Image contents and names of images not on disk.
+   */
+  async collectMedia(entries) {
+    const names = [
+      ...new Set(entries.flatMap(entry => (entry.provenance ?? []).map(r => r.image))),
+    ].filter(Boolean)
+    const files = []
+    const missing = []
+
+    for (const name of names) {
+      const imagePath = path.join(this.outputDir, name)
+      if (await fileExists(imagePath)) {
+        files.push({ name, data: await fs.readFile(imagePath) })
+      } else {
+        missing.push(name)
+      }
+    }
+
+    return { files, missing }
+  }
+
+  /**
+   * Creates the SQLite collection with the note type, the deck and one note
+   * and card per entry. `node:sqlite` is loaded only here, so its
+   * experimental warning is printed only when a deck is written.
+   *
+   * @param {Array<{id: string, definition: string, example: string, provenance?: import('./data-processor.js').SourceRegion[]}>} entries - Final entries with IDs.
+   * @param {{gitVersion: string, generatedAt: string}} metadata - Run metadata.
+   * @param {string} dbPath - Where to create the database.
+   * @param {Set<string>} available - Crop images included in the package.
+   * @returns {Promise<void>}
+   */
+  async buildCollection(entries, metadata, dbPath, available) {
+    const { DatabaseSync } = await import('node:sqlite')
+    const now = Math.floor(Date.parse(metadata.generatedAt) / 1000)
+    const db = new DatabaseSync(dbPath)
+
+    try {
+      db.exec(COLLECTION_SCHEMA)
+      db.prepare('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)').run(
+        now,
+        now * 1000,
+        now * 1000,
+        JSON.stringify(this._collectionConfig()),
+        JSON.stringify({ [MODEL_ID]: this._noteType(now) }),
+        JSON.stringify(this._decks(now, metadata)),
+        JSON.stringify({ 1: this._deckConfig(now) }),
+        '{}',
+      )
+
+      const insertNote = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, ?)')
+      const insertCard = db.prepare(
+        'INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, ?)',
+      )
+
+      db.exec('BEGIN')
+      entries.forEach((entry, i) => {
+        const fields = this.noteFields(entry, available)
+        const noteId = this._numericId(`note:${entry.id}`)
+        insertNote.run(
+          noteId,
+          this.guid(entry.id),
+          MODEL_ID,
+          now,
+          ` ${this.noteTags(entry).join(' ')} `,
+          fields.join(FIELD_SEPARATOR),
+          fields[0],
+          this._checksum(fields[0]),
+          '',
+        )
+        insertCard.run(this._numericId(`card:${entry.id}`), noteId, this.deck.id, now, i + 1, '')
+      })
+      db.exec('COMMIT')
+    } finally {
+      db.close()
+    }
+  }
+
+  /**
+   * Field values of a note: HTML-escaped definition and example, and `<img>`
+   * tags for the crop images of all source regions.
+   *
+   * @param {{definition: string, example: string, provenance?: import('./data-processor.js').SourceRegion[]}} entry - Final entry.
+   * @param {Set<string>} [available] - Crop images included in the package; all when omitted.
+   * @returns {string[]} Values in the order of the note type fields.
+   */
+  noteFields(entry, available) {
+    const images = (entry.provenance ?? [])
+      .map(region => region.image)
+      .filter(image => image && (!available || available.has(image)))
+      .map(image => `<img src="${this._escape(image)}">`)
+
+    return [
+      this._escape(entry.definition).replace(/\n/g, '<br>'),
+      this._escape(entry.example).replace(/\n/g, '<br>'),
+      images.join(''),
+    ]
+  }
+
+  /**
+   * Tags of a note: the level ("level-b1") and the pages and page columns its
+   * source regions come from, e.g. "page-042" and "column-042-l".
+   *
+   * @param {{provenance?: import('./data-processor.js').SourceRegion[]}} entry - Final entry.
+   * @returns {string[]} Unique tags.
+   */
+  noteTags(entry) {
+    const tags = ['wortliste', `level-${this.level.toLowerCase()}`]
+    for (const { page, column } of entry.provenance ?? []) {
+      if (page == null) continue
+      const padded = String(page).padStart(3, '0')
+      tags.push(`page-${padded}`)
+      if (column) tags.push(`column-${padded}-${column}`)
+    }
+    return [...new Set(tags)]
+  }
+
+  /**
+   * Stable note GUID derived from the entry ID.
+   *
+   * @param {string} entryId - Stable entry ID.
+   * @returns {string} A 10-character GUID.
+   */
+  guid(entryId) {
+    return createHash('sha1').update(`wortliste:${entryId}`).digest('base64url').slice(0, 10)
+  }
+
+  /**
+   * @private
+   * @param {string} key
+   * @returns {number} Deterministic positive integer below 2^48.
+   */
+  _numericId(key) {
+    return parseInt(createHash('sha1').update(key).digest('hex').slice(0, 12), 16)
+  }
+
+  /**
+   * Anki's duplicate-check checksum: the first 8 hex digits of the SHA-1 of
+   * the first field with HTML removed.
+   *
+   * @private
+   * @param {string} field
+   * @returns {number}
+   */
+  _checksum(field) {
+    const text = field.replace(/<[^>]*>/g, '')
+    return parseInt(createHash('sha1').update(text).digest('hex').slice(0, 8), 16)
+  }
+
+  /**
+   * @private
+   * @param {string} text
+   * @returns {string}
+   */
+  _escape(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+
+  /** @private */
+  _noteType(now) {
+    return {
+      id: MODEL_ID,
+      name: MODEL_NAME,
+      type: 0,
+      mod: now,
+      usn: -1,
+      sortf: 0,
+      did: this.deck.id,
+      tmpls: [
+        {
+          name: 'Card 1',
+          ord: 0,
+          qfmt: '{{Definition}}',
+          afmt: '{{FrontSide}}<hr id="answer"><div class="example">{{Example}}</div><div class="source">{{Source image}}</div>',
+          bqfmt: '',
+          bafmt: '',
+          did: null,
+          bfont: '',
+          bsize: 0,
+        },
+      ],
+      flds: FIELDS.map((name, ord) => ({
+        name,
+        ord,
+        sticky: false,
+        rtl: false,
+        font: 'Arial',
+        size: 20,
+        media: [],
+      })),
+      css: CARD_CSS,
+      latexPre:
+        '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+      latexPost: '\\end{document}',
+      latexsvg: false,
+      req: [[0, 'any', [0]]],
+      tags: [],
+      vers: [],
+    }
+  }
+
+  /** @private */
+  _decks(now, metadata) {
+    const deck = (id, name, desc) => ({
+      id,
+      name,
+      desc,
+      mod: now,
+      usn: -1,
+      collapsed: false,
+      browserCollapsed: false,
+      newToday: [0, 0],
+      revToday: [0, 0],
+      lrnToday: [0, 0],
+      timeToday: [0, 0],
+      dyn: 0,
+      conf: 1,
+      extendNew: 0,
+      extendRev: 0,
+    })
+
+    return {
+      1: deck(1, 'Default', ''),
+      [this.deck.id]: deck(
+        this.deck.id,
+        this.deck.name,
+        `Version ${metadata.gitVersion} – generated at ${metadata.generatedAt}`,
+      ),
+    }
+  }
+
+  /** @private */
+  _deckConfig(now) {
+    return {
+      id: 1,
+      name: 'Default',
+      mod: now,
+      usn: -1,
+      maxTaken: 60,
+      autoplay: true,
+      timer: 0,
+      replayq: true,
+      dyn: false,
+      new: {
+        delays: [1, 10],
+        ints: [1, 4, 7],
+        initialFactor: 2500,
+        order: 1,
+        perDay: 20,
+        bury: true,
+      },
+      rev: { perDay: 200, ease4: 1.3, ivlFct: 1, maxIvl: 36500, fuzz: 0.05, bury: true },
+      lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+    }
+  }
+
+  /** @private */
+  _collectionConfig() {
+    return {
+      nextPos: 1,
+      estTimes: true,
+      activeDecks: [1],
+      sortType: 'noteFld',
+      timeLim: 0,
+      sortBackwards: false,
+      addToCur: true,
+      curDeck: 1,
+      newSpread: 0,
+      dueCounts: true,
+      curModel: MODEL_ID,
+      collapseTime: 1200,
+    }
+  }
+}
@@ -1,18 +1,35 @@
 import { promises as fs } from 'fs'
 import { BREAK_OVERRIDES, CONFIG } from '../config.js'
 import { padPageNumber } from '../utils/fs.js'
+import { splitTwoClasses } from '../utils/stats.js'
+
+/**
+ * Entry gaps must be at least this many times as tall as the gaps between
+ * lines for the adaptive threshold to trust the split.
+ */
+const MIN_GAP_RATIO = 1.5
+
+/**
+ * How much darker than the paper a pixel may be and still count as white,
+ * in the adaptive mode.
+ */
+const PAPER_TOLERANCE = 15
 
 /**
  * @class BreakDetector
  * @description Detects vertical breaks between vocabulary entries in a column of a page image.
  * It analyzes raw pixel data to find contiguous rows of white space that signify a separation.
+ * In the adaptive mode the gap threshold and the whiteness cutoff are chosen
+ * per column from its own whitespace runs and paper colour.
  */
 export class BreakDetector {
   /**
-   * Create a new break detector using configured threshold value.
+   * Create a new break detector using the configured threshold, whiteness cutoff and mode.
    */
   constructor() {
     this.threshold = CONFIG.BREAK_THRESHOLD
+    this.whiteThreshold = CONFIG.WHITE_THRESHOLD
+    this.adaptive = CONFIG.ADAPTIVE_THRESHOLD
   }
 
   /**
@@ -23,13 +40,18 @@ export class BreakDetector {
    * @param {import('sharp').Raw} info - Metadata from sharp ({ width, height, channels }).
    * @param {number} pageNum - The page number, used for logging and overrides.
    * @param {'l'|'r'} column - The column identifier ('l' for left, 'r' for right).
+   * @param {Set<number>} [overrides] - Forced breaks to use instead of the column's {@link BREAK_OVERRIDES}.
    * @returns {Array<[number, number]>} An array of [startY, endY] ranges representing detected content blocks.
    */
-  detectBreaks(pixelBuffer, info, pageNum, column) {
+  detectBreaks(pixelBuffer, info, pageNum, column, overrides) {
     const paddedPage = padPageNumber(pageNum)
     const prefix = `${paddedPage}-${column}`
     const { width, height, channels } = info
 
+    const { threshold, whiteThreshold } = this.adaptive
+      ? this.adaptiveThresholds(pixelBuffer, info, prefix)
+      : { threshold: this.threshold, whiteThreshold: this.whiteThreshold }
+
     let y = 0
     let state = 'trail'
     let start = null
@@ -37,7 +59,7 @@ export class BreakDetector {
     const ranges = []
 
     // Get overrides for this prefix
-    const overrides = BREAK_OVERRIDES[prefix] || new Set()
+    overrides ??= BREAK_OVERRIDES[prefix] || new Set()
 
     // Iterate through each row of pixels
     for (y = 0; y < height; y++) {
@@ -47,7 +69,7 @@ export class BreakDetector {
         start = 0 // Reset start for override to ensure a break is registered
       }
 
-      const rowIsEmpty = this.isRowEmpty(pixelBuffer, y, width, channels)
+      const rowIsEmpty = this.isRowEmpty(pixelBuffer, y, width, channels, whiteThreshold)
 
       // State machine for break detection
       switch (state) {
@@ -67,7 +89,7 @@ export class BreakDetector {
         case 'found': // Found an empty line, checking if it's long enough for a break
         case 'overridden': // Overridden state forces a break
           if (rowIsEmpty) {
-            if (y > start + this.threshold || state === 'overridden') {
+            if (y > start + threshold || state === 'overridden') {
               ranges.push([rectStart, y])
               rectStart = y
               state = 'trail' // Reset after a break
@@ -87,6 +109,85 @@ export class BreakDetector {
     return ranges
   }
 
+  /**
+   * Chooses the whiteness cutoff and the break threshold of a column: the
+   * cutoff sits {@link PAPER_TOLERANCE} below the most common light value
+   * (the paper), and the threshold between the two classes of whitespace
+   * runs, line spacing and entry spacing. Logs the chosen values and falls
+   * back to the configured threshold when the runs do not form two classes.
+   *
+   * @param {Buffer} pixelBuffer - Raw pixel data buffer from sharp.
+   * @param {import('sharp').Raw} info - Metadata from sharp ({ width, height, channels }).
+   * @param {string} prefix - "page-column" prefix used in log messages.
+   * @returns {{threshold: number, whiteThreshold: number}} The values to detect breaks with.
+   */
+  adaptiveThresholds(pixelBuffer, info, prefix) {
+    const whiteThreshold = this.paperCutoff(pixelBuffer, info)
+    const runs = this.whitespaceRuns(pixelBuffer, info, whiteThreshold).sort((a, b) => a - b)
+    const split = splitTwoClasses(runs, MIN_GAP_RATIO)
+
+    if (split === null) {
+      console.warn(
+        `⚠ ${prefix}: no distinct entry spacing in ${runs.length} whitespace runs – using threshold ${this.threshold} (whiteness cutoff ${whiteThreshold})`,
+      )
+      return { threshold: this.threshold, whiteThreshold }
+    }
+
+    // A run of n empty rows makes a break when n >= threshold + 2
+    const lineGap = runs[split - 1]
+    const entryGap = runs[split]
+    const threshold = Math.max(0, Math.round((lineGap + entryGap) / 2) - 2)
+    console.log(
+      `${prefix}: adaptive threshold ${threshold} (line gaps ≤ ${lineGap} rows, entry gaps ≥ ${entryGap} rows, whiteness cutoff ${whiteThreshold})`,
+    )
+    return { threshold, whiteThreshold }
+  }
+
+  /**
+   * Lengths of the runs of empty rows between content rows; the margins above
+   * the first and below the last content row are left out.
+   *
+   * @param {Buffer} pixelBuffer - Raw pixel data buffer from sharp.
+   * @param {import('sharp').Raw} info - Metadata from sharp ({ width, height, channels }).
+   * @param {number} whiteThreshold - Whiteness cutoff, see {@link BreakDetector#isRowEmpty}.
+   * @returns {number[]} Run lengths in rows, top to bottom.
+   */
+  whitespaceRuns(pixelBuffer, { width, height, channels }, whiteThreshold) {
+    const runs = []
+    let run = null // null until the first content row
+    for (let y = 0; y < height; y++) {
+      if (this.isRowEmpty(pixelBuffer, y, width, channels, whiteThreshold)) {
+        if (run !== null) run++
+      } else {
+        if (run > 0) runs.push(run)
+        run = 0
+      }
+    }
+    return runs
+  }
+
+  /**
+   * Whiteness cutoff for a column: {@link PAPER_TOLERANCE} below the most
+   * common light channel value, i.e. 240 for pure white paper and lower for
+   * greyish scans.
+   *
+   * @param {Buffer} pixelBuffer - Raw pixel data buffer from sharp.
+   * @param {import('sharp').Raw} info - Metadata from sharp ({ width, height, channels }).
+   * @returns {number} The cutoff.
+   */
+  paperCutoff(pixelBuffer, { width, height, channels }) {
+    const histogram = new Uint32Array(256)
+    for (let offset = 0; offset < width * height * channels; offset += channels) {
+      const value = Math.min(pixelBuffer[offset], pixelBuffer[offset + 1], pixelBuffer[offset + 2])
+      histogram[value]++
+    }
+    let paper = 255
+    for (let value = 128; value < 256; value++) {
+      if (histogram[value] > histogram[paper]) paper = value
+    }
+    return paper - PAPER_TOLERANCE
+  }
+
   /**
    * Checks if a row of pixels is predominantly "white" (empty).
    * A row is considered empty if all its pixels are lighter than a given threshold,
@@ -97,9 +198,11 @@ export class BreakDetector {
    * @param {number} rowIdx - The y-coordinate (index) of the row to check.
    * @param {number} width - Width of the image in pixels.
    * @param {number} channels - Number of color channels (e.g., 3 for RGB, 4 for RGBA).
+   * @param {number} [whiteThreshold] - Lowest channel value that counts as white
+   *   (`CONFIG.WHITE_THRESHOLD` by default).
    * @returns {boolean} `true` if the row is considered empty, `false` otherwise.
    */
-  isRowEmpty(pixelBuffer, rowIdx, width, channels) {
+  isRowEmpty(pixelBuffer, rowIdx, width, channels, whiteThreshold = this.whiteThreshold) {
     const rowStartOffset = rowIdx * width * channels
     for (let x = 0; x < width; x++) {
       const pixelOffset = rowStartOffset + x * channels
@@ -109,9 +212,6 @@ export class BreakDetector {
 
       // Assuming white is RGB (255, 255, 255) or close to it.
       // Allow for some tolerance due to anti-aliasing or compression artifacts.
-      // A common threshold for "mostly white" could be > 240 for each channel.
-      const whiteThreshold = 240 // Adjust as needed
-
       if (r < whiteThreshold || g < whiteThreshold || b < whiteThreshold) {
         return false // Found a non-white pixel
       }
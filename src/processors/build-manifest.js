@@ -0,0 +1,247 @@
+import { promises as fs } from 'fs'
+import { createHash } from 'node:crypto'
+import path from 'node:path'
+import { CONFIG } from '../config.js'
+import { fileExists, hashFile, readJSON, writeJSON } from '../utils/fs.js'
+
+/**
+ * Version of the manifest file format.
+ */
+const MANIFEST_VERSION = 1
+
+/**
+ * Cacheable pipeline stages and the source files (relative to `src/`) whose
+ * code determines their output. Editing one of these files invalidates every
+ * artifact of the stage.
+ */
+export const STAGES = {
+  render: ['processors/pdf-converter.js', 'runtime/workers/pdf-render-worker.js'],
+  layout: [
+    'processors/layout-detector.js',
+    'processors/text-extractor.js',
+    'processors/page-text-index.js',
+  ],
+  breaks: [
+    'processors/break-detector.js',
+    'processors/text-break-detector.js',
+    'processors/text-extractor.js',
+    'processors/page-text-index.js',
+    'processors/image-processor.js',
+    'utils/stats.js',
+  ],
+  extract: [
+    'processors/text-extractor.js',
+    'processors/page-text-index.js',
+    'processors/correction-rules.js',
+    'data/corrections.js',
+    'data/levels.js',
+  ],
+  crop: ['processors/image-processor.js', 'runtime/workers/image-worker.js'],
+  annotate: ['processors/image-processor.js', 'runtime/workers/image-worker.js'],
+  groups: [
+    'processors/thematic-extractor.js',
+    'processors/text-extractor.js',
+    'processors/page-text-index.js',
+    'processors/text-normalizer.js',
+    'data/normalization.js',
+  ],
+  csv: [
+    'processors/data-processor.js',
+    'processors/text-normalizer.js',
+    'data/normalization.js',
+    'processors/definition-parser.js',
+    'processors/correction-rules.js',
+    'data/corrections.js',
+    'data/levels.js',
+  ],
+}
+
+/**
+ * @typedef {object} ArtifactRecord
+ * @property {keyof typeof STAGES} stage - Stage that produced the artifact.
+ * @property {string} inputs - Digest of all inputs the artifact was built from.
+ * @property {string} output - SHA-256 of the artifact itself, used as input digest downstream.
+ */
+
+/**
+ * @typedef {object} StageInputs
+ * @property {boolean} [pdf] - Whether the artifact is derived from the PDF bytes.
+ * @property {object} [config] - The configuration slice the artifact depends on.
+ * @property {string[]} [upstream] - Paths of artifacts the stage reads.
+ */
+
+/**
+ * @class BuildManifest
+ * @description Records, for every cached artifact in the output directory,
+ * a digest of the inputs it was built from: PDF bytes, the relevant config
+ * slice, the code of the producing stage and the upstream artifacts. An
+ * artifact is only reused while that digest still matches, so changes to
+ * break overrides, thresholds, fix rules or the PDF rebuild exactly the
+ * affected artifacts.
+ */
+export class BuildManifest {
+  /**
+   * @param {string} [manifestPath] - Location of the manifest file.
+   */
+  constructor(manifestPath = `${CONFIG.OUTPUT_DIR}/manifest.json`) {
+    this.manifestPath = manifestPath
+    this.force = false
+    /** @type {Set<string>} */
+    this.forceStages = new Set()
+    /** @type {Record<string, ArtifactRecord>} */
+    this.artifacts = {}
+    this._loading = null
+    this._saving = Promise.resolve()
+    this._codeHashes = new Map()
+    this._pdfHash = null
+  }
+
+  /**
+   * Sets which artifacts are rebuilt regardless of their recorded inputs.
+   *
+   * @param {{force?: boolean, forceStages?: string[]}} options - `force` rebuilds everything,
+   *   `forceStages` only the artifacts of the named stages.
+   * @returns {void}
+   */
+  configure({ force = false, forceStages = [] } = {}) {
+    for (const stage of forceStages) {
+      if (!(stage in STAGES)) {
+        throw new Error(
+          `Unknown stage "${stage}" (expected one of ${Object.keys(STAGES).join(', ')})`,
+        )
+      }
+    }
+    this.force = force
+    this.forceStages = new Set(forceStages)
+  }
+
+  /**
+   * Loads the manifest of earlier runs once; a missing or outdated manifest
+   * starts empty, so every artifact is rebuilt.
+   *
+   * @returns {Promise<void>}
+   */
+  async load() {
+    this._loading ??= (async () => {
+      if (!(await fileExists(this.manifestPath))) return
+      const manifest = await readJSON(this.manifestPath)
+      if (manifest.version === MANIFEST_VERSION) this.artifacts = manifest.artifacts
+    })()
+    await this._loading
+  }
+
+  /**
+   * Writes the manifest. Concurrent calls are serialised.
+   *
+   * @returns {Promise<void>}
+   */
+  async save() {
+    this._saving = this._saving.then(() =>
+      writeJSON(this.manifestPath, { version: MANIFEST_VERSION, artifacts: this.artifacts }),
+    )
+    await this._saving
+  }
+
+  /**
+   * Computes the input digest of an artifact of the given stage.
+   *
+   * @param {keyof typeof STAGES} stage - Producing stage.
+   * @param {StageInputs} inputs - What the artifact depends on besides the stage code.
+   * @returns {Promise<string>} Hex SHA-256 digest.
+   */
+  async digest(stage, { pdf = false, config = {}, upstream = [] } = {}) {
+    await this.load()
+    const upstreamHashes = []
+    for (const file of upstream) {
+      upstreamHashes.push([path.basename(file), await this._outputHash(file)])
+    }
+
+    const inputs = {
+      stage,
+      code: await this._codeHash(stage),
+      pdf: pdf ? await this._pdfDigest() : null,
+      config,
+      upstream: upstreamHashes,
+    }
+    return createHash('sha256').update(JSON.stringify(inputs)).digest('hex')
+  }
+
+  /**
+   * Whether an artifact exists and was built from the same inputs.
+   *
+   * @param {string} artifact - Path of the artifact.
+   * @param {keyof typeof STAGES} stage - Producing stage.
+   * @param {string} digest - Current input digest from {@link BuildManifest#digest}.
+   * @returns {Promise<boolean>} `true` when the artifact can be reused.
+   */
+  async isFresh(artifact, stage, digest) {
+    await this.load()
+    if (this.force || this.forceStages.has(stage)) return false
+    const record = this.artifacts[path.basename(artifact)]
+    return record?.stage === stage && record.inputs === digest && (await fileExists(artifact))
+  }
+
+  /**
+   * Records a freshly built artifact.
+   *
+   * @param {string} artifact - Path of the artifact.
+   * @param {keyof typeof STAGES} stage - Producing stage.
+   * @param {string} digest - Input digest the artifact was built from.
+   * @returns {Promise<void>}
+   */
+  async record(artifact, stage, digest) {
+    await this.load()
+    this.artifacts[path.basename(artifact)] = {
+      stage,
+      inputs: digest,
+      output: await hashFile(artifact),
+    }
+  }
+
+  /**
+   * Forgets an artifact, e.g. after deleting a crop that no longer has a range.
+   *
+   * @param {string} artifact - Path of the artifact.
+   * @returns {Promise<void>}
+   */
+  async remove(artifact) {
+    await this.load()
+    delete this.artifacts[path.basename(artifact)]
+  }
+
+  /**
+   * @private
+   * @param {string} file
+   * @returns {Promise<string|null>}
+   */
+  async _outputHash(file) {
+    const record = this.artifacts[path.basename(file)]
+    if (record) return record.output
+    return (await fileExists(file)) ? hashFile(file) : null
+  }
+
+  /**
+   * @private
+   * @param {keyof typeof STAGES} stage
+   * @returns {Promise<string>}
+   */
+  async _codeHash(stage) {
+    if (!this._codeHashes.has(stage)) {
+      const hash = createHash('sha256')
+      for (const file of STAGES[stage]) {
+        hash.update(file).update(await fs.readFile(new URL(`../${file}`, import.meta.url)))
+      }
+      this._codeHashes.set(stage, hash.digest('hex'))
+    }
+    return this._codeHashes.get(stage)
+  }
+
+  /**
+   * @private
+   * @returns {Promise<string>}
+   */
+  async _pdfDigest() {
+    this._pdfHash ??= hashFile(CONFIG.PDF_FILE)
+    return this._pdfHash
+  }
+}
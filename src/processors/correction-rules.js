@@ -0,0 +1,181 @@
+import { CONFIG } from '../config.js'
+import { LEVELS } from '../data/levels.js'
+
+/**
+ * Stages at which correction rules can run, in pipeline order.
+ */
+const STAGES = ['extract', 'pre', 'post']
+
+/**
+ * Fields a rule may read or rewrite.
+ */
+const FIELDS = ['definition', 'example']
+
+/**
+ * @typedef {object} CorrectionRule
+ * @property {string} id - Unique, stable identifier used in reports.
+ * @property {'extract'|'pre'|'post'} stage - When the rule runs.
+ * @property {number|number[]} [page] - Restrict the rule to these pages.
+ * @property {'l'|'r'} [column] - Restrict the rule to one column.
+ * @property {'definition'|'example'} [field] - Field rewritten by `match`/`replace`.
+ * @property {RegExp} [match] - Pattern to replace in `field`.
+ * @property {string} [replace] - Replacement string (supports `$1` etc.).
+ * @property {Partial<Record<'definition'|'example', string>>} [override] - Field values replacing the extracted text.
+ * @property {Partial<Record<'definition'|'example', RegExp|RegExp[]>>} [when] - Patterns that must all match first.
+ * @property {string} [note] - Free-form remark.
+ */
+
+/**
+ * @typedef {object} CorrectionContext
+ * @property {number} [page] - Page the text comes from.
+ * @property {'l'|'r'} [column] - Column the text comes from.
+ * @property {string[]} [fired] - Receives the ids of rules that changed the text.
+ */
+
+/**
+ * @class CorrectionRules
+ * @description Applies the declarative OCR/layout fixes of a word list
+ * (`src/data/corrections.js` for B1, see `src/data/levels.js`), records which
+ * rules fired and reports rules that never matched (typically fixes gone stale
+ * after a PDF update).
+ */
+export class CorrectionRules {
+  /**
+   * @param {CorrectionRule[]} [rules] - Rules to apply, in order; defaults to the
+   *   rules of the configured level.
+   */
+  constructor(rules = LEVELS[CONFIG.LEVEL].corrections) {
+    this.validate(rules)
+    this.rules = rules
+  }
+
+  /**
+   * Checks that every rule is well-formed, throwing on the first problem.
+   *
+   * @param {CorrectionRule[]} rules - Rules to check.
+   * @returns {void}
+   */
+  validate(rules) {
+    const ids = new Set()
+    for (const rule of rules) {
+      const label = `Correction rule ${rule.id ?? '(without id)'}`
+      if (!rule.id) throw new Error(`${label}: missing id`)
+      if (ids.has(rule.id)) throw new Error(`${label}: duplicate id`)
+      ids.add(rule.id)
+
+      if (!STAGES.includes(rule.stage)) {
+        throw new Error(`${label}: stage must be one of ${STAGES.join(', ')}`)
+      }
+      if (rule.override) {
+        if (Object.keys(rule.override).some(key => !FIELDS.includes(key))) {
+          throw new Error(`${label}: override may only set ${FIELDS.join(', ')}`)
+        }
+      } else if (!FIELDS.includes(rule.field) || !(rule.match instanceof RegExp)) {
+        throw new Error(`${label}: needs either override or field, match and replace`)
+      } else if (typeof rule.replace !== 'string') {
+        throw new Error(`${label}: replace must be a string`)
+      }
+    }
+  }
+
+  /**
+   * Applies all rules of a stage to the given fields. Rules only see the
+   * fields that are passed in, so single-field stages (`pre`, `post`) skip
+   * rules that rewrite or test the other field.
+   *
+   * @param {'extract'|'pre'|'post'} stage - Stage to run.
+   * @param {Partial<Record<'definition'|'example', string>>} fields - Text to correct.
+   * @param {CorrectionContext} [context={}] - Location of the text and sink for fired rule ids.
+   * @returns {Partial<Record<'definition'|'example', string>>} The corrected fields.
+   */
+  apply(stage, fields, context = {}) {
+    const result = { ...fields }
+
+    for (const rule of this.rules) {
+      if (rule.stage !== stage || !this.inScope(rule, context)) continue
+      if (!this.conditionsMet(rule, result)) continue
+
+      if (rule.override) {
+        if (Object.keys(rule.override).some(key => !(key in result))) continue
+        Object.assign(result, rule.override)
+        this._recordFired(rule, context)
+      } else if (rule.field in result && result[rule.field].search(rule.match) !== -1) {
+        result[rule.field] = result[rule.field].replace(rule.match, rule.replace)
+        this._recordFired(rule, context)
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * Whether a rule applies to the page and column of the context.
+   *
+   * @param {CorrectionRule} rule - Rule to check.
+   * @param {CorrectionContext} context - Location of the text.
+   * @returns {boolean} `true` when the rule is unscoped or scoped to this location.
+   */
+  inScope(rule, context) {
+    if (rule.page !== undefined && !this._rulePages(rule).includes(context.page)) return false
+    if (rule.column !== undefined && rule.column !== context.column) return false
+    return true
+  }
+
+  /**
+   * Evaluates the `when` guards of a rule. Guards on fields that are not
+   * available make the rule inapplicable.
+   *
+   * @param {CorrectionRule} rule - Rule to check.
+   * @param {Partial<Record<'definition'|'example', string>>} fields - Current field values.
+   * @returns {boolean} `true` when all guards match.
+   */
+  conditionsMet(rule, fields) {
+    for (const [field, patterns] of Object.entries(rule.when ?? {})) {
+      if (!(field in fields)) return false
+      for (const pattern of [patterns].flat()) {
+        if (fields[field].search(pattern) === -1) return false
+      }
+    }
+    return true
+  }
+
+  /**
+   * @private
+   * @param {CorrectionRule} rule
+   * @param {CorrectionContext} context
+   */
+  _recordFired(rule, context) {
+    if (context.fired && !context.fired.includes(rule.id)) context.fired.push(rule.id)
+  }
+
+  /**
+   * @private
+   * @param {CorrectionRule} rule
+   * @returns {number[]}
+   */
+  _rulePages(rule) {
+    return [rule.page].flat()
+  }
+
+  /**
+   * Summarises which entries each rule fired for and which rules never
+   * matched. Page-scoped rules are only considered when one of their pages
+   * was part of the run.
+   *
+   * @param {Array<{definition: string, corrections?: string[]}>} entries - Final entries with fired rule ids.
+   * @param {number[]} pages - Pages included in the run.
+   * @returns {{rules: Array<{id: string, stage: string, hits: number, definitions: string[]}>, unmatched: string[]}} Per-rule hits and ids of rules that never fired.
+   */
+  buildReport(entries, pages) {
+    const rules = this.rules
+      .filter(rule => rule.page === undefined || this._rulePages(rule).some(p => pages.includes(p)))
+      .map(rule => {
+        const definitions = entries
+          .filter(entry => entry.corrections?.includes(rule.id))
+          .map(entry => entry.definition)
+        return { id: rule.id, stage: rule.stage, hits: definitions.length, definitions }
+      })
+
+    return { rules, unmatched: rules.filter(rule => rule.hits === 0).map(rule => rule.id) }
+  }
+}
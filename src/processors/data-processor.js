@@ -1,6 +1,19 @@
 import { promises as fs } from 'fs'
 import { spawn } from 'child_process'
+import path from 'node:path'
 import { CONFIG } from '../config.js'
+import { DefinitionParser } from './definition-parser.js'
+import { CorrectionRules } from './correction-rules.js'
+import { TextNormalizer } from './text-normalizer.js'
+
+/**
+ * @typedef {object} SourceRegion
+ * @property {number|null} page - Page the region was extracted from.
+ * @property {'l'|'r'|null} column - Column the region was extracted from.
+ * @property {number|null} index - Index of the break range within the column.
+ * @property {[number, number]|null} yRange - Break range in column image pixels.
+ * @property {string|null} image - Crop image file name inside the output directory.
+ */
 
 /**
  * @class DataProcessor
@@ -11,29 +24,49 @@ export class DataProcessor {
   /**
    * Simple wrapper for processing raw and extracted data.
    */
-  constructor() {}
+  constructor() {
+    this.definitionParser = new DefinitionParser()
+    this.corrections = new CorrectionRules()
+    this.normalizer = new TextNormalizer()
+  }
 
   /**
    * Merges raw OCR entries into a buffer. If an entry has no definition,
    * its example text is appended to the example of the previous entry.
    * This is used to combine examples that span multiple detected regions.
+   * Each buffered entry keeps the source regions it was merged from in
+   * `provenance` (the first one is where the entry starts) and the correction
+   * rules that fired during extraction.
    *
-   * @param {Array<{definition: string, example: string}>} inputData - Newly extracted data items.
+   * @param {Array<{definition: string, example: string, page?: number, column?: 'l'|'r', index?: number, yRange?: [number, number], imagePath?: string, corrections?: string[]}>} inputData - Newly extracted data items.
    * @param {Array<{definition: string, example: string}>} buf - The buffer of already processed items to append to.
-   * @returns {Array<{definition: string, example: string}>} The updated buffer.
+   * @param {{page?: number, column?: 'l'|'r'}} [source={}] - Page and column of items that do not record them.
+   * @returns {Array<{definition: string, example: string, provenance: SourceRegion[], corrections: string[]}>} The updated buffer.
    */
-  processRawData(inputData, buf) {
+  processRawData(inputData, buf, source = {}) {
     for (const item of inputData) {
       const { definition, example } = item
+      const corrections = item.corrections ?? []
+      const region = {
+        page: item.page ?? source.page ?? null,
+        column: item.column ?? source.column ?? null,
+        index: item.index ?? null,
+        yRange: item.yRange ?? null,
+        image: item.imagePath ? path.basename(item.imagePath) : null,
+      }
 
       if (definition === '' && buf.length > 0) {
         // Merge with previous entry
         const prevItem = buf[buf.length - 1]
         prevItem.example = prevItem.example + '\n' + example
+        prevItem.provenance.push(region)
+        prevItem.corrections.push(...corrections.filter(id => !prevItem.corrections.includes(id)))
       } else {
         buf.push({
           definition: definition,
           example: example,
+          provenance: [region],
+          corrections: [...corrections],
         })
       }
     }
@@ -42,23 +75,44 @@ export class DataProcessor {
 
   /**
    * Cleans up and filters raw entries to prepare them for final output.
-   * This step processes the definition and example text separately.
+   * The text is normalized first (see {@link TextNormalizer}), with the
+   * changes recorded in `normalized`. This step then processes the definition
+   * and example text separately and attaches the structured parse of the
+   * cleaned definition as `lexical`. The ids of all correction rules applied
+   * to an entry are collected in `corrections`, and the source regions are
+   * passed through as `provenance`.
    *
-   * @param {Array<{definition: string, example: string}>} inputData - Raw, merged OCR results.
-   * @returns {Promise<Array<{definition: string, example: string}>>} A promise that resolves to the cleaned entries.
+   * @param {Array<{definition: string, example: string, provenance?: SourceRegion[], corrections?: string[]}>} inputData - Raw, merged OCR results.
+   * @returns {Promise<Array<{definition: string, example: string, lexical: import('./definition-parser.js').LexicalEntry|null, corrections: string[], normalized: import('./text-normalizer.js').NormalizationChange[], provenance: SourceRegion[]}>>} A promise that resolves to the cleaned entries.
    */
   async processExtractedData(inputData) {
     const processedData = []
 
     for (const item of inputData) {
-      const { definition, example } = item
+      const normalized = []
+      const { definition, example } = this.normalizer.apply(
+        { definition: item.definition, example: item.example },
+        normalized,
+      )
 
       // Skip entries with no example text
       if (example.trim() === '') continue
 
+      const provenance = item.provenance ?? []
+      const context = {
+        page: provenance[0]?.page,
+        column: provenance[0]?.column,
+        fired: [...(item.corrections ?? [])],
+      }
+      const cleanDefinition = this.processDefinition(definition, context)
+
       processedData.push({
-        definition: this.processDefinition(definition),
-        example: this.processExample(example),
+        definition: cleanDefinition,
+        example: this.processExample(example, context),
+        lexical: this.definitionParser.parse(cleanDefinition),
+        corrections: context.fired,
+        normalized,
+        provenance,
       })
     }
 
@@ -67,15 +121,17 @@ export class DataProcessor {
 
   /**
    * Normalizes the definition text extracted from the PDF.
-   * Applies a series of regex-based replacements to fix common formatting issues.
+   * Applies a series of regex-based replacements to fix common formatting issues,
+   * framed by the `pre` and `post` stage correction rules.
    *
    * @param {string} def - The raw definition string.
+   * @param {import('./correction-rules.js').CorrectionContext} [context={}] - Location of the entry and sink for fired rule ids.
    * @returns {string} The cleaned and formatted definition.
    */
-  processDefinition(def) {
+  processDefinition(def, context = {}) {
     if (!def) return ''
 
-    let processed = def
+    let processed = this.corrections.apply('pre', { definition: def }, context).definition
 
     // Fix newlines in definitions with "der ... die" pattern
     if (processed.match(/^der.*die/ms)) {
@@ -105,31 +161,24 @@ export class DataProcessor {
     processed = processed.replace(/\n\s*(\((A|D|CH)(,\s+(A|D|CH))*\))\s*$/, ' $1')
 
     // Apply specific cosmetic fixes
-    processed = this.applyCosmeticFixes(processed)
+    processed = this.applyCosmeticFixes(processed, context)
 
     return processed.trim()
   }
 
   /**
    * Normalizes the example sentence or list of examples.
-   * Applies various regex-based fixes for list formatting and other OCR errors.
+   * Applies various regex-based fixes for list formatting, framed by the `pre`
+   * and `post` stage correction rules for known OCR errors.
    *
    * @param {string} example - The raw example text.
+   * @param {import('./correction-rules.js').CorrectionContext} [context={}] - Location of the entry and sink for fired rule ids.
    * @returns {string} The cleaned and formatted example.
    */
-  processExample(example) {
+  processExample(example, context = {}) {
     if (!example) return ''
 
-    let processed = example
-
-    // Fix p. 39-r
-    processed = processed.replace(
-      /1 Auf dem Brief fehlt der Absender/,
-      '1. Auf dem Brief fehlt der Absender',
-    )
-
-    // Fix up 11. Mai on p. 80
-    processed = processed.replace(/11\. Mai/, '11~Mai')
+    let processed = this.corrections.apply('pre', { example }, context).example
 
     // Fix broken lists (item numbers in front)
     const listMatch = processed.match(/^(([0-9]\.\n)+)\n/ms)
@@ -164,45 +213,96 @@ export class DataProcessor {
       processed = processed.replace(/\n/g, ' ')
     }
 
-    // Revert the 11~Mai from p. 80
-    processed = processed.replace(/11~Mai/, '11. Mai')
-
-    // Cosmetic fixes to examples
-    processed = processed
-      .replace(/Ding\? Damit/, 'Ding? - Damit')
-      .replace(/Müller ist\? Nein/, 'Müller ist? - Nein')
-
-    // Special handling for Hausfrau/Hausmann (p. 49)
-    if (
-      processed.includes('Hausfrau') &&
-      processed.includes('Hausmann') &&
-      processed.includes('kümmert')
-    ) {
-      processed = processed.replace(/\//g, '\n')
-    }
+    processed = this.corrections.apply('post', { example: processed }, context).example
 
     return processed.trim()
   }
 
   /**
-   * Applies a set of hardcoded textual tweaks for specific, known OCR errors.
-   * These are fixes that are easier to perform programmatically than by manual override.
+   * Splits an example produced by {@link DataProcessor#processExample} into
+   * its numbered items. Examples that are not a numbered list yield a single
+   * item without number.
+   *
+   * @param {string} example - The cleaned example text.
+   * @returns {Array<{number: number|null, text: string}>} The individual examples.
+   */
+  splitExamples(example) {
+    if (!example) return []
+    if (!/^\d+\.\s/.test(example)) return [{ number: null, text: example }]
+
+    return example.split(/\n(?=\d+\.\s)/).map(item => {
+      const [, number, text] = item.match(/^(\d+)\.\s*([\s\S]*)$/)
+      return { number: parseInt(number), text: text.trim() }
+    })
+  }
+
+  /**
+   * Applies the `post` stage definition rules from `src/data/corrections.js`
+   * for specific, known OCR errors.
    *
    * @param {string} def - The input definition text.
+   * @param {import('./correction-rules.js').CorrectionContext} [context={}] - Location of the entry and sink for fired rule ids.
    * @returns {string} The tweaked definition text.
    */
-  applyCosmeticFixes(def) {
-    return def
-      .replace(/raus\(heraus/, 'raus- (heraus')
-      .replace(/runter\(herunter/, 'runter- (herunter')
-      .replace(/Kriminaldie Krimi/, 'Kriminal-\ndie Krimi')
-      .replace(/Reception, en/, 'Reception, -en')
-      .replace(/Serviceangestellte, n /, 'Serviceangestellte, -n ')
-      .replace(/überübertreiben,/, 'über-\nübertreiben,')
-      .replace(
-        /festnehmen nimmt fest, nahm fest, hat festgenommen\./,
-        'festnehmen, nimmt fest, nahm fest, hat festgenommen',
-      )
+  applyCosmeticFixes(def, context = {}) {
+    return this.corrections.apply('post', { definition: def }, context).definition
+  }
+
+  /**
+   * Lists verb entries whose definition does not follow the principal-parts
+   * pattern "infinitive, 3rd-sg present, Präteritum, hat/ist + Partizip II".
+   *
+   * @param {Array<{definition: string, lexical: import('./definition-parser.js').LexicalEntry|null}>} data - Processed entries.
+   * @returns {{verbs: number, mismatches: Array<{definition: string, lemma: string, issues: string[], provenance?: SourceRegion[]}>}} Verb count and non-matching entries.
+   */
+  buildVerbReport(data) {
+    let verbs = 0
+    const mismatches = []
+
+    for (const item of data) {
+      if (!item.lexical) continue
+      if (item.lexical.pos === 'verb') verbs++
+
+      const issues = item.lexical.forms.flatMap(form => this.definitionParser.verbIssues(form))
+      if (issues.length > 0) {
+        mismatches.push({
+          definition: item.definition,
+          lemma: item.lexical.lemma,
+          issues,
+          provenance: item.provenance,
+        })
+      }
+    }
+
+    return { verbs, mismatches }
+  }
+
+  /**
+   * Lists noun entries whose plural notation could not be expanded into full forms.
+   *
+   * @param {Array<{definition: string, lexical: import('./definition-parser.js').LexicalEntry|null}>} data - Processed entries.
+   * @returns {{nouns: number, unexpanded: Array<{definition: string, lemma: string, issues: string[], provenance?: SourceRegion[]}>}} Noun count and entries that could not be expanded.
+   */
+  buildNounReport(data) {
+    let nouns = 0
+    const unexpanded = []
+
+    for (const item of data) {
+      if (!item.lexical) continue
+      if (item.lexical.pos === 'noun') nouns++
+
+      const issues = item.lexical.forms.flatMap(form => this.definitionParser.nounIssues(form))
+      if (issues.length > 0) {
+        unexpanded.push({
+          definition: item.definition,
+          lemma: item.lexical.lemma,
+          issues,
+          provenance: item.provenance,
+        })
+      }
+    }
+
+    return { nouns, unexpanded }
   }
 
   /**
@@ -233,8 +333,10 @@ export class DataProcessor {
   /**
    * Creates CSV content from processed vocabulary entries.
    * The CSV includes a header with the git version and generation timestamp.
+   * Entries carrying a `lexical` parse get it as a third, JSON-encoded column,
+   * followed by the stable entry `id` once one has been assigned.
    *
-   * @param {Array<{definition: string, example: string}>} data - The array of cleaned vocabulary entries.
+   * @param {Array<{definition: string, example: string, lexical?: object|null, id?: string}>} data - The array of cleaned vocabulary entries.
    * @param {string|number} page - The page number or 'all', used for context (not in output).
    * @returns {Promise<string>} A promise that resolves to the full CSV content as a string.
    */
@@ -251,12 +353,18 @@ export class DataProcessor {
       timeZoneName: 'short',
     })
 
-    let csv = `"Goethe Zertifikat B1 Wortliste","Version ${gitVersion} -- generated at ${generatedAt}"\n`
+    let csv = `"${CONFIG.TITLE}","Version ${gitVersion} -- generated at ${generatedAt}"\n`
 
     for (const item of data) {
       const def = item.definition.replace(/"/g, '""')
       const example = item.example.replace(/"/g, '""')
-      csv += `"${def}","${example}"\n`
+      if (item.lexical === undefined) {
+        csv += `"${def}","${example}"\n`
+      } else {
+        const lexical = item.lexical ? JSON.stringify(item.lexical).replace(/"/g, '""') : ''
+        const id = item.id === undefined ? '' : `,"${item.id}"`
+        csv += `"${def}","${example}","${lexical}"${id}\n`
+      }
     }
 
     return csv
@@ -0,0 +1,415 @@
+/**
+ * Grammatical gender keyed by definite article.
+ * @type {Record<string, 'm'|'f'|'n'>}
+ */
+const ARTICLE_GENDERS = { der: 'm', die: 'f', das: 'n' }
+
+/**
+ * Region markers used by the Wortliste to flag regional vocabulary
+ * (Deutschland, Österreich, Schweiz).
+ */
+const REGION_CODES = new Set(['D', 'A', 'CH'])
+
+/**
+ * Matches a noun line such as "der Tisch, -e" or "der/das Joghurt, -s".
+ */
+const NOUN_PATTERN = /^((?:der|die|das)(?:\/(?:der|die|das))*)\s+(.+)$/
+
+/**
+ * Matches the perfect-tense part of a verb line ("hat gefressen", "ist gefahren").
+ */
+const PERFECT_PATTERN = /^(hat|ist)(\/(hat|ist))?\s+\S/
+
+/**
+ * Perfect-tense auxiliaries as printed, mapped to their infinitive.
+ * @type {Record<string, string>}
+ */
+const AUXILIARIES = { hat: 'haben', ist: 'sein' }
+
+/**
+ * Matches a German infinitive ("nehmen", "ändern", "sammeln").
+ */
+const INFINITIVE_PATTERN = /^\p{Ll}[\p{Ll}|]*(en|ern|eln|n)$/u
+
+/**
+ * Matches suffix-style plural notation: "-", "-e", "¨-er", "¨-" (the umlaut
+ * marker may come as a spacing diaeresis or a combining one).
+ */
+const PLURAL_SUFFIX_PATTERN = /^(?:([¨\u0308])\s*-?|-)\s*(\p{Ll}*)$/u
+
+/**
+ * Markers for nouns used only in the singular ("Sg.", "nur Sg.") or plural ("Pl.").
+ */
+const SINGULAR_ONLY_PATTERN = /^(nur\s+)?Sg\.?$/
+const PLURAL_ONLY_PATTERN = /^(nur\s+)?Pl\.?$/
+
+/**
+ * Umlauted counterparts of the vowels affected by plural umlaut.
+ * @type {Record<string, string>}
+ */
+const UMLAUTS = { a: 'ä', o: 'ö', u: 'ü', A: 'Ä', O: 'Ö', U: 'Ü' }
+
+/**
+ * @typedef {object} LexicalForm
+ * @property {string} lemma - Headword of this form (without article).
+ * @property {string} [article] - Definite article(s), e.g. "der" or "der/das".
+ * @property {string} [gender] - Gender(s) derived from the article, e.g. "m" or "m/n".
+ * @property {string|null} [plural] - Plural notation as printed, e.g. "-e" or "¨-er".
+ * @property {string|null} [genitive] - Genitive notation, when printed (e.g. "-n").
+ * @property {string[]} [variants] - Alternative spellings printed next to the lemma.
+ * @property {string[]} [principalParts] - Verb forms following the infinitive.
+ * @property {VerbForms} [verb] - Principal parts split into their grammatical roles.
+ * @property {NounInflection|null} [inflection] - Expanded noun forms; `null` when the
+ *   plural notation could not be expanded.
+ */
+
+/**
+ * @typedef {object} NounInflection
+ * @property {string|null} singular - Nominative singular (`null` for plural-only nouns).
+ * @property {string|null} plural - Nominative plural (`null` when not given or singular-only).
+ * @property {'both'|'singular'|'plural'|null} number - Numbers the noun is used in;
+ *   `null` when the entry carries no plural notation.
+ */
+
+/**
+ * @typedef {object} VerbForms
+ * @property {string} infinitive - Infinitive without "sich" or the "|" prefix marker.
+ * @property {string|null} present3sg - 3rd person singular present, e.g. "nimmt fest".
+ * @property {string|null} preterite - Präteritum, e.g. "nahm fest".
+ * @property {string|null} auxiliary - "haben", "sein" or "haben/sein".
+ * @property {string|null} participle - Partizip II, e.g. "festgenommen".
+ * @property {string|null} separablePrefix - Separable prefix such as "fest", if any.
+ * @property {string|null} separable - Infinitive with the prefix marked, e.g. "fest|nehmen".
+ * @property {boolean|'optional'} reflexive - Whether the verb takes "sich" ("(sich)" → 'optional').
+ */
+
+/**
+ * @typedef {object} LexicalEntry
+ * @property {'noun'|'verb'|'other'} pos - Coarse part of speech of the first form.
+ * @property {string} lemma - Headword of the first form.
+ * @property {LexicalForm[]} forms - One item per headword line (e.g. masculine and feminine nouns).
+ * @property {string[]} regions - Region markers such as "A" or "CH".
+ * @property {Array<{regions: string[], target: string}>} references - "→" cross-references.
+ * @property {string[]} notes - Any other parenthesised remarks (e.g. "Sg.", "Pl.").
+ */
+
+/**
+ * @class DefinitionParser
+ * @description Splits a cleaned definition (as produced by
+ * `DataProcessor.processDefinition`) into structured lexical fields: article,
+ * gender, lemma, plural and genitive notation, verb principal parts, region
+ * markers and "→" cross-references.
+ */
+export class DefinitionParser {
+  /**
+   * Parses a cleaned definition string.
+   *
+   * @param {string} definition - Definition text, one headword per line.
+   * @returns {LexicalEntry|null} The structured entry or `null` for empty input.
+   */
+  parse(definition) {
+    if (!definition || !definition.trim()) return null
+
+    /** @type {LexicalEntry} */
+    const entry = { pos: 'other', lemma: '', forms: [], regions: [], references: [], notes: [] }
+
+    for (const rawLine of definition.split('\n')) {
+      const [head, ...refs] = rawLine.split('→')
+
+      for (const ref of refs) {
+        const reference = this.parseReference(ref)
+        if (reference) entry.references.push(reference)
+      }
+
+      const optionalReflexive = /^\s*\(sich\)/.test(head)
+      const noteCount = entry.notes.length
+      const text = this.extractParentheticals(head.replace(/^\s*\(sich\)/, ''), entry)
+      if (!text) continue
+
+      const notes = entry.notes.slice(noteCount)
+      const form = this.parseForm(text, { optionalReflexive, notes })
+      if (entry.forms.length === 0) entry.pos = this.classify(form)
+      entry.forms.push(form)
+    }
+
+    entry.lemma = entry.forms[0]?.lemma ?? ''
+    return entry
+  }
+
+  /**
+   * Removes parenthesised remarks from a line, recording region markers and
+   * other notes on the entry.
+   *
+   * @param {string} line - A single definition line (without cross-references).
+   * @param {LexicalEntry} entry - Entry collecting regions and notes.
+   * @returns {string} The line with remarks removed and whitespace normalised.
+   */
+  extractParentheticals(line, entry) {
+    const stripped = line.replace(/\(([^()]*)\)/g, (_, content) => {
+      const parts = content.split(',').map(part => part.trim())
+      if (parts.every(part => REGION_CODES.has(part))) {
+        for (const region of parts) {
+          if (!entry.regions.includes(region)) entry.regions.push(region)
+        }
+      } else if (content.trim()) {
+        entry.notes.push(content.trim())
+      }
+      return ' '
+    })
+
+    return stripped
+      .replace(/(\p{Ll})- (\p{Ll})/gu, '$1$2') // re-join hyphenated words ("funktion- iert")
+      .replace(/\s+/g, ' ')
+      .replace(/\s*,\s*$/, '')
+      .trim()
+  }
+
+  /**
+   * Parses a "→" cross-reference such as "CH: Coiffeur" or "D, A: Obst".
+   *
+   * @param {string} text - Text following the arrow.
+   * @returns {{regions: string[], target: string}|null} The reference or `null` if empty.
+   */
+  parseReference(text) {
+    const trimmed = text.replace(/\s+/g, ' ').trim()
+    if (!trimmed) return null
+
+    const match = trimmed.match(/^((?:D|A|CH)(?:\s*,\s*(?:D|A|CH))*)\s*:\s*(.+)$/)
+    if (match) {
+      return { regions: match[1].split(',').map(r => r.trim()), target: match[2] }
+    }
+    return { regions: [], target: trimmed }
+  }
+
+  /**
+   * Parses a single headword line into a lexical form.
+   *
+   * @param {string} text - Line without parentheticals or references.
+   * @param {{optionalReflexive?: boolean, notes?: string[]}} [options] - Whether the line
+   *   started with "(sich)" and the parenthesised remarks found on it.
+   * @returns {LexicalForm} The parsed form.
+   */
+  parseForm(text, { optionalReflexive = false, notes = [] } = {}) {
+    const nounMatch = text.match(NOUN_PATTERN)
+    if (nounMatch) {
+      const article = nounMatch[1]
+      const [lemma, ...rest] = nounMatch[2].split(',').map(part => part.trim())
+      /** @type {LexicalForm} */
+      const form = {
+        lemma,
+        article,
+        gender: article
+          .split('/')
+          .map(a => ARTICLE_GENDERS[a])
+          .join('/'),
+        plural: rest.length > 0 ? rest[rest.length - 1] : null,
+        genitive: null,
+      }
+
+      // "der Name, -ns, -n" carries a genitive; "der Friede, Frieden, -" a variant
+      for (const middle of rest.slice(0, -1)) {
+        if (middle.startsWith('-')) {
+          form.genitive = middle
+        } else {
+          form.variants = [...(form.variants ?? []), middle]
+        }
+      }
+
+      form.inflection = this.inflectNoun(lemma, form.plural, notes)
+      if (form.inflection?.number === 'plural') form.gender = null
+      return form
+    }
+
+    const parts = text.split(',').map(part => part.trim())
+    if (parts.length >= 3 && PERFECT_PATTERN.test(parts[parts.length - 1])) {
+      const principalParts = parts.slice(1)
+      return {
+        lemma: parts[0],
+        principalParts,
+        verb: this.parseVerb(parts[0], principalParts, optionalReflexive),
+      }
+    }
+
+    return { lemma: text }
+  }
+
+  /**
+   * Expands the compact plural notation of a noun into full forms:
+   * "-e" appends, "¨-er" umlauts the stem and appends, "-" keeps the singular,
+   * a capitalised word is taken as the plural itself and "Sg."/"Pl." restrict
+   * the noun to one number.
+   *
+   * @param {string} lemma - Singular headword.
+   * @param {string|null} notation - Plural notation as printed.
+   * @param {string[]} [notes=[]] - Parenthesised remarks from the same line.
+   * @returns {NounInflection|null} Expanded forms or `null` if the notation is not understood.
+   */
+  inflectNoun(lemma, notation, notes = []) {
+    const markers = notation ? [notation, ...notes] : notes
+    if (markers.some(marker => SINGULAR_ONLY_PATTERN.test(marker))) {
+      return { singular: lemma, plural: null, number: 'singular' }
+    }
+    if (markers.some(marker => PLURAL_ONLY_PATTERN.test(marker))) {
+      return { singular: null, plural: lemma, number: 'plural' }
+    }
+    if (notation === null) {
+      return { singular: lemma, plural: null, number: null }
+    }
+
+    const suffix = notation.match(PLURAL_SUFFIX_PATTERN)
+    if (suffix) {
+      const stem = suffix[1] ? this.umlaut(lemma) : lemma
+      if (stem === null) return null
+      return { singular: lemma, plural: stem + suffix[2], number: 'both' }
+    }
+
+    if (/^\p{Lu}\p{L}*$/u.test(notation)) {
+      return { singular: lemma, plural: notation, number: 'both' }
+    }
+
+    return null
+  }
+
+  /**
+   * Applies plural umlaut to the last umlautable vowel of a word
+   * ("Mutter" → "Mütter", "Baum" → "Bäum", "Saal" → "Säl").
+   *
+   * @param {string} word - Singular stem.
+   * @returns {string|null} The umlauted stem or `null` if there is no vowel to umlaut.
+   */
+  umlaut(word) {
+    const chars = [...word]
+    for (let i = chars.length - 1; i >= 0; i--) {
+      const lower = chars[i].toLowerCase()
+      if (!'aou'.includes(lower)) continue
+
+      const previous = i > 0 ? chars[i - 1].toLowerCase() : ''
+      if (lower === 'u' && previous === 'e') continue // "eu" takes no umlaut
+      if (lower === 'u' && previous === 'a') {
+        chars[i - 1] = UMLAUTS[chars[i - 1]] // "au" → "äu"
+      } else if (lower === 'a' && previous === 'a') {
+        chars.splice(i - 1, 2, UMLAUTS[chars[i - 1]]) // "aa" → "ä"
+      } else {
+        chars[i] = UMLAUTS[chars[i]]
+      }
+      return chars.join('')
+    }
+    return null
+  }
+
+  /**
+   * Lists the ways a noun form's plural notation could not be expanded.
+   *
+   * @param {LexicalForm} form - A parsed form.
+   * @returns {string[]} Human-readable issues; empty for non-nouns and expanded nouns.
+   */
+  nounIssues(form) {
+    if (!form.article || form.inflection) return []
+    return [`cannot expand plural notation "${form.plural}"`]
+  }
+
+  /**
+   * Splits verb principal parts following the Wortliste pattern
+   * "infinitive, 3rd-sg present, Präteritum, hat/ist + Partizip II".
+   *
+   * A separable prefix is detected from the particle trailing the present
+   * form ("nimmt fest") when the infinitive starts with it, or from an explicit
+   * "|" in the infinitive ("fest|nehmen").
+   *
+   * @param {string} lemma - Infinitive as printed, possibly starting with "sich".
+   * @param {string[]} principalParts - Forms following the infinitive.
+   * @param {boolean} [optionalReflexive=false] - Whether the line started with "(sich)".
+   * @returns {VerbForms} The structured verb forms.
+   */
+  parseVerb(lemma, principalParts, optionalReflexive = false) {
+    const reflexive = lemma.startsWith('sich ') ? true : optionalReflexive ? 'optional' : false
+    let infinitive = lemma.replace(/^sich\s+/, '')
+
+    let separablePrefix = null
+    if (infinitive.includes('|')) {
+      separablePrefix = infinitive.slice(0, infinitive.indexOf('|'))
+      infinitive = infinitive.replace('|', '')
+    }
+
+    const [present3sg = null, preterite = null] =
+      principalParts.length === 3 ? principalParts : [null, null]
+    const perfect = principalParts[principalParts.length - 1]
+    const [auxToken, ...participleTokens] = perfect.split(' ').filter(t => t !== 'sich')
+
+    if (!separablePrefix && present3sg) {
+      const tokens = present3sg.split(' ').filter(t => t !== 'sich')
+      const particle = tokens.length > 1 ? tokens[tokens.length - 1] : null
+      if (particle && infinitive.startsWith(particle) && infinitive !== particle) {
+        separablePrefix = particle
+      }
+    }
+
+    return {
+      infinitive,
+      present3sg,
+      preterite,
+      // "ist/hat" and "hat/ist" both give the canonical "haben/sein"
+      auxiliary:
+        Object.values(AUXILIARIES)
+          .filter(aux => auxToken.split('/').some(token => AUXILIARIES[token] === aux))
+          .join('/') || null,
+      participle: participleTokens.join(' ') || null,
+      separablePrefix,
+      separable: separablePrefix
+        ? `${separablePrefix}|${infinitive.slice(separablePrefix.length)}`
+        : null,
+      reflexive,
+    }
+  }
+
+  /**
+   * Lists the ways a form deviates from the verb pattern. Forms that are not
+   * verbs and do not look like a verb line yield no issues.
+   *
+   * @param {LexicalForm} form - A parsed form.
+   * @returns {string[]} Human-readable issues; empty when the form is fine.
+   */
+  verbIssues(form) {
+    if (!form.verb) {
+      const [first] = form.lemma.replace(/^sich\s+/, '').split(/[\s,]/)
+      const looksLikeVerb = form.lemma.includes(',') && INFINITIVE_PATTERN.test(first)
+      return looksLikeVerb
+        ? ['does not match "infinitive, 3rd-sg present, Präteritum, hat/ist + Partizip II"']
+        : []
+    }
+
+    const issues = []
+    const { verb, principalParts } = form
+    if (principalParts.length !== 3) {
+      issues.push(`expected 3 principal parts, found ${principalParts.length}`)
+    }
+    if (!INFINITIVE_PATTERN.test(verb.infinitive)) {
+      issues.push(`unexpected infinitive "${verb.infinitive}"`)
+    }
+    if (!verb.participle) {
+      issues.push('missing Partizip II')
+    }
+    if (verb.separablePrefix) {
+      const stem = verb.separablePrefix
+      if (verb.present3sg && !verb.present3sg.split(' ').includes(stem)) {
+        issues.push(`present form "${verb.present3sg}" does not separate prefix "${stem}"`)
+      }
+      if (verb.participle && !verb.participle.startsWith(stem)) {
+        issues.push(`participle "${verb.participle}" does not start with prefix "${stem}"`)
+      }
+    }
+    return issues
+  }
+
+  /**
+   * Determines the part of speech for a parsed form.
+   *
+   * @param {LexicalForm} form - A parsed form.
+   * @returns {'noun'|'verb'|'other'} The coarse part of speech.
+   */
+  classify(form) {
+    if (form.article) return 'noun'
+    if (form.principalParts) return 'verb'
+    return 'other'
+  }
+}
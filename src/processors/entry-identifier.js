@@ -0,0 +1,201 @@
+import { createHash } from 'node:crypto'
+import { CONFIG } from '../config.js'
+import { LEVELS } from '../data/levels.js'
+import { fileExists, readJSON, writeJSON } from '../utils/fs.js'
+
+/**
+ * Version of the persisted ID map format.
+ */
+const ID_MAP_VERSION = 1
+
+/**
+ * Transliterations applied before stripping other diacritics.
+ * @type {Record<string, string>}
+ */
+const TRANSLITERATIONS = { ä: 'ae', ö: 'oe', ü: 'ue', ß: 'ss' }
+
+/**
+ * @typedef {object} IdRecord
+ * @property {string} lemma - Normalised lemma the ID was minted for.
+ * @property {string} fingerprint - Hash of the normalised definition.
+ * @property {boolean} [retired] - Set once the entry has disappeared; retired IDs are never reused
+ *   for a different entry but are revived if the same entry comes back.
+ */
+
+/**
+ * @typedef {object} IdMap
+ * @property {number} version - Format version.
+ * @property {Record<string, IdRecord>} ids - Known IDs in the order they were minted.
+ */
+
+/**
+ * @typedef {object} IdReport
+ * @property {boolean} previousRun - Whether an ID map from an earlier run existed.
+ * @property {number} total - Entries that received an ID.
+ * @property {number} kept - Entries that kept the ID from the previous run.
+ * @property {Array<{id: string, definition: string}>} minted - Newly minted IDs.
+ * @property {Array<{id: string, lemma: string}>} disappeared - IDs from the previous run without an entry now.
+ */
+
+/**
+ * @class EntryIdentifier
+ * @description Assigns stable IDs to vocabulary entries. An ID is the
+ * normalised lemma plus a short hash of the definition (e.g. "friseur-3f9a1c"),
+ * so it does not depend on row order. The A1 and A2 lists prefix their IDs
+ * ("a1-friseur-3f9a1c") to keep them unique across levels. A persisted ID map keeps IDs stable
+ * when a definition is corrected between runs.
+ */
+export class EntryIdentifier {
+  /**
+   * @param {string} [mapPath] - Location of the persisted ID map.
+   * @param {string} [prefix] - Prefix of minted IDs; defaults to that of the configured level.
+   */
+  constructor(mapPath = `${CONFIG.OUTPUT_DIR}/ids.json`, prefix = LEVELS[CONFIG.LEVEL].idPrefix) {
+    this.mapPath = mapPath
+    this.prefix = prefix
+  }
+
+  /**
+   * Loads the ID map of the previous run.
+   *
+   * @returns {Promise<IdMap|null>} The map or `null` if there is none yet.
+   */
+  async load() {
+    if (!(await fileExists(this.mapPath))) return null
+    const map = await readJSON(this.mapPath)
+    if (map.version !== ID_MAP_VERSION) {
+      throw new Error(
+        `Unsupported ID map version ${map.version} in ${this.mapPath} (expected ${ID_MAP_VERSION})`,
+      )
+    }
+    return map
+  }
+
+  /**
+   * Persists the ID map for the next run.
+   *
+   * @param {IdMap} map - Map returned by {@link EntryIdentifier#assign}.
+   * @returns {Promise<void>}
+   */
+  async save(map) {
+    await writeJSON(this.mapPath, map)
+  }
+
+  /**
+   * Sets `id` on every entry. Entries are matched against the previous map
+   * first by definition fingerprint, then by lemma for entries whose
+   * definition changed; everything else gets a newly minted ID. IDs of the
+   * previous run that were not matched are retired and reported.
+   *
+   * @param {Array<{definition: string, lexical?: {lemma: string}|null, id?: string}>} entries - The complete list of final entries.
+   * @param {IdMap|null} previous - Map from the previous run.
+   * @returns {{map: IdMap, report: IdReport}} The updated map and a comparison report.
+   */
+  assign(entries, previous) {
+    const records = Object.entries(previous?.ids ?? {})
+    const claimed = new Set()
+    const fingerprints = entries.map(entry => this.fingerprint(entry.definition))
+    const lemmas = entries.map(entry =>
+      this.slugify(entry.lexical?.lemma ?? entry.definition.split('\n')[0]),
+    )
+    const currentFingerprints = new Set(fingerprints)
+    const minted = []
+    const pending = []
+
+    // Pass 1: unchanged definitions keep (or revive) their ID
+    entries.forEach((entry, i) => {
+      const match = records.find(([id, r]) => !claimed.has(id) && r.fingerprint === fingerprints[i])
+      if (match) {
+        entry.id = match[0]
+        claimed.add(match[0])
+      } else {
+        pending.push(i)
+      }
+    })
+
+    // Pass 2: corrected definitions inherit the active ID of the same lemma
+    // whose old definition no longer exists
+    const unmatched = []
+    for (const i of pending) {
+      const match = records.find(
+        ([id, r]) =>
+          !claimed.has(id) &&
+          !r.retired &&
+          r.lemma === lemmas[i] &&
+          !currentFingerprints.has(r.fingerprint),
+      )
+      if (match) {
+        entries[i].id = match[0]
+        claimed.add(match[0])
+      } else {
+        unmatched.push(i)
+      }
+    }
+
+    // Pass 3: mint IDs for new entries
+    const taken = new Set(records.map(([id]) => id))
+    for (const i of unmatched) {
+      const entry = entries[i]
+      const base = `${this.prefix}${lemmas[i]}-${fingerprints[i].slice(0, 6)}`
+      let id = base
+      for (let n = 2; taken.has(id); n++) id = `${base}-${n}`
+
+      entry.id = id
+      taken.add(id)
+      claimed.add(id)
+      minted.push({ id, definition: entry.definition })
+    }
+
+    /** @type {IdMap} */
+    const map = { version: ID_MAP_VERSION, ids: {} }
+    const disappeared = []
+    for (const [id, record] of records) {
+      if (claimed.has(id)) continue
+      if (!record.retired) disappeared.push({ id, lemma: record.lemma })
+      map.ids[id] = { ...record, retired: true }
+    }
+    entries.forEach((entry, i) => {
+      map.ids[entry.id] = { lemma: lemmas[i], fingerprint: fingerprints[i] }
+    })
+
+    return {
+      map,
+      report: {
+        previousRun: previous !== null,
+        total: entries.length,
+        kept: entries.length - minted.length,
+        minted,
+        disappeared,
+      },
+    }
+  }
+
+  /**
+   * Normalises a lemma into an ASCII slug ("Führerschein" → "fuehrerschein").
+   *
+   * @param {string} lemma - Lemma or headword line.
+   * @returns {string} Lowercase slug of letters, digits and dashes.
+   */
+  slugify(lemma) {
+    const slug = lemma
+      .normalize('NFC')
+      .toLowerCase()
+      .replace(/[äöüß]/g, ch => TRANSLITERATIONS[ch])
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+    return slug || 'entry'
+  }
+
+  /**
+   * Hashes a definition after normalising Unicode form, case and whitespace.
+   *
+   * @param {string} definition - Cleaned definition text.
+   * @returns {string} Hex SHA-1 digest.
+   */
+  fingerprint(definition) {
+    const normalized = definition.normalize('NFC').toLowerCase().replace(/\s+/g, ' ').trim()
+    return createHash('sha1').update(normalized).digest('hex')
+  }
+}
@@ -17,10 +17,15 @@ export class ImageProcessor {
 
   /**
    * Extract raw pixel data for break-detection (runs on main thread to avoid
-   * transferring multi-MB buffers back from a worker).
+   * transferring multi-MB buffers back from a worker). `columnCfg` is the
+   * column geometry of the page, by default the configured one.
    */
-  async getColumnRawPixels(imagePath, pageNum, column) {
-    const columnCfg = column === 'l' ? CONFIG.LEFT_COLUMN : CONFIG.RIGHT_COLUMN
+  async getColumnRawPixels(
+    imagePath,
+    pageNum,
+    column,
+    columnCfg = column === 'l' ? CONFIG.LEFT_COLUMN : CONFIG.RIGHT_COLUMN,
+  ) {
     const { CROP_X: left, CROP_WIDTH: width } = columnCfg
     const top = CONFIG.Y_OFFSET
     const height = CONFIG.IMAGE_HEIGHT
@@ -55,6 +60,8 @@ export class ImageProcessor {
 
   /** Release worker resources (optional). */
   async destroy() {
+    // Workers that are still starting up are not tracked yet and would keep the process alive
+    await this._ready
     await this._pool.destroy()
   }
 }
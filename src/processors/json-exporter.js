@@ -0,0 +1,103 @@
+import { promises as fs } from 'fs'
+import path from 'node:path'
+import { ensureDir, readJSON } from '../utils/fs.js'
+
+/**
+ * Version of the published JSON Schema; bumped on incompatible changes.
+ */
+export const SCHEMA_VERSION = 1
+
+/**
+ * File name of the JSON Schema, both in `src/schemas/` and in the output directory.
+ */
+export const SCHEMA_FILE = `wortliste-v${SCHEMA_VERSION}.schema.json`
+
+/**
+ * @typedef {object} RunMetadata
+ * @property {string} title - Dataset title.
+ * @property {'A1'|'A2'|'B1'} level - Word list the entries come from.
+ * @property {string} gitVersion - `git describe` of the generating tree, or "unknown".
+ * @property {string} generatedAt - ISO 8601 generation time.
+ * @property {{file: string, sha256: string|null}} source - Source PDF and its hash (`null` when unavailable).
+ * @property {number[]} pages - Pages included in the run.
+ * @property {number} entryCount - Number of entries.
+ */
+
+/**
+ * @class JsonExporter
+ * @description Writes the final entries as `all.json` (one envelope with run
+ * metadata and all entries) and `all.ndjson` (a header line followed by one
+ * entry per line), together with the JSON Schema both files conform to.
+ */
+export class JsonExporter {
+  /**
+   * @param {string} outputDir - Directory the files are written to.
+   */
+  constructor(outputDir) {
+    this.outputDir = outputDir
+  }
+
+  /**
+   * Loads the published JSON Schema.
+   *
+   * @returns {Promise<object>} The parsed schema.
+   */
+  async loadSchema() {
+    return readJSON(new URL(`../schemas/${SCHEMA_FILE}`, import.meta.url))
+  }
+
+  /**
+   * Wraps the entries and run metadata into the versioned envelope.
+   *
+   * @param {object[]} entries - Final entries (with `id`, `lexical`, `corrections` and `provenance`).
+   * @param {Omit<RunMetadata, 'entryCount'>} metadata - Run metadata.
+   * @returns {{$schema: string, schemaVersion: number, metadata: RunMetadata, entries: object[]}} The envelope.
+   */
+  createEnvelope(entries, metadata) {
+    return {
+      $schema: `schemas/${SCHEMA_FILE}`,
+      schemaVersion: SCHEMA_VERSION,
+      metadata: { ...metadata, entryCount: entries.length },
+      entries: entries.map(entry => ({
+        id: entry.id,
+        definition: entry.definition,
+        example: entry.example,
+        lexical: entry.lexical ?? null,
+        corrections: entry.corrections ?? [],
+        normalized: entry.normalized ?? [],
+        provenance: entry.provenance ?? [],
+      })),
+    }
+  }
+
+  /**
+   * Serialises an envelope as NDJSON: the first line holds everything except
+   * the entries, every following line one entry.
+   *
+   * @param {{entries: object[]}} envelope - Envelope from {@link JsonExporter#createEnvelope}.
+   * @returns {string} Newline-terminated NDJSON.
+   */
+  toNDJSON(envelope) {
+    const { entries, ...header } = envelope
+    return [header, ...entries].map(record => JSON.stringify(record)).join('\n') + '\n'
+  }
+
+  /**
+   * Writes `all.json`, `all.ndjson` and `schemas/<schema file>`.
+   *
+   * @param {object[]} entries - Final entries.
+   * @param {Omit<RunMetadata, 'entryCount'>} metadata - Run metadata.
+   * @returns {Promise<{$schema: string, schemaVersion: number, metadata: RunMetadata, entries: object[]}>} The written envelope.
+   */
+  async write(entries, metadata) {
+    const envelope = this.createEnvelope(entries, metadata)
+    const schemaPath = path.join(this.outputDir, 'schemas', SCHEMA_FILE)
+
+    await ensureDir(schemaPath)
+    await fs.writeFile(schemaPath, JSON.stringify(await this.loadSchema(), null, 2))
+    await fs.writeFile(path.join(this.outputDir, 'all.json'), JSON.stringify(envelope, null, 2))
+    await fs.writeFile(path.join(this.outputDir, 'all.ndjson'), this.toNDJSON(envelope))
+
+    return envelope
+  }
+}
@@ -0,0 +1,193 @@
+import { CONFIG } from '../config.js'
+
+/**
+ * Space (in PDF points) kept between the detected text and the column edges.
+ */
+const EDGE_MARGIN_PT = 4
+
+/**
+ * Narrowest gap (in PDF points) accepted as gutter or definition/example boundary.
+ */
+const MIN_GAP_PT = 4
+
+/**
+ * Fewest text lines a column needs for its boundary to be trusted.
+ */
+const MIN_COLUMN_LINES = 4
+
+/**
+ * Part of the page width, around the centre, in which the gutter must lie.
+ */
+const GUTTER_ZONE = [0.35, 0.65]
+
+/**
+ * @typedef {object} TextLine
+ * @property {number} x0 - Left edge in image pixels.
+ * @property {number} y0 - Top edge in image pixels.
+ * @property {number} x1 - Right edge in image pixels.
+ * @property {number} y1 - Bottom edge in image pixels.
+ * @property {string} text - Text of the line.
+ */
+
+/**
+ * @typedef {object} ColumnConfig
+ * @property {number} CROP_X - Left edge of crops and break detection.
+ * @property {number} CROP_WIDTH - Width of crops and break detection.
+ * @property {number} TEXT_X - Left edge of the definition.
+ * @property {number} TEXT_WIDTH - Width of the definition; the example fills the rest of the crop.
+ * @property {number} FULL_WIDTH - Right edge of the column.
+ */
+
+/**
+ * @typedef {object} PageLayout
+ * @property {'detected'|'config'} source - Whether the columns were detected or are the configured ones.
+ * @property {{l: ColumnConfig, r: ColumnConfig}} columns - Column geometry in image pixels.
+ * @property {string[]} warnings - Why detection fell back to the configured columns.
+ */
+
+/**
+ * @class LayoutDetector
+ * @description Derives the column geometry of a page from the bounding boxes
+ * of its text lines: the gutter is the widest text-free strip near the
+ * middle of the page, and the definition/example boundary of a column is the
+ * text-free strip between the two sub-columns. When a page does not show a
+ * clear layout, the configured {@link CONFIG} columns are used instead.
+ */
+export class LayoutDetector {
+  /**
+   * @param {{l: ColumnConfig, r: ColumnConfig}} [fallback] - Columns used when detection is ambiguous.
+   */
+  constructor(fallback = { l: CONFIG.LEFT_COLUMN, r: CONFIG.RIGHT_COLUMN }) {
+    this.fallback = fallback
+    this.scale = CONFIG.PDF_DPI / 72
+  }
+
+  /**
+   * Detects the column layout of a page.
+   *
+   * @param {TextLine[]} lines - Text lines of the page in image pixels.
+   * @param {number} pageWidth - Page width in image pixels.
+   * @returns {PageLayout} The detected layout, or the configured one with the reasons.
+   */
+  detect(lines, pageWidth) {
+    const top = CONFIG.Y_OFFSET
+    const bottom = CONFIG.Y_OFFSET + CONFIG.IMAGE_HEIGHT
+    const entryLines = lines.filter(line => line.y1 > top && line.y0 < bottom && line.x1 > line.x0)
+
+    const warnings = []
+    const gutter = this.findGutter(entryLines, pageWidth, warnings)
+    if (!gutter) return this._fallback(warnings)
+
+    const margin = Math.round(EDGE_MARGIN_PT * this.scale)
+    const middle = Math.round((gutter[0] + gutter[1]) / 2)
+    const sides = {
+      l: entryLines.filter(line => line.x1 <= gutter[0]),
+      r: entryLines.filter(line => line.x0 >= gutter[1]),
+    }
+
+    const columns = {}
+    for (const [column, columnLines] of Object.entries(sides)) {
+      const split = this.findSplit(columnLines, column, warnings)
+      if (split === null) continue
+
+      const left = column === 'l' ? Math.max(0, this._left(columnLines) - margin) : middle
+      const right = column === 'l' ? middle : Math.min(pageWidth, this._right(columnLines) + margin)
+      columns[column] = {
+        CROP_X: left,
+        CROP_WIDTH: right - left,
+        TEXT_X: left,
+        TEXT_WIDTH: split - left,
+        FULL_WIDTH: right,
+      }
+    }
+
+    if (warnings.length > 0) return this._fallback(warnings)
+    return { source: 'detected', columns, warnings }
+  }
+
+  /**
+   * Finds the text-free strip between the two columns.
+   *
+   * @param {TextLine[]} lines - Text lines of the entry area.
+   * @param {number} pageWidth - Page width in image pixels.
+   * @param {string[]} warnings - Receives the reason when no single gutter is found.
+   * @returns {[number, number]|null} Left and right edge of the gutter.
+   */
+  findGutter(lines, pageWidth, warnings) {
+    const [zoneStart, zoneEnd] = GUTTER_ZONE.map(part => part * pageWidth)
+    const candidates = this.findGaps(lines).filter(
+      ([start, end]) => start < zoneEnd && end > zoneStart,
+    )
+
+    if (candidates.length !== 1) {
+      warnings.push(
+        candidates.length === 0
+          ? 'no text-free gutter between the columns'
+          : `${candidates.length} possible gutters near the middle of the page`,
+      )
+      return null
+    }
+    return candidates[0]
+  }
+
+  /**
+   * Finds the x coordinate separating definitions from examples in a column:
+   * the middle of the widest text-free strip, which must be clearly wider
+   * than any other.
+   *
+   * @param {TextLine[]} lines - Text lines of the column.
+   * @param {'l'|'r'} column - Column identifier, used in messages.
+   * @param {string[]} warnings - Receives the reason when the boundary is unclear.
+   * @returns {number|null} The boundary in image pixels.
+   */
+  findSplit(lines, column, warnings) {
+    if (lines.length < MIN_COLUMN_LINES) {
+      warnings.push(`column ${column} has only ${lines.length} text line(s)`)
+      return null
+    }
+
+    const gaps = this.findGaps(lines).sort((a, b) => b[1] - b[0] - (a[1] - a[0]))
+    if (gaps.length === 0) {
+      warnings.push(`column ${column}: definitions and examples overlap`)
+      return null
+    }
+    if (gaps.length > 1 && gaps[0][1] - gaps[0][0] < 2 * (gaps[1][1] - gaps[1][0])) {
+      warnings.push(`column ${column}: no clear definition/example boundary`)
+      return null
+    }
+    return Math.round((gaps[0][0] + gaps[0][1]) / 2)
+  }
+
+  /**
+   * Horizontal strips between the lines that no line covers.
+   *
+   * @param {TextLine[]} lines - Text lines.
+   * @returns {Array<[number, number]>} Gaps at least {@link MIN_GAP_PT} wide, left to right.
+   */
+  findGaps(lines) {
+    const spans = lines.map(line => [line.x0, line.x1]).sort((a, b) => a[0] - b[0])
+    const minGap = MIN_GAP_PT * this.scale
+    const gaps = []
+    let covered = spans[0]?.[1]
+    for (const [x0, x1] of spans.slice(1)) {
+      if (x0 - covered >= minGap) gaps.push([covered, x0])
+      covered = Math.max(covered, x1)
+    }
+    return gaps
+  }
+
+  /** @private */
+  _fallback(warnings) {
+    return { source: 'config', columns: { ...this.fallback }, warnings }
+  }
+
+  /** @private */
+  _left(lines) {
+    return Math.floor(Math.min(...lines.map(line => line.x0)))
+  }
+
+  /** @private */
+  _right(lines) {
+    return Math.ceil(Math.max(...lines.map(line => line.x1)))
+  }
+}
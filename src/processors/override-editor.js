@@ -0,0 +1,240 @@
+import { createServer } from 'node:http'
+import { promises as fs } from 'fs'
+import { BREAK_OVERRIDES, CONFIG } from '../config.js'
+import { saveBreakOverrides } from '../config-file.js'
+import { padPageNumber } from '../utils/fs.js'
+
+/**
+ * Port the editor listens on unless `--port` is given.
+ */
+export const EDITOR_PORT = 8042
+
+/**
+ * Static files of the editor, relative to this module.
+ */
+const CLIENT_FILES = {
+  '/': { file: '../client/editor.html', type: 'text/html; charset=utf-8' },
+  '/editor.js': { file: '../client/editor.js', type: 'text/javascript; charset=utf-8' },
+}
+
+/**
+ * @class OverrideEditor
+ * @description Local web editor for the {@link BREAK_OVERRIDES} of one page
+ * (the `edit` command). It serves the rendered page with the ranges of both
+ * columns overlaid; clicking adds or removes a forced break, after which the
+ * column is segmented again and the text of every range extracted, so the
+ * effect is visible before saving. Saving writes the column's overrides to
+ * `CONFIG.BREAK_OVERRIDES_FILE` and reprocesses the page.
+ */
+export class OverrideEditor {
+  /**
+   * @param {import('./page-processor.js').PageProcessor} pageProcessor - Processor of the run.
+   * @param {number} pageNum - The page to edit.
+   */
+  constructor(pageProcessor, pageNum) {
+    this.pageProcessor = pageProcessor
+    this.pageNum = pageNum
+    this.server = createServer((request, response) => this.handle(request, response))
+  }
+
+  /**
+   * Starts the server on the loopback interface.
+   *
+   * @param {number} [port] - Port to listen on; 0 picks a free one.
+   * @returns {Promise<string>} The editor's URL.
+   */
+  async listen(port = EDITOR_PORT) {
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(port, '127.0.0.1', resolve)
+    })
+    return `http://127.0.0.1:${this.server.address().port}/`
+  }
+
+  /**
+   * Stops the server, dropping open connections.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.server.closeAllConnections()
+    await new Promise(resolve => this.server.close(() => resolve()))
+  }
+
+  /**
+   * Page geometry, the forced breaks of both columns and their ranges with text.
+   *
+   * @returns {Promise<object>} State for the editor page.
+   */
+  async state() {
+    const { columns } = await this.pageProcessor.pageLayout(this.pageNum)
+    const state = {
+      page: this.pageNum,
+      title: CONFIG.TITLE,
+      yOffset: CONFIG.Y_OFFSET,
+      imageHeight: CONFIG.IMAGE_HEIGHT,
+      detector: CONFIG.BREAK_DETECTOR,
+      editable: Boolean(CONFIG.BREAK_OVERRIDES_FILE),
+      columns: {},
+    }
+    for (const column of ['l', 'r']) {
+      const overrides = [...(BREAK_OVERRIDES[this._prefix(column)] ?? [])].sort((a, b) => a - b)
+      state.columns[column] = {
+        ...columns[column],
+        overrides,
+        ...(await this.preview(column, overrides)),
+      }
+    }
+    return state
+  }
+
+  /**
+   * Segments a column with the given forced breaks and extracts its text.
+   *
+   * @param {'l'|'r'} column - The column identifier.
+   * @param {number[]} overrides - Forced breaks in column image pixels.
+   * @returns {Promise<{ranges: Array<[number, number]>, regions: Array<{definition: string, example: string}>}>} The
+   *   resulting ranges and their text.
+   */
+  async preview(column, overrides) {
+    const { ranges, entries } = await this.pageProcessor.previewColumn(
+      this.pageNum,
+      column,
+      overrides,
+    )
+    return {
+      ranges,
+      regions: entries.map(({ definition, example }) => ({ definition, example })),
+    }
+  }
+
+  /**
+   * Saves the forced breaks of a column and reprocesses the page, so its
+   * ranges, crops, extraction, annotation and CSV follow the new overrides.
+   *
+   * @param {'l'|'r'} column - The column identifier.
+   * @param {number[]} overrides - Forced breaks in column image pixels.
+   * @returns {Promise<{overrides: number[]}>} The saved overrides.
+   */
+  async save(column, overrides) {
+    await saveBreakOverrides(this._prefix(column), overrides)
+    console.log(
+      `${this._prefix(column)}: saved break overrides [${overrides.join(', ')}] to ${CONFIG.BREAK_OVERRIDES_FILE}`,
+    )
+    await this.pageProcessor.processPage(this.pageNum)
+    return { overrides: [...(BREAK_OVERRIDES[this._prefix(column)] ?? [])] }
+  }
+
+  /**
+   * Routes a request: the editor files, the page image, `GET /api/state`,
+   * `POST /api/preview` and `POST /api/save` (body `{column, overrides}`).
+   * Errors are answered with `{error}`. Only requests addressed to the
+   * server's own host are served, and posts must come from the editor itself
+   * (see {@link OverrideEditor#checkRequest}).
+   *
+   * @param {import('node:http').IncomingMessage} request - The request.
+   * @param {import('node:http').ServerResponse} response - The response.
+   * @returns {Promise<void>}
+   */
+  async handle(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost')
+    try {
+      this.checkRequest(request)
+      if (request.method === 'GET' && CLIENT_FILES[pathname]) {
+        const { file, type } = CLIENT_FILES[pathname]
+        response.writeHead(200, { 'Content-Type': type })
+        response.end(await fs.readFile(new URL(file, import.meta.url)))
+      } else if (request.method === 'GET' && pathname === '/page.png') {
+        const imagePath = await this.pageProcessor.pdfConverter.getPageImagePath(this.pageNum)
+        response.writeHead(200, { 'Content-Type': 'image/png' })
+        response.end(await fs.readFile(imagePath))
+      } else if (request.method === 'GET' && pathname === '/api/state') {
+        this._sendJSON(response, 200, await this.state())
+      } else if (request.method === 'POST' && pathname === '/api/preview') {
+        const { column, overrides } = this.parseEdit(await this._readBody(request))
+        this._sendJSON(response, 200, await this.preview(column, overrides))
+      } else if (request.method === 'POST' && pathname === '/api/save') {
+        const { column, overrides } = this.parseEdit(await this._readBody(request))
+        this._sendJSON(response, 200, await this.save(column, overrides))
+      } else {
+        this._sendJSON(response, 404, { error: `Not found: ${request.method} ${pathname}` })
+      }
+    } catch (error) {
+      this._sendJSON(response, error.status ?? 500, { error: error.message })
+    }
+  }
+
+  /**
+   * Rejects requests that other web pages open in the browser could send:
+   * the `Host` must be the server's own address, which rules out DNS
+   * rebinding, and a post must carry no foreign `Origin` and a JSON body, so
+   * a cross-site post needs a preflight the server never answers.
+   *
+   * @param {import('node:http').IncomingMessage} request - The request.
+   * @throws {Error} With `status` 403 for another host or origin, or 415 for a post that is
+   *   not `application/json`.
+   */
+  checkRequest(request) {
+    const { port } = this.server.address()
+    const hosts = [`127.0.0.1:${port}`, `localhost:${port}`]
+    const { host, origin, 'content-type': type = '' } = request.headers
+    let error = null
+    if (!hosts.includes(host)) {
+      error = new Error(`Forbidden host: ${host ?? '(none)'}`)
+      error.status = 403
+    } else if (request.method === 'POST' && origin !== undefined && origin !== `http://${host}`) {
+      error = new Error(`Forbidden origin: ${origin}`)
+      error.status = 403
+    } else if (request.method === 'POST' && type.split(';')[0].trim() !== 'application/json') {
+      error = new Error(`Expected Content-Type: application/json, got ${type || '(none)'}`)
+      error.status = 415
+    }
+    if (error) throw error
+  }
+
+  /**
+   * Validates the body of a preview or save request.
+   *
+   * @param {string} body - The request body.
+   * @returns {{column: 'l'|'r', overrides: number[]}} The edit.
+   * @throws {Error} With `status` 400 when the body is malformed.
+   */
+  parseEdit(body) {
+    let edit
+    try {
+      edit = JSON.parse(body)
+    } catch {
+      edit = null
+    }
+    const valid =
+      ['l', 'r'].includes(edit?.column) &&
+      Array.isArray(edit.overrides) &&
+      edit.overrides.every(y => Number.isInteger(y) && y >= 0 && y < CONFIG.IMAGE_HEIGHT)
+    if (!valid) {
+      const error = new Error(
+        `Expected {"column": "l"|"r", "overrides": [y, …]} with 0 ≤ y < ${CONFIG.IMAGE_HEIGHT}`,
+      )
+      error.status = 400
+      throw error
+    }
+    return { column: edit.column, overrides: [...new Set(edit.overrides)].sort((a, b) => a - b) }
+  }
+
+  /** @private */
+  _prefix(column) {
+    return `${padPageNumber(this.pageNum)}-${column}`
+  }
+
+  /** @private */
+  async _readBody(request) {
+    let body = ''
+    for await (const chunk of request) body += chunk
+    return body
+  }
+
+  /** @private */
+  _sendJSON(response, status, data) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' })
+    response.end(JSON.stringify(data))
+  }
+}
@@ -1,28 +1,41 @@
 import { promises as fs } from 'fs'
-import { CONFIG } from '../config.js'
+import { BREAK_OVERRIDES, CONFIG } from '../config.js'
 import { PDFConverter } from './pdf-converter.js'
 import { ImageProcessor } from './image-processor.js'
 import { BreakDetector } from './break-detector.js'
+import { TextBreakDetector } from './text-break-detector.js'
 import { TextExtractor } from './text-extractor.js'
+import { ThematicExtractor } from './thematic-extractor.js'
+import { LayoutDetector } from './layout-detector.js'
+import { SegmentationChecker } from './segmentation-checker.js'
 import { DataProcessor } from './data-processor.js'
-import { fileExists, padPageNumber } from '../utils/fs.js'
+import { BuildManifest } from './build-manifest.js'
+import { fileExists, padPageNumber, readJSON, writeJSON } from '../utils/fs.js'
 
 /**
  * @class PageProcessor
  * @description Orchestrates the entire processing pipeline for a single page of the PDF.
  * It coordinates the conversion, break detection, text extraction, data processing,
  * and final output generation for one page at a time. It also manages caching of
- * intermediate results to speed up reprocessing.
+ * intermediate results to speed up reprocessing: every artifact is reused only
+ * while the inputs recorded in the {@link BuildManifest} still match.
  */
 export class PageProcessor {
   /**
    * Initializes all necessary processor modules.
+   *
+   * @param {BuildManifest} [manifest] - Build manifest shared with the rest of the run.
    */
-  constructor() {
-    this.pdfConverter = new PDFConverter()
+  constructor(manifest = new BuildManifest()) {
+    this.manifest = manifest
+    this.pdfConverter = new PDFConverter(manifest)
     this.imageProcessor = new ImageProcessor()
     this.breakDetector = new BreakDetector()
+    this.textBreakDetector = new TextBreakDetector()
     this.textExtractor = new TextExtractor()
+    this.thematicExtractor = new ThematicExtractor()
+    this.layoutDetector = new LayoutDetector()
+    this.segmentationChecker = new SegmentationChecker()
     this.dataProcessor = new DataProcessor()
     this.outputDir = CONFIG.OUTPUT_DIR
   }
@@ -42,7 +55,7 @@ export class PageProcessor {
     await fs.mkdir(this.outputDir, { recursive: true })
 
     // Get page image path
-    const imagePath = await this.pdfConverter.getPageImagePath(pageNum)
+    const imagePath = await this._stage('render', () => this.pdfConverter.getPageImagePath(pageNum))
 
     // Process both columns (without annotation)
     const { data: leftData, ranges: leftRanges } = await this.processColumn(imagePath, pageNum, 'l')
@@ -53,18 +66,27 @@ export class PageProcessor {
     )
 
     // Create annotation for BOTH columns together
-    await this.createCombinedAnnotation(imagePath, pageNum, leftRanges, rightRanges)
+    await this._stage('annotate', () =>
+      this.createCombinedAnnotation(imagePath, pageNum, leftRanges, rightRanges),
+    )
 
-    // Process data incrementally like Ruby version does
-    let rawData = []
-    rawData = this.dataProcessor.processRawData(leftData, rawData)
-    rawData = this.dataProcessor.processRawData(rightData, rawData)
+    const processedData = await this._stage('aggregate', async () => {
+      // Process data incrementally like Ruby version does
+      let rawData = []
+      rawData = this.dataProcessor.processRawData(leftData, rawData, { page: pageNum, column: 'l' })
+      rawData = this.dataProcessor.processRawData(rightData, rawData, {
+        page: pageNum,
+        column: 'r',
+      })
 
-    // Now process the text formatting
-    const processedData = await this.dataProcessor.processExtractedData(rawData)
+      // Now process the text formatting
+      const data = await this.dataProcessor.processExtractedData(rawData)
 
-    // Generate outputs
-    await this.generateOutputs(processedData, paddedPage)
+      // Generate outputs
+      await this.generateOutputs(data, paddedPage)
+      return data
+    })
+    await this.manifest.save()
 
     console.log(`Page ${paddedPage} completed`)
     return processedData
@@ -73,7 +95,8 @@ export class PageProcessor {
   /**
    * Processes a single column ('l' or 'r') of a page. This involves detecting
    * content breaks, extracting text from those breaks, and generating cropped images.
-   * It caches results in the output directory to avoid re-doing work.
+   * Ranges and extracted data are cached in the output directory and reused
+   * while their recorded inputs are unchanged.
    *
    * @param {string} imagePath - The file path to the full-page PNG image.
    * @param {number} pageNum - The page number being processed.
@@ -81,76 +104,493 @@ export class PageProcessor {
    * @returns {Promise<{data: Array<object>, ranges: Array<[number, number]>}>} A promise resolving to the extracted data and the detected break ranges.
    */
   async processColumn(imagePath, pageNum, column) {
+    const ranges = await this._stage('detect', () => this.detectColumn(imagePath, pageNum, column))
+
+    // Create cropped images for each region
+    await this._stage('crop', () => this.createCroppedImages(imagePath, pageNum, ranges, column))
+
+    const data = await this._stage('extract', () => this.extractColumn(pageNum, column))
+    return { data, ranges }
+  }
+
+  /**
+   * Detects the break ranges of a column with the configured detector
+   * (`CONFIG.BREAK_DETECTOR`) and writes them to `NNN-c.txt`, unless the
+   * cached ranges were built from the same inputs.
+   *
+   * @param {string} imagePath - The file path to the full-page PNG image.
+   * @param {number} pageNum - The page number being processed.
+   * @param {'l'|'r'} column - The column identifier.
+   * @returns {Promise<Array<[number, number]>>} The break ranges.
+   */
+  async detectColumn(imagePath, pageNum, column) {
     const paddedPage = padPageNumber(pageNum)
     const rangesFile = `${this.outputDir}/${paddedPage}-${column}.txt`
-    const dataFile = `${this.outputDir}/${paddedPage}-${column}.json`
+    const columnConfig = (await this.pageLayout(pageNum)).columns[column]
+    const detector = CONFIG.BREAK_DETECTOR
+
+    const digest = await this.manifest.digest('breaks', {
+      pdf: detector === 'text',
+      config: {
+        detector,
+        column: columnConfig,
+        yOffset: CONFIG.Y_OFFSET,
+        imageHeight: CONFIG.IMAGE_HEIGHT,
+        threshold: this.breakDetector.threshold,
+        whiteThreshold: this.breakDetector.whiteThreshold,
+        adaptive: this.breakDetector.adaptive,
+        overrides: [...(BREAK_OVERRIDES[`${paddedPage}-${column}`] ?? [])].sort((a, b) => a - b),
+      },
+      upstream: detector === 'pixel' ? [imagePath] : [],
+    })
+
+    if (await this.manifest.isFresh(rangesFile, 'breaks', digest)) {
+      return this.readRanges(rangesFile)
+    }
+
+    console.log(`${paddedPage}: Figuring out ranges for column ${column} (${detector})...`)
+    const ranges = await this.findBreaks(imagePath, pageNum, column, columnConfig)
 
-    // Check if already processed
-    if (await fileExists(dataFile)) {
-      const content = await fs.readFile(dataFile, 'utf8')
-      const data = JSON.parse(content)
-
-      // Also need to load ranges if they exist
-      let ranges = []
-      if (await fileExists(rangesFile)) {
-        const rangesContent = await fs.readFile(rangesFile, 'utf8')
-        ranges = rangesContent
-          .trim()
-          .split('\n')
-          .map(line => {
-            const [start, end] = line.split(' ').map(Number)
-            return [start, end]
-          })
+    // Save ranges
+    await fs.writeFile(rangesFile, ranges.map(r => r.join(' ')).join('\n'))
+    await this.manifest.record(rangesFile, 'breaks', digest)
+    return ranges
+  }
+
+  /**
+   * Runs the configured break detector (`CONFIG.BREAK_DETECTOR`) on a column without caching.
+   *
+   * @param {string} imagePath - The file path to the full-page PNG image.
+   * @param {number} pageNum - The page number being processed.
+   * @param {'l'|'r'} column - The column identifier.
+   * @param {import('./layout-detector.js').ColumnConfig} columnConfig - Column geometry of the page.
+   * @param {Set<number>} [overrides] - Forced breaks replacing the column's {@link BREAK_OVERRIDES}.
+   * @returns {Promise<Array<[number, number]>>} The break ranges.
+   */
+  async findBreaks(imagePath, pageNum, column, columnConfig, overrides) {
+    const detector = CONFIG.BREAK_DETECTOR
+    if (detector === 'pixel') {
+      return this.detectPixelBreaks(imagePath, pageNum, column, columnConfig, overrides)
+    }
+    if (detector === 'text') {
+      const { lines } = await this.textExtractor.getPageLines(pageNum)
+      return this.textBreakDetector.detectBreaks(lines, columnConfig, pageNum, column, {
+        overrides: overrides ?? true,
+      })
+    }
+    throw new Error(`Unknown break detector "${detector}" (expected pixel or text)`)
+  }
+
+  /**
+   * Runs the pixel break detector on a column of the page image.
+   *
+   * @param {string} imagePath - The file path to the full-page PNG image.
+   * @param {number} pageNum - The page number being processed.
+   * @param {'l'|'r'} column - The column identifier.
+   * @param {import('./layout-detector.js').ColumnConfig} columnConfig - Column geometry of the page.
+   * @param {Set<number>} [overrides] - Forced breaks replacing the column's {@link BREAK_OVERRIDES}.
+   * @returns {Promise<Array<[number, number]>>} The break ranges.
+   */
+  async detectPixelBreaks(imagePath, pageNum, column, columnConfig, overrides) {
+    const { data: pixelBuffer, info: pixelInfo } = await this.imageProcessor.getColumnRawPixels(
+      imagePath,
+      pageNum,
+      column,
+      columnConfig,
+    )
+    return this.breakDetector.detectBreaks(pixelBuffer, pixelInfo, pageNum, column, overrides)
+  }
+
+  /**
+   * Segments a column with the given forced breaks instead of its
+   * {@link BREAK_OVERRIDES} and extracts the text of the resulting ranges,
+   * without touching any cached artifact (the `edit` command's live preview).
+   *
+   * @param {number} pageNum - The page number.
+   * @param {'l'|'r'} column - The column identifier.
+   * @param {number[]} overrides - Y coordinates of the forced breaks in the column image.
+   * @returns {Promise<{ranges: Array<[number, number]>, entries: Array<object>}>} The ranges and their text.
+   */
+  async previewColumn(pageNum, column, overrides) {
+    const imagePath = await this.pdfConverter.getPageImagePath(pageNum)
+    const columnConfig = (await this.pageLayout(pageNum)).columns[column]
+    const ranges = await this.findBreaks(
+      imagePath,
+      pageNum,
+      column,
+      columnConfig,
+      new Set(overrides),
+    )
+    const entries = await this.textExtractor.extractFromRanges(
+      pageNum,
+      ranges,
+      column,
+      columnConfig,
+    )
+    return { ranges, entries }
+  }
+
+  /**
+   * Runs both break detectors on both columns of a page (the `compare-breaks`
+   * command): the pixel detector with the manual overrides, the text detector
+   * without, so columns where they agree no longer need their overrides.
+   *
+   * @param {number} pageNum - The page number.
+   * @returns {Promise<Array<{page: number, column: 'l'|'r', pixelRanges: number, textRanges: number, overrides: number[], pixelOnly: Array<{y: number, text: string}>, textOnly: Array<{y: number, text: string}>}>>} One
+   *   entry per column, with the rows only one detector starts an entry at.
+   */
+  async compareBreaks(pageNum) {
+    const imagePath = await this.pdfConverter.getPageImagePath(pageNum)
+    const { lines } = await this.textExtractor.getPageLines(pageNum)
+    const { columns } = await this.pageLayout(pageNum)
+
+    const results = []
+    for (const column of ['l', 'r']) {
+      const columnConfig = columns[column]
+      const pixelRanges = await this.detectPixelBreaks(imagePath, pageNum, column, columnConfig)
+      const textRanges = this.textBreakDetector.detectBreaks(lines, columnConfig, pageNum, column, {
+        overrides: false,
+      })
+      const rows = this.textBreakDetector.rows(lines, columnConfig)
+      const { pixelOnly, textOnly } = this.textBreakDetector.compare(rows, pixelRanges, textRanges)
+      const describe = row => ({ y: Math.round(row.y0), text: row.text })
+
+      results.push({
+        page: pageNum,
+        column,
+        pixelRanges: pixelRanges.length,
+        textRanges: textRanges.length,
+        overrides: [...(BREAK_OVERRIDES[`${padPageNumber(pageNum)}-${column}`] ?? [])],
+        pixelOnly: pixelOnly.map(describe),
+        textOnly: textOnly.map(describe),
+      })
+    }
+    return results
+  }
+
+  /**
+   * Checks the cached ranges and extractions of both columns of a page for
+   * segmentation suspects (the `check` command), see {@link SegmentationChecker}.
+   *
+   * @param {number} pageNum - The page number.
+   * @returns {Promise<Array<import('./segmentation-checker.js').RangeReport>>} One report per range.
+   */
+  async checkPage(pageNum) {
+    const paddedPage = padPageNumber(pageNum)
+    const { lines } = await this.textExtractor.getPageLines(pageNum)
+    const { columns } = await this.pageLayout(pageNum)
+
+    const reports = []
+    for (const column of ['l', 'r']) {
+      const dataFile = `${this.outputDir}/${paddedPage}-${column}.json`
+      if (!(await fileExists(dataFile))) {
+        throw new Error(`No extracted data for ${paddedPage}-${column} – run \`extract\` first`)
+      }
+      try {
+        reports.push(
+          ...this.segmentationChecker.checkColumn({
+            page: pageNum,
+            column,
+            ranges: await this.loadRanges(pageNum, column),
+            entries: await readJSON(dataFile),
+            lines,
+            columnConfig: columns[column],
+          }),
+        )
+      } catch (error) {
+        error.message = `${paddedPage}-${column}: ${error.message}`
+        throw error
+      }
+    }
+    return reports
+  }
+
+  /**
+   * Times reading the definition and example regions of both columns from
+   * their cached ranges (the `benchmark` command). `before` reads every
+   * region as extraction did before the page text index, parsing the page
+   * for each region (see {@link readRegionFromParse}); `after` reads the same
+   * regions with {@link TextExtractor#extractTextFromRegion} from one parse
+   * into the {@link import('./page-text-index.js').PageTextIndex}.
+   * `identical` tells whether both read the same text for every region.
+   * Loading the document is not timed.
+   *
+   * @param {number} pageNum - The page number.
+   * @returns {Promise<{page: number, regions: number, before: {ms: number, parses: number}, after: {ms: number, parses: number}, identical: boolean}>} The
+   *   timings and parse counts of both runs, and whether they read the same text.
+   */
+  async benchmarkPage(pageNum) {
+    const { columns } = await this.pageLayout(pageNum)
+    const regions = []
+    for (const column of ['l', 'r']) {
+      const { TEXT_X, TEXT_WIDTH, CROP_WIDTH } = columns[column]
+      for (const [y0, y1] of await this.loadRanges(pageNum, column)) {
+        const y = CONFIG.Y_OFFSET + y0
+        regions.push([TEXT_X, y, TEXT_WIDTH, y1 - y0])
+        regions.push([TEXT_X + TEXT_WIDTH, y, CROP_WIDTH - TEXT_WIDTH, y1 - y0])
       }
+    }
 
-      return { data: data, ranges: ranges }
+    const doc = await this.textExtractor.loadDocument()
+    this.textExtractor.releasePage(pageNum)
+
+    const time = async read => {
+      const start = performance.now()
+      const texts = []
+      for (const region of regions) texts.push(await read(region))
+      return { ms: Math.round((performance.now() - start) * 10) / 10, texts }
+    }
+    const before = await time(region => readRegionFromParse(doc, pageNum, ...region))
+    const parses = this.textExtractor.parses
+    const after = await time(region => this.textExtractor.extractTextFromRegion(pageNum, ...region))
+
+    return {
+      page: pageNum,
+      regions: regions.length,
+      before: { ms: before.ms, parses: regions.length },
+      after: { ms: after.ms, parses: this.textExtractor.parses - parses },
+      identical: JSON.stringify(after.texts) === JSON.stringify(before.texts),
+    }
+  }
+
+  /**
+   * Extracts the text of every break range of a column into `NNN-c.json`,
+   * unless the cached data was built from the same ranges and PDF.
+   *
+   * @param {number} pageNum - The page number being processed.
+   * @param {'l'|'r'} column - The column identifier.
+   * @returns {Promise<Array<object>>} The extracted column data.
+   */
+  async extractColumn(pageNum, column) {
+    const paddedPage = padPageNumber(pageNum)
+    const rangesFile = `${this.outputDir}/${paddedPage}-${column}.txt`
+    const dataFile = `${this.outputDir}/${paddedPage}-${column}.json`
+    const columnConfig = (await this.pageLayout(pageNum)).columns[column]
+
+    const ranges = await this.loadRanges(pageNum, column)
+    const digest = await this.manifest.digest('extract', {
+      pdf: true,
+      config: {
+        page: pageNum,
+        column: columnConfig,
+        yOffset: CONFIG.Y_OFFSET,
+        dpi: CONFIG.PDF_DPI,
+      },
+      upstream: [rangesFile],
+    })
+
+    if (await this.manifest.isFresh(dataFile, 'extract', digest)) {
+      return JSON.parse(await fs.readFile(dataFile, 'utf8'))
     }
 
-    let ranges
-
-    // Get or detect ranges
-    if (await fileExists(rangesFile)) {
-      const rangesContent = await fs.readFile(rangesFile, 'utf8')
-      ranges = rangesContent
-        .trim()
-        .split('\n')
-        .map(line => {
-          const [start, end] = line.split(' ').map(Number)
-          return [start, end]
-        })
-    } else {
-      console.log(`${paddedPage}: Figuring out ranges for column ${column}...`)
-
-      // Get raw pixel data for analysis
-      const { data: pixelBuffer, info: pixelInfo } = await this.imageProcessor.getColumnRawPixels(
+    // Extract text from ranges
+    console.log(`${paddedPage}: Extracting text from column ${column}...`)
+    const extractedData = await this.textExtractor.extractFromRanges(
+      pageNum,
+      ranges,
+      column,
+      columnConfig,
+    )
+
+    // Save extracted data
+    await this.textExtractor.saveExtractedData(extractedData, dataFile)
+    await this.manifest.record(dataFile, 'extract', digest)
+    return extractedData
+  }
+
+  /**
+   * Segments the thematic word groups of a page into `NNN-groups.json`
+   * (the `groups` command), unless the cached groups were built from the
+   * same PDF and settings. Needs the PDF only, not the page image.
+   *
+   * @param {number} pageNum - The page number.
+   * @returns {Promise<Array<import('./thematic-extractor.js').ThematicGroup>>} The page's groups.
+   */
+  async extractGroups(pageNum) {
+    const paddedPage = padPageNumber(pageNum)
+    const groupsFile = `${this.outputDir}/${paddedPage}-groups.json`
+
+    const digest = await this.manifest.digest('groups', {
+      pdf: true,
+      config: {
+        page: pageNum,
+        yOffset: CONFIG.Y_OFFSET,
+        imageHeight: CONFIG.IMAGE_HEIGHT,
+        dpi: CONFIG.PDF_DPI,
+        normalize: CONFIG.NORMALIZE,
+      },
+    })
+    if (await this.manifest.isFresh(groupsFile, 'groups', digest)) {
+      return readJSON(groupsFile)
+    }
+
+    console.log(`${paddedPage}: Extracting thematic word groups...`)
+    const index = await this.textExtractor.pageIndex(pageNum)
+    const groups = this.thematicExtractor.segmentPage(index, pageNum)
+    await writeJSON(groupsFile, groups)
+    await this.manifest.record(groupsFile, 'groups', digest)
+    return groups
+  }
+
+  /**
+   * Runs break detection for both columns of a page (the `detect` command).
+   *
+   * @param {number} pageNum - The page number.
+   * @returns {Promise<void>}
+   */
+  async detectPage(pageNum) {
+    const imagePath = await this.pdfConverter.getPageImagePath(pageNum)
+    await fs.mkdir(this.outputDir, { recursive: true })
+    for (const column of ['l', 'r']) await this.detectColumn(imagePath, pageNum, column)
+  }
+
+  /**
+   * Extracts the text of both columns from their cached ranges (the `extract` command).
+   *
+   * @param {number} pageNum - The page number.
+   * @returns {Promise<void>}
+   */
+  async extractPage(pageNum) {
+    for (const column of ['l', 'r']) await this.extractColumn(pageNum, column)
+  }
+
+  /**
+   * Crops the regions of both columns from their cached ranges (the `crop` command).
+   *
+   * @param {number} pageNum - The page number.
+   * @returns {Promise<void>}
+   */
+  async cropPage(pageNum) {
+    const imagePath = await this.pdfConverter.getPageImagePath(pageNum)
+    for (const column of ['l', 'r']) {
+      await this.createCroppedImages(
         imagePath,
         pageNum,
+        await this.loadRanges(pageNum, column),
         column,
       )
+    }
+  }
 
-      // Detect breaks
-      ranges = this.breakDetector.detectBreaks(pixelBuffer, pixelInfo, pageNum, column)
+  /**
+   * Draws the cached ranges of both columns onto the page image (the `annotate` command).
+   *
+   * @param {number} pageNum - The page number.
+   * @returns {Promise<void>}
+   */
+  async annotatePage(pageNum) {
+    const imagePath = await this.pdfConverter.getPageImagePath(pageNum)
+    await this.createCombinedAnnotation(
+      imagePath,
+      pageNum,
+      await this.loadRanges(pageNum, 'l'),
+      await this.loadRanges(pageNum, 'r'),
+    )
+  }
 
-      // Save ranges
-      await fs.writeFile(rangesFile, ranges.map(r => r.join(' ')).join('\n'))
+  /**
+   * Writes the page CSV from the cached column data (part of the `aggregate` command).
+   *
+   * @param {number} pageNum - The page number.
+   * @returns {Promise<Array<object>>} The processed entries of the page.
+   */
+  async writePageOutputs(pageNum) {
+    const paddedPage = padPageNumber(pageNum)
+    let rawData = []
+    for (const column of ['l', 'r']) {
+      const dataFile = `${this.outputDir}/${paddedPage}-${column}.json`
+      if (!(await fileExists(dataFile))) {
+        throw new Error(`No extracted data for ${paddedPage}-${column} – run \`extract\` first`)
+      }
+      const columnData = JSON.parse(await fs.readFile(dataFile, 'utf8'))
+      rawData = this.dataProcessor.processRawData(columnData, rawData, { page: pageNum, column })
     }
 
-    // Extract text from ranges
-    console.log(`${paddedPage}: Extracting text from column ${column}...`)
-    const extractedData = await this.textExtractor.extractFromRanges(pageNum, ranges, column)
+    const processedData = await this.dataProcessor.processExtractedData(rawData)
+    await this.generateOutputs(processedData, paddedPage)
+    return processedData
+  }
 
-    // Create cropped images for each region
-    await this.createCroppedImages(imagePath, pageNum, ranges, column)
+  /**
+   * Loads the cached break ranges of a column.
+   *
+   * @param {number} pageNum - The page number.
+   * @param {'l'|'r'} column - The column identifier.
+   * @returns {Promise<Array<[number, number]>>} The break ranges.
+   */
+  async loadRanges(pageNum, column) {
+    const paddedPage = padPageNumber(pageNum)
+    const rangesFile = `${this.outputDir}/${paddedPage}-${column}.txt`
+    if (!(await fileExists(rangesFile))) {
+      throw new Error(`No break ranges for ${paddedPage}-${column} – run \`detect\` first`)
+    }
+    return this.readRanges(rangesFile)
+  }
 
-    // Save extracted data
-    await this.textExtractor.saveExtractedData(extractedData, dataFile)
+  /**
+   * Reads break ranges written by {@link PageProcessor#detectColumn}.
+   *
+   * @param {string} rangesFile - Path of the `NNN-c.txt` file.
+   * @returns {Promise<Array<[number, number]>>} The ranges, one per line.
+   */
+  async readRanges(rangesFile) {
+    const content = (await fs.readFile(rangesFile, 'utf8')).trim()
+    if (content === '') return []
+    return content.split('\n').map(line => {
+      const [start, end] = line.split(' ').map(Number)
+      return [start, end]
+    })
+  }
 
-    return { data: extractedData, ranges: ranges }
+  /**
+   * Determines the column geometry of a page from its text lines (see
+   * {@link LayoutDetector}) and caches it in `NNN-layout.json`. Falls back to
+   * the configured columns, with a warning, when the layout is ambiguous or
+   * detection is disabled.
+   *
+   * @param {number} pageNum - The page number.
+   * @returns {Promise<import('./layout-detector.js').PageLayout>} The page layout.
+   */
+  async pageLayout(pageNum) {
+    const paddedPage = padPageNumber(pageNum)
+    const layoutFile = `${this.outputDir}/${paddedPage}-layout.json`
+
+    const digest = await this.manifest.digest('layout', {
+      pdf: CONFIG.DETECT_LAYOUT,
+      config: {
+        page: pageNum,
+        detect: CONFIG.DETECT_LAYOUT,
+        left: CONFIG.LEFT_COLUMN,
+        right: CONFIG.RIGHT_COLUMN,
+        yOffset: CONFIG.Y_OFFSET,
+        imageHeight: CONFIG.IMAGE_HEIGHT,
+        dpi: CONFIG.PDF_DPI,
+      },
+    })
+
+    if (await this.manifest.isFresh(layoutFile, 'layout', digest)) {
+      return readJSON(layoutFile)
+    }
+
+    let layout = { source: 'config', columns: this.layoutDetector.fallback, warnings: [] }
+    if (CONFIG.DETECT_LAYOUT) {
+      const { width, lines } = await this.textExtractor.getPageLines(pageNum)
+      layout = this.layoutDetector.detect(lines, width)
+      for (const warning of layout.warnings) {
+        console.warn(`⚠ ${paddedPage}: ${warning} – using the configured columns`)
+      }
+    }
+
+    await fs.mkdir(this.outputDir, { recursive: true })
+    await writeJSON(layoutFile, layout)
+    await this.manifest.record(layoutFile, 'layout', digest)
+    return layout
   }
 
   /**
    * Generates a single annotated image for a page, showing the detected break
-   * ranges for both columns as semi-transparent overlays. Skips if the file already exists.
+   * ranges for both columns as semi-transparent overlays. Skips if the image
+   * was already built from the same ranges.
    *
    * @param {string} imagePath - Path to the original page PNG.
    * @param {number} pageNum - Current page number.
@@ -161,9 +601,21 @@ export class PageProcessor {
   async createCombinedAnnotation(imagePath, pageNum, leftRanges, rightRanges) {
     const paddedPage = padPageNumber(pageNum)
     const annotPath = `${this.outputDir}/${paddedPage}-annot.png`
-
-    // Skip if annotation already exists
-    if (await fileExists(annotPath)) {
+    const { columns } = await this.pageLayout(pageNum)
+
+    const digest = await this.manifest.digest('annotate', {
+      config: {
+        left: columns.l,
+        right: columns.r,
+        yOffset: CONFIG.Y_OFFSET,
+        leftRanges,
+        rightRanges,
+      },
+      upstream: [imagePath],
+    })
+
+    // Skip if annotation is up to date
+    if (await this.manifest.isFresh(annotPath, 'annotate', digest)) {
       return
     }
 
@@ -171,28 +623,30 @@ export class PageProcessor {
 
     // Create rectangles for left column
     const leftRectangles = leftRanges.map(([y0, y1]) => ({
-      x0: CONFIG.LEFT_COLUMN.CROP_X,
+      x0: columns.l.CROP_X,
       y0: CONFIG.Y_OFFSET + y0,
-      x1: CONFIG.LEFT_COLUMN.FULL_WIDTH,
+      x1: columns.l.FULL_WIDTH,
       y1: CONFIG.Y_OFFSET + y1,
     }))
 
     // Create rectangles for right column
     const rightRectangles = rightRanges.map(([y0, y1]) => ({
-      x0: CONFIG.RIGHT_COLUMN.CROP_X,
+      x0: columns.r.CROP_X,
       y0: CONFIG.Y_OFFSET + y0,
-      x1: CONFIG.RIGHT_COLUMN.FULL_WIDTH,
+      x1: columns.r.FULL_WIDTH,
       y1: CONFIG.Y_OFFSET + y1,
     }))
 
     // Combine all rectangles and annotate in one operation
     const allRectangles = [...leftRectangles, ...rightRectangles]
     await this.imageProcessor.annotateImage(imagePath, annotPath, allRectangles)
+    await this.manifest.record(annotPath, 'annotate', digest)
   }
 
   /**
    * Produces cropped PNG snippets for each detected vocabulary entry region in a column.
-   * Skips any images that already exist.
+   * Skips crops that were already built from the same range, and deletes crops
+   * left over from an earlier run with more ranges.
    *
    * @param {string} imagePath - The file path to the original full-page image.
    * @param {number} pageNum - The current page number.
@@ -202,22 +656,27 @@ export class PageProcessor {
    */
   async createCroppedImages(imagePath, pageNum, ranges, column) {
     const paddedPage = padPageNumber(pageNum)
-    const columnConfig = column === 'l' ? CONFIG.LEFT_COLUMN : CONFIG.RIGHT_COLUMN
+    const columnConfig = (await this.pageLayout(pageNum)).columns[column]
 
     for (let i = 0; i < ranges.length; i++) {
       const [y0, y1] = ranges[i]
       const outputPath = `${this.outputDir}/${paddedPage}-${column}-${i}.png`
 
-      // Skip if already exists
-      if (await fileExists(outputPath)) {
-        continue
-      }
-
       const cropWidth = columnConfig.CROP_WIDTH
       const cropHeight = y1 - y0
       const cropX = columnConfig.CROP_X
       const cropY = CONFIG.Y_OFFSET + y0
 
+      const digest = await this.manifest.digest('crop', {
+        config: { x: cropX, y: cropY, width: cropWidth, height: cropHeight },
+        upstream: [imagePath],
+      })
+
+      // Skip if already up to date
+      if (await this.manifest.isFresh(outputPath, 'crop', digest)) {
+        continue
+      }
+
       await this.imageProcessor.cropRegion(
         imagePath,
         cropX,
@@ -226,12 +685,21 @@ export class PageProcessor {
         cropHeight,
         outputPath,
       )
+      await this.manifest.record(outputPath, 'crop', digest)
+    }
+
+    // Remove crops of ranges that no longer exist
+    for (let i = ranges.length; ; i++) {
+      const stalePath = `${this.outputDir}/${paddedPage}-${column}-${i}.png`
+      if (!(await fileExists(stalePath))) break
+      await fs.unlink(stalePath)
+      await this.manifest.remove(stalePath)
     }
   }
 
   /**
    * Writes the final CSV output file for a given page's processed data.
-   * Skips if the output file already exists.
+   * Skips if the file was already built from the same column data.
    *
    * @param {Array<{definition: string, example: string}>} data - The processed vocabulary entries for the page.
    * @param {string} page - The page identifier string (e.g., "042") used for the filename.
@@ -240,8 +708,13 @@ export class PageProcessor {
   async generateOutputs(data, page) {
     const csvFile = `${this.outputDir}/${page}.csv`
 
-    // Skip if output already exists
-    if (await fileExists(csvFile)) {
+    const digest = await this.manifest.digest('csv', {
+      config: { normalize: CONFIG.NORMALIZE },
+      upstream: [`${this.outputDir}/${page}-l.json`, `${this.outputDir}/${page}-r.json`],
+    })
+
+    // Skip if output is up to date
+    if (await this.manifest.isFresh(csvFile, 'csv', digest)) {
       return
     }
 
@@ -249,6 +722,37 @@ export class PageProcessor {
 
     const csv = await this.dataProcessor.generateCSV(data, page)
     await fs.writeFile(csvFile, csv)
+    await this.manifest.record(csvFile, 'csv', digest)
+  }
+
+  /**
+   * Drops what is cached for a page while it is being worked on, i.e. its
+   * parsed text, once a command is done with it.
+   *
+   * @param {number} pageNum - The page number.
+   * @returns {void}
+   */
+  releasePage(pageNum) {
+    this.textExtractor.releasePage(pageNum)
+  }
+
+  /**
+   * Runs one step of {@link PageProcessor#processPage} and tags an error it
+   * throws with the step's command name for the failure report.
+   *
+   * @private
+   * @template T
+   * @param {string} stage - Command name of the step, e.g. `detect`.
+   * @param {() => Promise<T>} step - The work to perform.
+   * @returns {Promise<T>}
+   */
+  async _stage(stage, step) {
+    try {
+      return await step()
+    } catch (error) {
+      error.stage ??= stage
+      throw error
+    }
   }
 
   /**
@@ -260,3 +764,43 @@ export class PageProcessor {
     await this.imageProcessor.destroy()
   }
 }
+
+/**
+ * Reads the text of a region as text extraction did before the page text
+ * index: the page's structured text is parsed as JSON and the lines whose
+ * boxes touch the region are joined in reading order. Kept as the baseline
+ * of the `benchmark` command.
+ *
+ * @param {import('mupdf').PDFDocument} doc - The PDF document.
+ * @param {number} pageNum - The 1-based page number.
+ * @param {number} x - The x-coordinate of the region's top-left corner in image pixels.
+ * @param {number} y - The y-coordinate of the region's top-left corner in image pixels.
+ * @param {number} width - The width of the region in image pixels.
+ * @param {number} height - The height of the region in image pixels.
+ * @returns {string} The text of the region.
+ */
+function readRegionFromParse(doc, pageNum, x, y, width, height) {
+  const scale = CONFIG.PDF_DPI / 72
+  const page = doc.loadPage(pageNum - 1)
+  const st = JSON.parse(page.toStructuredText('preserve-whitespace').asJSON())
+
+  const rx0 = x / scale
+  const ry0 = y / scale
+  const rx1 = (x + width) / scale
+  const ry1 = (y + height) / scale
+
+  const lines = []
+  for (const block of st.blocks) {
+    if (block.type !== 'text') continue
+    for (const line of block.lines) {
+      const { x: lx, y: ly, w: lw, h: lh } = line.bbox
+      if (lx + lw < rx0 || lx > rx1 || ly + lh < ry0 || ly > ry1) continue
+      lines.push({ y: ly, x: lx, text: line.text })
+    }
+  }
+  lines.sort((a, b) => a.y - b.y || a.x - b.x)
+  return lines
+    .map(line => line.text)
+    .join('\n')
+    .trim()
+}
@@ -0,0 +1,359 @@
+import { CONFIG } from '../config.js'
+
+/**
+ * Height in PDF points of the horizontal bands the lines are bucketed into.
+ * A region query only looks at the lines of the bands it overlaps.
+ */
+const BAND_HEIGHT = 24
+
+/**
+ * Prefix of embedded font subsets, e.g. "ABCDEF+" in "ABCDEF+Arial-BoldMT".
+ */
+const SUBSET_PREFIX = /^[A-Z]{6}\+/
+
+/**
+ * @typedef {object} StructuredTextLine
+ * @property {{x: number, y: number, w: number, h: number}} bbox - Bounding box in PDF points.
+ * @property {string} text - Text of the line.
+ * @property {number} [y] - Baseline of the line's first character in PDF points.
+ * @property {{name: string, weight: string, style: string, size: number}} [font] - Font of the
+ *   line's first character.
+ * @property {TextRun[]} [runs] - The line's text split by typography.
+ */
+
+/**
+ * @typedef {object} IndexedLine
+ * @property {number} x - Left edge in PDF points.
+ * @property {number} y - Top edge in PDF points.
+ * @property {number} w - Width in PDF points.
+ * @property {number} h - Height in PDF points.
+ * @property {number} baseline - Baseline in PDF points.
+ * @property {string} text - Text of the line.
+ * @property {TextRun[]} runs - The line's text split by typography.
+ */
+
+/**
+ * @typedef {object} AmbiguousLine
+ * @property {IndexedLine} line - A line overlapping more than one range.
+ * @property {number[]} ranges - Indices of the ranges it overlaps.
+ * @property {number} range - Index of the range it was assigned to.
+ * @property {'overlap'|'baseline'} rule - `overlap` when more than half of the line lies in
+ *   that range, `baseline` when no range holds the majority and the baseline decided.
+ */
+
+/**
+ * @typedef {object} TextRun
+ * @property {string} text - Text of the run.
+ * @property {string} font - Font name without subset prefix, e.g. "Arial-BoldMT".
+ * @property {number} size - Font size in points.
+ * @property {boolean} bold - Whether the font is bold.
+ * @property {boolean} italic - Whether the font is italic.
+ */
+
+/**
+ * Splits every text line of a page into runs of characters set in the same
+ * font, size, weight and style.
+ *
+ * @param {import('mupdf').StructuredText} stext - The page's structured text.
+ * @returns {TextRun[][]} The runs of each text line, in the order of `asJSON()`.
+ */
+export function readTextRuns(stext) {
+  const lines = []
+  let runs = []
+  stext.walk({
+    beginLine: () => {
+      runs = []
+    },
+    onChar: (c, origin, font, size) => {
+      appendRun(runs, {
+        text: c,
+        font: font.getName().replace(SUBSET_PREFIX, ''),
+        size: Math.round(size * 10) / 10,
+        bold: font.isBold(),
+        italic: font.isItalic(),
+      })
+    },
+    endLine: () => lines.push(runs),
+  })
+  return lines
+}
+
+/**
+ * Appends a copy of a run, merged into the last run when both share their typography.
+ *
+ * @param {TextRun[]} runs - Runs to append to.
+ * @param {TextRun} run - The run.
+ * @returns {void}
+ */
+function appendRun(runs, run) {
+  const last = runs.at(-1)
+  const sameStyle =
+    last &&
+    last.font === run.font &&
+    last.size === run.size &&
+    last.bold === run.bold &&
+    last.italic === run.italic
+  if (sameStyle) last.text += run.text
+  else runs.push({ ...run })
+}
+
+/**
+ * The whole line as one run in the font `asJSON()` reports for it.
+ *
+ * @param {StructuredTextLine} line - The line.
+ * @returns {TextRun[]} One run, none for an empty line.
+ */
+function lineRuns({ text, font }) {
+  if (text === '') return []
+  return [
+    {
+      text,
+      font: (font?.name ?? '').replace(SUBSET_PREFIX, ''),
+      size: font?.size ?? 0,
+      bold: font?.weight === 'bold',
+      italic: font?.style === 'italic',
+    },
+  ]
+}
+
+/**
+ * @class PageTextIndex
+ * @description Spatial index over the text lines of one PDF page, built from a
+ * single parse of `mupdf`'s structured text. The lines are kept in reading
+ * order and bucketed into horizontal bands, so the definition and example
+ * regions of every entry are answered without parsing the page again.
+ * Every line also keeps its text as {@link TextRun}s, so the typography of a
+ * region is available next to its text.
+ */
+export class PageTextIndex {
+  /**
+   * @param {{blocks: Array<{type: string, lines?: StructuredTextLine[]}>}} structuredText - The
+   *   page's structured text as parsed from `StructuredText.asJSON()`.
+   * @param {[number, number, number, number]} bounds - Page bounds `[x0, y0, x1, y1]` in PDF points.
+   * @param {number} [scale] - Image pixels per PDF point.
+   */
+  constructor(structuredText, bounds, scale = CONFIG.PDF_DPI / 72) {
+    this.scale = scale
+    this.width = (bounds[2] - bounds[0]) * scale
+
+    const lines = []
+    for (const block of structuredText.blocks) {
+      if (block.type !== 'text') continue
+      for (const line of block.lines) {
+        lines.push({
+          ...line.bbox,
+          // Origin of the first character; asJSON() always reports it
+          baseline: line.y ?? line.bbox.y + line.bbox.h,
+          text: line.text,
+          runs: line.runs ?? lineRuns(line),
+        })
+      }
+    }
+    /** Lines in PDF points, in natural reading order. */
+    this.entries = lines.sort((a, b) => a.y - b.y || a.x - b.x)
+
+    /** @type {Map<number, number[]>} Band number → indices into `entries`. */
+    this.bands = new Map()
+    this.entries.forEach((line, i) => {
+      for (let band = this._band(line.y); band <= this._band(line.y + line.h); band++) {
+        if (!this.bands.has(band)) this.bands.set(band, [])
+        this.bands.get(band).push(i)
+      }
+    })
+
+    this._lines = null // Converted lazily
+  }
+
+  /**
+   * Builds the index of a page from its structured text, with the runs of
+   * every line read character by character.
+   *
+   * @param {import('mupdf').StructuredText} stext - The page's structured text.
+   * @param {[number, number, number, number]} bounds - Page bounds `[x0, y0, x1, y1]` in PDF points.
+   * @returns {PageTextIndex} The index.
+   */
+  static fromStructuredText(stext, bounds) {
+    const structuredText = JSON.parse(stext.asJSON())
+    const lines = structuredText.blocks.filter(({ type }) => type === 'text').flatMap(b => b.lines)
+    const runs = readTextRuns(stext)
+    // Both walk the same lines; should they ever disagree, keep the line fonts
+    if (runs.length === lines.length) lines.forEach((line, i) => (line.runs = runs[i]))
+    return new PageTextIndex(structuredText, bounds)
+  }
+
+  /**
+   * Bounding boxes of all lines in image pixels, in reading order, for the
+   * layout and text break detectors. The array is shared between callers.
+   *
+   * @returns {Array<import('./layout-detector.js').TextLine>} The lines.
+   */
+  get lines() {
+    this._lines ??= this.entries.map(({ x, y, w, h, text }) => ({
+      x0: x * this.scale,
+      y0: y * this.scale,
+      x1: (x + w) * this.scale,
+      y1: (y + h) * this.scale,
+      text,
+    }))
+    return this._lines
+  }
+
+  /**
+   * Lines touching a rectangular region, in reading order.
+   *
+   * @param {number} x - The x-coordinate of the region's top-left corner in image pixels.
+   * @param {number} y - The y-coordinate of the region's top-left corner in image pixels.
+   * @param {number} width - The width of the region in image pixels.
+   * @param {number} height - The height of the region in image pixels.
+   * @returns {IndexedLine[]} The lines.
+   */
+  query(x, y, width, height) {
+    // Compare in point space, where mupdf reports the line boxes
+    const rx0 = x / this.scale
+    const ry0 = y / this.scale
+    const rx1 = (x + width) / this.scale
+    const ry1 = (y + height) / this.scale
+
+    const candidates = new Set()
+    for (let band = this._band(ry0); band <= this._band(ry1); band++) {
+      for (const i of this.bands.get(band) ?? []) candidates.add(i)
+    }
+    return [...candidates]
+      .sort((a, b) => a - b)
+      .map(i => this.entries[i])
+      .filter(({ x: lx, y: ly, w, h }) => !(lx + w < rx0 || lx > rx1 || ly + h < ry0 || ly > ry1))
+  }
+
+  /**
+   * Assigns every line touching a column to exactly one of its ranges, so a
+   * line sitting on a break no longer shows up in both entries. A line that
+   * overlaps several ranges goes to the one holding more than half of its
+   * height, otherwise to the one containing its baseline. Lines merely
+   * touching the neighbouring range are not ambiguous.
+   *
+   * @param {number} x - Left edge of the column in image pixels.
+   * @param {number} width - Width of the column in image pixels.
+   * @param {Array<[number, number]>} ranges - The `[y0, y1]` ranges in image pixels, top to bottom.
+   * @returns {{lines: IndexedLine[][], ambiguous: AmbiguousLine[]}} The lines of each range in
+   *   reading order, and the lines that overlapped more than one range.
+   */
+  assignLines(x, width, ranges) {
+    const lines = ranges.map(() => [])
+    const ambiguous = []
+    if (ranges.length === 0) return { lines, ambiguous }
+
+    const top = ranges[0][0]
+    const bounds = ranges.map(([y0, y1]) => [y0 / this.scale, y1 / this.scale])
+    for (const line of this.query(x, top, width, ranges.at(-1)[1] - top)) {
+      const bottom = line.y + line.h
+      // Same inclusive test as query(), then how much of the line lies in each range
+      const touched = bounds
+        .map(([r0, r1], i) => ({ i, r0, r1, overlap: Math.min(bottom, r1) - Math.max(line.y, r0) }))
+        .filter(({ r0, r1 }) => !(bottom < r0 || line.y > r1))
+      const overlapping = touched.filter(({ overlap }) => overlap > 0)
+      if (overlapping.length <= 1) {
+        const [only] = overlapping.length === 1 ? overlapping : touched
+        if (only) lines[only.i].push(line)
+        continue
+      }
+
+      const majority = overlapping.find(({ overlap }) => overlap > line.h / 2)
+      const byBaseline = overlapping.find(({ r0, r1 }) => line.baseline >= r0 && line.baseline < r1)
+      const chosen =
+        majority ??
+        byBaseline ??
+        overlapping.reduce((best, range) => (range.overlap > best.overlap ? range : best))
+      lines[chosen.i].push(line)
+      ambiguous.push({
+        line,
+        ranges: overlapping.map(({ i }) => i),
+        range: chosen.i,
+        rule: majority || !byBaseline ? 'overlap' : 'baseline',
+      })
+    }
+    return { lines, ambiguous }
+  }
+
+  /**
+   * The lines horizontally touching a region, e.g. the definition part of a column.
+   *
+   * @param {IndexedLine[]} lines - Lines in reading order.
+   * @param {number} x - Left edge of the region in image pixels.
+   * @param {number} width - Width of the region in image pixels.
+   * @returns {IndexedLine[]} The lines touching the region.
+   */
+  within(lines, x, width) {
+    const rx0 = x / this.scale
+    const rx1 = (x + width) / this.scale
+    return lines.filter(line => !(line.x + line.w < rx0 || line.x > rx1))
+  }
+
+  /**
+   * Text of the lines touching a rectangular region, one line per row.
+   *
+   * @param {number} x - The x-coordinate of the region's top-left corner in image pixels.
+   * @param {number} y - The y-coordinate of the region's top-left corner in image pixels.
+   * @param {number} width - The width of the region in image pixels.
+   * @param {number} height - The height of the region in image pixels.
+   * @returns {string} The text in reading order.
+   */
+  textIn(x, y, width, height) {
+    return this.text(this.query(x, y, width, height))
+  }
+
+  /**
+   * Text of the lines touching a rectangular region as runs of the same
+   * typography; their texts joined give {@link PageTextIndex#textIn}.
+   *
+   * @param {number} x - The x-coordinate of the region's top-left corner in image pixels.
+   * @param {number} y - The y-coordinate of the region's top-left corner in image pixels.
+   * @param {number} width - The width of the region in image pixels.
+   * @param {number} height - The height of the region in image pixels.
+   * @returns {TextRun[]} The runs in reading order.
+   */
+  runsIn(x, y, width, height) {
+    return this.runs(this.query(x, y, width, height))
+  }
+
+  /**
+   * Joins lines into text, one line per row.
+   *
+   * @param {IndexedLine[]} lines - Lines in reading order.
+   * @returns {string} The trimmed text.
+   */
+  text(lines) {
+    return lines
+      .map(line => line.text)
+      .join('\n')
+      .trim()
+  }
+
+  /**
+   * Joins the runs of lines, merging runs of the same typography; their texts
+   * joined give {@link PageTextIndex#text}.
+   *
+   * @param {IndexedLine[]} lines - Lines in reading order.
+   * @returns {TextRun[]} The runs.
+   */
+  runs(lines) {
+    const runs = []
+    lines.forEach((line, i) => {
+      if (i > 0 && runs.length > 0) runs.at(-1).text += '\n'
+      for (const run of line.runs) appendRun(runs, run)
+    })
+
+    // Trim like text(), dropping runs that were only whitespace
+    while (runs.length > 0 && runs[0].text.trimStart() === '') runs.shift()
+    while (runs.length > 0 && runs.at(-1).text.trimEnd() === '') runs.pop()
+    if (runs.length > 0) {
+      runs[0].text = runs[0].text.trimStart()
+      runs.at(-1).text = runs.at(-1).text.trimEnd()
+    }
+    return runs
+  }
+
+  /** @private */
+  _band(y) {
+    return Math.floor(y / BAND_HEIGHT)
+  }
+}
@@ -4,6 +4,7 @@ import path from 'node:path'
 import { CONFIG } from '../config.js'
 import { fileExists, padPageNumber } from '../utils/fs.js'
 import { WorkerPool } from '../runtime/worker-pool.js'
+import { BuildManifest } from './build-manifest.js'
 
 /**
  * Generate the deterministic PNG filename for a given page number.
@@ -18,7 +19,11 @@ function generatePngFilename(pageNum) {
  * Converts the Goethe B1 PDF pages to PNG using worker-threads.
  */
 export class PDFConverter {
-  constructor() {
+  /**
+   * @param {BuildManifest} [manifest] - Build manifest deciding which page images are stale.
+   */
+  constructor(manifest = new BuildManifest()) {
+    this.manifest = manifest
     this.pdfFile = CONFIG.PDF_FILE
     this.outputDir = CONFIG.OUTPUT_DIR
     this._doc = null // lazily opened for page-count only
@@ -33,31 +38,50 @@ export class PDFConverter {
   }
 
   /**
-   * Render missing pages in parallel via WorkerPool.
+   * Render missing or stale pages in parallel via WorkerPool. A page image is
+   * stale when the PDF or the render settings changed since it was rendered.
+   *
+   * Pages that fail are retried up to `retries` times and then reported
+   * instead of aborting the other pages.
+   *
+   * @param {number[]} [pageNumbers] - Pages to render; defaults to the whole Wortliste.
+   * @param {{retries?: number}} [options] - Extra attempts per failed page.
+   * @returns {Promise<Array<{page: number, error: Error, attempts: number}>>} Pages that could not be rendered.
    */
-  async convertPDFToPNG() {
+  async convertPDFToPNG(pageNumbers, { retries = 0 } = {}) {
     if (!(await fileExists(this.pdfFile))) {
       throw new Error(`PDF file not found: ${this.pdfFile}`)
     }
 
     await fs.mkdir(this.outputDir, { recursive: true })
 
-    // Quick exit if everything is already rendered.
-    const sentinel = path.join(this.outputDir, generatePngFilename(CONFIG.PAGE_END))
-    if (await fileExists(sentinel)) {
-      console.log('PDF → PNG: all pages already rendered – skipping')
-      return
-    }
-
     // Determine which pages are still needed.
     const doc = await this._getDocument()
     const pageCount = doc.countPages()
+    const candidates =
+      pageNumbers ??
+      Array.from(
+        { length: CONFIG.PAGE_END - CONFIG.PAGE_START + 1 },
+        (_, i) => CONFIG.PAGE_START + i,
+      )
     const pagesTodo = []
-    for (let i = CONFIG.PAGE_START; i <= Math.min(CONFIG.PAGE_END, pageCount); i++) {
-      const outPath = path.join(this.outputDir, generatePngFilename(i))
-      if (!(await fileExists(outPath))) pagesTodo.push(i)
+    for (const pageNum of candidates) {
+      if (pageNum > pageCount) continue
+      const outPath = path.join(this.outputDir, generatePngFilename(pageNum))
+      const digest = await this.manifest.digest('render', {
+        pdf: true,
+        config: { page: pageNum, dpi: CONFIG.PDF_DPI },
+      })
+      if (await this.manifest.isFresh(outPath, 'render', digest)) continue
+
+      // The worker keeps existing images, so drop the stale one first
+      await fs.rm(outPath, { force: true })
+      pagesTodo.push({ pageNum, outPath, digest })
+    }
+    if (pagesTodo.length === 0) {
+      console.log('PDF → PNG: all pages up to date – skipping')
+      return []
     }
-    if (pagesTodo.length === 0) return
 
     console.log(
       `Rendering ${pagesTodo.length} page(s) with worker threads (Node ${process.versions.node})…`,
@@ -66,10 +90,34 @@ export class PDFConverter {
     const pool = new WorkerPool(new URL('../runtime/workers/pdf-render-worker.js', import.meta.url))
     await pool.ready()
 
-    await Promise.all(pagesTodo.map(pageNum => pool.exec({ payload: { pageNum } })))
+    let remaining = pagesTodo
+    const failed = []
+    for (let attempt = 1; remaining.length > 0; attempt++) {
+      const results = await Promise.allSettled(
+        remaining.map(({ pageNum, outPath }) =>
+          pool.exec({ payload: { pageNum, pdfFile: this.pdfFile, outPath, dpi: CONFIG.PDF_DPI } }),
+        ),
+      )
+      const retry = []
+      for (let i = 0; i < remaining.length; i++) {
+        const { pageNum, outPath, digest } = remaining[i]
+        const result = results[i]
+        if (result.status === 'fulfilled') {
+          await this.manifest.record(outPath, 'render', digest)
+        } else if (attempt <= retries) {
+          console.warn(`⚠ Rendering page ${pageNum} failed (${result.reason.message}) – retrying`)
+          retry.push(remaining[i])
+        } else {
+          failed.push({ page: pageNum, error: result.reason, attempts: attempt })
+        }
+      }
+      remaining = retry
+    }
 
     await pool.destroy()
-    console.log('PDF conversion completed ✔')
+    await this.manifest.save()
+    if (failed.length === 0) console.log('PDF conversion completed ✔')
+    return failed
   }
 
   /**
@@ -79,7 +127,7 @@ export class PDFConverter {
   async getPageImagePath(pageNum) {
     const img = path.join(this.outputDir, generatePngFilename(pageNum))
     if (!(await fileExists(img))) {
-      throw new Error(`Expected PNG not found – run convertPDFToPNG(): ${img}`)
+      throw new Error(`Expected PNG not found – run \`render\` first: ${img}`)
     }
     return img
   }
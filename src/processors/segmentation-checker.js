@@ -0,0 +1,266 @@
+import { DataProcessor } from './data-processor.js'
+import { TextBreakDetector } from './text-break-detector.js'
+
+/**
+ * A range whose text is this many times taller than the median range of the
+ * checked pages probably holds more than one entry.
+ */
+const TALL_FACTOR = 2.5
+
+/**
+ * Pixels a text row must reach past a range boundary on both sides to count
+ * as cut by it.
+ */
+const STRADDLE_TOLERANCE = 2
+
+/**
+ * How much each kind of suspect adds to the score of a range. Cut text rows
+ * and empty ranges are almost always segmentation errors, a missing article
+ * is often a legitimate adjective or adverb.
+ */
+const WEIGHTS = {
+  'straddling-line': 5,
+  'empty-range': 4,
+  'short-range': 4,
+  'tall-range': 3,
+  'unmerged-continuation': 3,
+  'unbalanced-parentheses': 2,
+  'verb-pattern': 2,
+  'no-article': 1,
+}
+
+/**
+ * @typedef {object} SegmentationIssue
+ * @property {keyof typeof WEIGHTS} check - Kind of suspect.
+ * @property {string} message - What was found.
+ */
+
+/**
+ * @typedef {object} RangeReport
+ * @property {number} page - Page of the range.
+ * @property {'l'|'r'} column - Column of the range.
+ * @property {number} index - Index of the range within the column.
+ * @property {[number, number]} yRange - The range in column image pixels.
+ * @property {number} contentHeight - Height of the text rows in the range, 0 without text.
+ * @property {string|null} crop - Crop image of the range.
+ * @property {string} definition - Extracted definition.
+ * @property {string} example - Extracted example.
+ * @property {SegmentationIssue[]} issues - Suspects found in the range.
+ */
+
+/**
+ * @class SegmentationChecker
+ * @description Looks for signs of bad segmentation in the cached break ranges
+ * (`NNN-c.txt`) and extractions (`NNN-c.json`) of a column: ranges much
+ * taller or thinner than usual, text rows cut by a range boundary, empty
+ * ranges, continuations that do not fit the example they are merged into,
+ * definitions without an article or a proper verb pattern, and unbalanced
+ * parentheses. {@link SegmentationChecker#rank} turns the findings into a
+ * review list, most suspicious range first.
+ */
+export class SegmentationChecker {
+  /**
+   * Creates a checker using the pipeline's own definition cleanup and parser.
+   */
+  constructor() {
+    this.dataProcessor = new DataProcessor()
+    this.textBreakDetector = new TextBreakDetector()
+  }
+
+  /**
+   * Checks the ranges of one column. Height outliers need the ranges of
+   * other columns too and are added by {@link SegmentationChecker#checkHeights}.
+   *
+   * @param {object} column - The column to check.
+   * @param {number} column.page - Page number.
+   * @param {'l'|'r'} column.column - Column identifier.
+   * @param {Array<[number, number]>} column.ranges - Break ranges from `NNN-c.txt`.
+   * @param {Array<{definition: string, example: string, imagePath?: string}>} column.entries - Extraction from `NNN-c.json`.
+   * @param {Array<import('./layout-detector.js').TextLine>} column.lines - Text lines of the page in image pixels.
+   * @param {import('./layout-detector.js').ColumnConfig} column.columnConfig - Column geometry of the page.
+   * @returns {RangeReport[]} One report per range.
+   * @throws {Error} When the extraction does not match the ranges.
+   */
+  checkColumn({ page, column, ranges, entries, lines, columnConfig }) {
+    if (entries.length !== ranges.length) {
+      throw new Error(
+        `${ranges.length} ranges but ${entries.length} extracted entries – run \`extract\` first`,
+      )
+    }
+
+    const rows = this.textBreakDetector.rows(lines, columnConfig)
+    const heights = rows.map(row => row.y1 - row.y0).sort((a, b) => a - b)
+    const lineHeight = heights[Math.floor(heights.length / 2)] ?? 0
+
+    return ranges.map(([y0, y1], index) => {
+      const { definition, example } = entries[index]
+      const inside = rows.filter(row => (row.y0 + row.y1) / 2 >= y0 && (row.y0 + row.y1) / 2 < y1)
+      const issues = []
+
+      if (y1 - y0 < lineHeight) {
+        issues.push({
+          check: 'short-range',
+          message: `range is ${y1 - y0}px tall, less than a text line (${Math.round(lineHeight)}px)`,
+        })
+      }
+
+      const cut = rows.find(
+        row => row.y0 + STRADDLE_TOLERANCE < y0 && row.y1 - STRADDLE_TOLERANCE > y0,
+      )
+      if (index > 0 && cut) {
+        issues.push({ check: 'straddling-line', message: `boundary at ${y0} cuts "${cut.text}"` })
+      }
+
+      if (definition.trim() === '') {
+        issues.push(...this.checkContinuation(example, entries[index - 1]))
+      } else {
+        issues.push(...this.checkDefinition(definition, { page, column }))
+      }
+      for (const [field, text] of Object.entries({ definition, example })) {
+        const balance = this.parenthesisBalance(text)
+        if (balance !== 0) {
+          issues.push({
+            check: 'unbalanced-parentheses',
+            message: `${field} has ${Math.abs(balance)} unmatched "${balance > 0 ? '(' : ')'}"`,
+          })
+        }
+      }
+
+      return {
+        page,
+        column,
+        index,
+        yRange: [y0, y1],
+        contentHeight: inside.length > 0 ? inside.at(-1).y1 - inside[0].y0 : 0,
+        crop: entries[index].imagePath ?? null,
+        definition,
+        example,
+        issues,
+      }
+    })
+  }
+
+  /**
+   * Flags ranges whose text is more than {@link TALL_FACTOR} times as tall as
+   * that of the median range with text.
+   *
+   * @param {RangeReport[]} reports - Reports of all checked columns; changed in place.
+   * @returns {number} The median content height.
+   */
+  checkHeights(reports) {
+    const heights = reports
+      .map(report => report.contentHeight)
+      .filter(height => height > 0)
+      .sort((a, b) => a - b)
+    const median = heights[Math.floor(heights.length / 2)] ?? 0
+
+    for (const report of reports) {
+      if (median > 0 && report.contentHeight > TALL_FACTOR * median) {
+        report.issues.push({
+          check: 'tall-range',
+          message: `text is ${Math.round(report.contentHeight)}px tall, ${(report.contentHeight / median).toFixed(1)}× the median range`,
+        })
+      }
+    }
+    return median
+  }
+
+  /**
+   * Checks a range without definition, which is merged into the entry above
+   * it: it must have example text, and it must continue the previous example
+   * either mid-sentence (no sentence end above, lowercase start) or with a
+   * new sentence (sentence end above, uppercase start).
+   *
+   * @param {string} example - Example text of the range.
+   * @param {{example: string}|undefined} previous - The range above in the same column.
+   * @returns {SegmentationIssue[]} The issues found.
+   */
+  checkContinuation(example, previous) {
+    const text = example.trim()
+    if (text === '') return [{ check: 'empty-range', message: 'range has no text' }]
+    if (!previous || previous.example.trim() === '') return []
+
+    const sentenceEnded = /[.!?…"“”]$/.test(previous.example.trim())
+    const startsLower = /^\p{Ll}/u.test(text)
+    if (sentenceEnded === startsLower) {
+      return [
+        {
+          check: 'unmerged-continuation',
+          message: sentenceEnded
+            ? `continuation "${text.split('\n')[0]}" starts lowercase after a complete sentence`
+            : `continuation "${text.split('\n')[0]}" starts a sentence, but the example above is unfinished`,
+        },
+      ]
+    }
+    return []
+  }
+
+  /**
+   * Checks that a definition reads as a noun with its article, a verb with
+   * its principal parts or another word class. A capitalised headword without
+   * article usually lost the article to the range above.
+   *
+   * @param {string} definition - Extracted definition.
+   * @param {{page: number, column: 'l'|'r'}} location - Where the definition comes from.
+   * @returns {SegmentationIssue[]} The issues found.
+   */
+  checkDefinition(definition, { page, column }) {
+    const parser = this.dataProcessor.definitionParser
+    const { definition: normalized } = this.dataProcessor.normalizer.apply({ definition })
+    const clean = this.dataProcessor.processDefinition(normalized, { page, column, fired: [] })
+    const lexical = parser.parse(clean)
+    const form = lexical?.forms[0]
+    if (!form) return []
+
+    const verbIssues = parser.verbIssues(form)
+    if (verbIssues.length > 0) {
+      return [{ check: 'verb-pattern', message: `"${form.lemma}": ${verbIssues.join('; ')}` }]
+    }
+    if (lexical.pos === 'other' && /^\p{Lu}/u.test(form.lemma)) {
+      return [{ check: 'no-article', message: `"${form.lemma}" is capitalised but has no article` }]
+    }
+    return []
+  }
+
+  /**
+   * Opening minus closing parentheses, where a closing one before any
+   * opening one counts as unbalanced right away.
+   *
+   * @param {string} text - Text to check.
+   * @returns {number} 0 when balanced, positive for unclosed, negative for unopened parentheses.
+   */
+  parenthesisBalance(text) {
+    let depth = 0
+    let unopened = 0
+    for (const char of text) {
+      if (char === '(') depth++
+      else if (char === ')' && depth > 0) depth--
+      else if (char === ')') unopened++
+    }
+    return depth > 0 ? depth : -unopened
+  }
+
+  /**
+   * Scores the ranges by their issues ({@link WEIGHTS}) and lists those with
+   * any, highest score first, then in page order.
+   *
+   * @param {RangeReport[]} reports - Reports of all checked columns.
+   * @returns {Array<RangeReport & {rank: number, score: number}>} The review list.
+   */
+  rank(reports) {
+    return reports
+      .filter(report => report.issues.length > 0)
+      .map(report => ({
+        score: report.issues.reduce((sum, { check }) => sum + WEIGHTS[check], 0),
+        ...report,
+      }))
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          a.page - b.page ||
+          a.column.localeCompare(b.column) ||
+          a.index - b.index,
+      )
+      .map((report, i) => ({ rank: i + 1, ...report }))
+  }
+}
@@ -0,0 +1,195 @@
+import { promises as fs } from 'fs'
+import path from 'node:path'
+import { DataProcessor } from './data-processor.js'
+
+/**
+ * Version stored in `PRAGMA user_version`; bumped on incompatible schema changes.
+ */
+export const DATABASE_VERSION = 1
+
+const DATABASE_SCHEMA = `
+CREATE TABLE metadata (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+CREATE TABLE pages (
+  number INTEGER PRIMARY KEY,
+  entry_count INTEGER NOT NULL
+);
+CREATE TABLE entries (
+  id TEXT PRIMARY KEY,
+  position INTEGER NOT NULL UNIQUE,
+  definition TEXT NOT NULL,
+  example TEXT NOT NULL,
+  pos TEXT,
+  lemma TEXT,
+  lexical TEXT,
+  corrections TEXT NOT NULL,
+  page INTEGER REFERENCES pages (number),
+  column TEXT
+);
+CREATE TABLE examples (
+  entry_id TEXT NOT NULL REFERENCES entries (id),
+  position INTEGER NOT NULL,
+  number INTEGER,
+  text TEXT NOT NULL,
+  PRIMARY KEY (entry_id, position)
+);
+CREATE TABLE provenance (
+  entry_id TEXT NOT NULL REFERENCES entries (id),
+  position INTEGER NOT NULL,
+  page INTEGER,
+  column TEXT,
+  range_index INTEGER,
+  y0 REAL,
+  y1 REAL,
+  image TEXT,
+  PRIMARY KEY (entry_id, position)
+);
+CREATE INDEX entries_lemma ON entries (lemma);
+CREATE INDEX entries_page ON entries (page, column);
+CREATE INDEX provenance_page ON provenance (page, column, range_index);
+CREATE VIRTUAL TABLE entries_fts USING fts5 (
+  definition,
+  example,
+  content = 'entries',
+  tokenize = 'unicode61 remove_diacritics 0'
+);
+`
+
+/**
+ * @class SqliteExporter
+ * @description Builds `wortliste.sqlite`, a queryable copy of the final
+ * entries: one row per entry, per numbered example and per source region,
+ * the pages of the run, the run metadata and an FTS5 index over definitions
+ * and examples.
+ */
+export class SqliteExporter {
+  /**
+   * @param {string} outputDir - Directory receiving the database.
+   * @param {DataProcessor} [dataProcessor] - Used to split examples into their numbered items.
+   */
+  constructor(outputDir, dataProcessor = new DataProcessor()) {
+    this.outputDir = outputDir
+    this.dataProcessor = dataProcessor
+  }
+
+  /**
+   * Replaces `<outputDir>/<fileName>` with a freshly built database.
+   *
+   * @param {Array<{id: string, definition: string, example: string, lexical?: import('./definition-parser.js').LexicalEntry|null, corrections?: string[], provenance?: import('./data-processor.js').SourceRegion[]}>} entries - Final entries with IDs.
+   * @param {import('./json-exporter.js').RunMetadata|Omit<import('./json-exporter.js').RunMetadata, 'entryCount'>} metadata - Run metadata.
+   * @param {string} [fileName='wortliste.sqlite'] - Database file name.
+   * @returns {Promise<{entries: number, examples: number, pages: number}>} Row counts.
+   */
+  async write(entries, metadata, fileName = 'wortliste.sqlite') {
+    const dbPath = path.join(this.outputDir, fileName)
+    const tempPath = `${dbPath}.tmp`
+    await fs.rm(tempPath, { force: true })
+
+    try {
+      const counts = await this.build(entries, metadata, tempPath)
+      await fs.rename(tempPath, dbPath)
+      return counts
+    } catch (error) {
+      await fs.rm(tempPath, { force: true })
+      throw error
+    }
+  }
+
+  /**
+   * Creates the database at `dbPath`, which must not exist yet. `node:sqlite`
+   * is loaded only here, so its experimental warning is printed only when the
+   * database is written.
+   *
+   * @param {Parameters<SqliteExporter['write']>[0]} entries - Final entries with IDs.
+   * @param {Parameters<SqliteExporter['write']>[1]} metadata - Run metadata.
+   * @param {string} dbPath - Database location.
+   * @returns {Promise<{entries: number, examples: number, pages: number}>} Row counts.
+   */
+  async build(entries, metadata, dbPath) {
+    const { DatabaseSync } = await import('node:sqlite')
+    const db = new DatabaseSync(dbPath)
+    let examples = 0
+
+    try {
+      db.exec(DATABASE_SCHEMA)
+      db.exec(`PRAGMA user_version = ${DATABASE_VERSION}`)
+      db.exec('BEGIN')
+
+      const insertMetadata = db.prepare('INSERT INTO metadata VALUES (?, ?)')
+      insertMetadata.run('title', metadata.title ?? null)
+      insertMetadata.run('level', metadata.level ?? null)
+      insertMetadata.run('git_version', metadata.gitVersion ?? null)
+      insertMetadata.run('generated_at', metadata.generatedAt ?? null)
+      insertMetadata.run('source_file', metadata.source?.file ?? null)
+      insertMetadata.run('source_sha256', metadata.source?.sha256 ?? null)
+
+      const pages = this._pageCounts(entries, metadata.pages ?? [])
+      const insertPage = db.prepare('INSERT INTO pages VALUES (?, ?)')
+      for (const [page, count] of pages) insertPage.run(page, count)
+
+      const insertEntry = db.prepare('INSERT INTO entries VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)')
+      const insertExample = db.prepare('INSERT INTO examples VALUES (?, ?, ?, ?)')
+      const insertRegion = db.prepare('INSERT INTO provenance VALUES (?, ?, ?, ?, ?, ?, ?, ?)')
+
+      entries.forEach((entry, position) => {
+        const provenance = entry.provenance ?? []
+        insertEntry.run(
+          entry.id,
+          position,
+          entry.definition,
+          entry.example,
+          entry.lexical?.pos ?? null,
+          entry.lexical?.lemma ?? null,
+          entry.lexical ? JSON.stringify(entry.lexical) : null,
+          JSON.stringify(entry.corrections ?? []),
+          provenance[0]?.page ?? null,
+          provenance[0]?.column ?? null,
+        )
+
+        this.dataProcessor.splitExamples(entry.example).forEach((example, i) => {
+          insertExample.run(entry.id, i, example.number, example.text)
+          examples++
+        })
+
+        provenance.forEach((region, i) => {
+          insertRegion.run(
+            entry.id,
+            i,
+            region.page,
+            region.column,
+            region.index,
+            region.yRange?.[0] ?? null,
+            region.yRange?.[1] ?? null,
+            region.image,
+          )
+        })
+      })
+
+      db.exec("INSERT INTO entries_fts (entries_fts) VALUES ('rebuild')")
+      db.exec('COMMIT')
+
+      return { entries: entries.length, examples, pages: pages.size }
+    } finally {
+      db.close()
+    }
+  }
+
+  /**
+   * Counts entries per starting page, including pages of the run without entries.
+   *
+   * @private
+   * @param {Array<{provenance?: import('./data-processor.js').SourceRegion[]}>} entries
+   * @param {number[]} pages
+   * @returns {Map<number, number>}
+   */
+  _pageCounts(entries, pages) {
+    const counts = new Map(pages.map(page => [page, 0]))
+    for (const entry of entries) {
+      const page = entry.provenance?.[0]?.page
+      if (page != null) counts.set(page, (counts.get(page) ?? 0) + 1)
+    }
+    return new Map([...counts].sort(([a], [b]) => a - b))
+  }
+}
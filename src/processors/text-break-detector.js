@@ -0,0 +1,155 @@
+import { BREAK_OVERRIDES, CONFIG } from '../config.js'
+import { padPageNumber } from '../utils/fs.js'
+import { splitTwoClasses } from '../utils/stats.js'
+
+/**
+ * Share of the smaller line's height two lines must overlap vertically to
+ * belong to the same row (a definition line next to its example line).
+ */
+const ROW_OVERLAP = 0.5
+
+/**
+ * Entry spacing must be at least this many times the line spacing for the
+ * gaps of a column to count as two classes.
+ */
+const MIN_GAP_RATIO = 1.5
+
+/**
+ * @typedef {object} TextRow
+ * @property {number} y0 - Top in column coordinates (relative to `Y_OFFSET`).
+ * @property {number} y1 - Bottom in column coordinates.
+ * @property {boolean} definition - Whether a line of the row starts in the definition part.
+ * @property {string} text - Text of the row's lines, left to right.
+ */
+
+/**
+ * @class TextBreakDetector
+ * @description Segments a column into entries from the PDF's own text layout
+ * instead of pixel rows: the lines are grouped into rows, the gaps between
+ * rows are split into line spacing and entry spacing, and an entry starts at
+ * a row that follows entry spacing and has a line starting in the definition
+ * part of the column. Ranges use the same coordinates as the
+ * {@link import('./break-detector.js').BreakDetector}.
+ */
+export class TextBreakDetector {
+  /**
+   * Detects the entry ranges of a column.
+   *
+   * @param {Array<import('./layout-detector.js').TextLine>} lines - Text lines of the page in image pixels.
+   * @param {import('./layout-detector.js').ColumnConfig} columnConfig - Column geometry of the page.
+   * @param {number} pageNum - The page number, used for overrides.
+   * @param {'l'|'r'} column - The column identifier.
+   * @param {{overrides?: boolean|Iterable<number>}} [options] - `overrides: false` ignores
+   *   {@link BREAK_OVERRIDES}, a list of rows replaces the column's entry. A forced break in
+   *   a gap between rows that already has a break is dropped: the overrides are tuned to
+   *   the pixel detector, and both in one gap would leave an empty range between them.
+   * @returns {Array<[number, number]>} An array of [startY, endY] ranges, one per entry.
+   */
+  detectBreaks(lines, columnConfig, pageNum, column, { overrides = true } = {}) {
+    const rows = this.rows(lines, columnConfig)
+    if (rows.length === 0) return []
+
+    const threshold = this.gapThreshold(rows)
+    const breaks = []
+    const breakGaps = [] // [top, bottom] of the gaps with a break
+    for (let i = 1; i < rows.length; i++) {
+      const gap = rows[i].y0 - rows[i - 1].y1
+      if (rows[i].definition && gap >= threshold) {
+        breaks.push(Math.round((rows[i - 1].y1 + rows[i].y0) / 2))
+        breakGaps.push([rows[i - 1].y1, rows[i].y0])
+      }
+    }
+
+    const forced = [
+      ...(overrides === true
+        ? (BREAK_OVERRIDES[`${padPageNumber(pageNum)}-${column}`] ?? [])
+        : overrides || []),
+    ].filter(y => !breakGaps.some(([top, bottom]) => y >= top && y <= bottom))
+    const bounds = [...new Set([0, ...breaks, ...forced, CONFIG.IMAGE_HEIGHT])].sort(
+      (a, b) => a - b,
+    )
+    return bounds.slice(1).map((y, i) => [bounds[i], y])
+  }
+
+  /**
+   * Groups the lines of a column into rows, top to bottom.
+   *
+   * @param {Array<import('./layout-detector.js').TextLine>} lines - Text lines of the page in image pixels.
+   * @param {import('./layout-detector.js').ColumnConfig} columnConfig - Column geometry of the page.
+   * @returns {TextRow[]} The rows of the column.
+   */
+  rows(lines, columnConfig) {
+    const left = columnConfig.CROP_X
+    const right = columnConfig.CROP_X + columnConfig.CROP_WIDTH
+    const split = columnConfig.TEXT_X + columnConfig.TEXT_WIDTH
+
+    const columnLines = lines
+      .filter(line => line.x0 < right && line.x1 > left)
+      .map(line => ({ ...line, y0: line.y0 - CONFIG.Y_OFFSET, y1: line.y1 - CONFIG.Y_OFFSET }))
+      .filter(line => line.y1 > 0 && line.y0 < CONFIG.IMAGE_HEIGHT)
+      .sort((a, b) => a.y0 - b.y0 || a.x0 - b.x0)
+
+    const rows = []
+    for (const line of columnLines) {
+      const row = rows.at(-1)
+      const overlap = row ? Math.min(row.y1, line.y1) - Math.max(row.y0, line.y0) : 0
+      if (row && overlap >= ROW_OVERLAP * Math.min(row.y1 - row.y0, line.y1 - line.y0)) {
+        row.y0 = Math.min(row.y0, line.y0)
+        row.y1 = Math.max(row.y1, line.y1)
+        row.definition ||= line.x0 < split
+        row.text += ` ${line.text}`
+      } else {
+        rows.push({ y0: line.y0, y1: line.y1, definition: line.x0 < split, text: line.text })
+      }
+    }
+    return rows
+  }
+
+  /**
+   * Chooses the smallest gap that separates two entries by splitting the
+   * gaps between rows into two classes, line spacing and entry spacing
+   * (Otsu's method). When the gaps do not fall into two classes at least
+   * {@link MIN_GAP_RATIO} apart (e.g. a column of one-line entries), a gap
+   * separates entries if it is at least as tall as a typical row.
+   *
+   * @param {TextRow[]} rows - Rows of the column.
+   * @returns {number} The threshold in pixels.
+   */
+  gapThreshold(rows) {
+    const gaps = rows
+      .slice(1)
+      .map((row, i) => row.y0 - rows[i].y1)
+      .sort((a, b) => a - b)
+    const split = splitTwoClasses(gaps, MIN_GAP_RATIO)
+    if (split !== null) return gaps[split]
+
+    const heights = rows.map(row => row.y1 - row.y0).sort((a, b) => a - b)
+    return heights[Math.floor(heights.length / 2)]
+  }
+
+  /**
+   * Compares two segmentations of a column by the rows they start entries
+   * at, so breaks placed at different heights of the same gap agree.
+   *
+   * @param {TextRow[]} rows - Rows of the column.
+   * @param {Array<[number, number]>} pixelRanges - Ranges of the pixel detector.
+   * @param {Array<[number, number]>} textRanges - Ranges of the text detector.
+   * @returns {{pixelOnly: TextRow[], textOnly: TextRow[]}} Rows only one detector starts an entry at.
+   */
+  compare(rows, pixelRanges, textRanges) {
+    const starts = ranges => {
+      const indices = new Set()
+      for (const [y0] of ranges.slice(1)) {
+        const index = rows.findIndex(row => (row.y0 + row.y1) / 2 > y0)
+        if (index > 0) indices.add(index)
+      }
+      return indices
+    }
+    const pixel = starts(pixelRanges)
+    const text = starts(textRanges)
+    return {
+      pixelOnly: [...pixel].filter(index => !text.has(index)).map(index => rows[index]),
+      textOnly: [...text].filter(index => !pixel.has(index)).map(index => rows[index]),
+    }
+  }
+}
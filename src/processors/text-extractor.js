@@ -1,6 +1,9 @@
 import * as mupdf from 'mupdf'
 import { promises as fs } from 'fs'
 import { CONFIG } from '../config.js'
+import { CorrectionRules } from './correction-rules.js'
+import { PageTextIndex } from './page-text-index.js'
+import { padPageNumber } from '../utils/fs.js'
 
 /**
  * @class TextExtractor
@@ -14,16 +17,20 @@ export class TextExtractor {
    */
   constructor() {
     this.pdfFile = CONFIG.PDF_FILE
+    this.corrections = new CorrectionRules()
+    this.parses = 0 // Structured text parses so far, for the `benchmark` command
     this._doc = null // Loaded lazily
+    /** @type {Map<number, Promise<PageTextIndex>>} */
+    this._pages = new Map()
   }
 
   /**
    * Lazily loads the PDF document using MuPDF.js and caches the instance
    * to avoid re-loading the file for subsequent extractions.
-   * @private
+   *
    * @returns {Promise<mupdf.PDFDocument>} A promise that resolves to the loaded document instance.
    */
-  async _docPromise() {
+  async loadDocument() {
     if (this._doc) return this._doc
     const buffer = await fs.readFile(this.pdfFile)
     this._doc = mupdf.PDFDocument.openDocument(buffer, 'application/pdf')
@@ -31,10 +38,52 @@ export class TextExtractor {
   }
 
   /**
-   * Extracts the raw text from a specified rectangular region on a PDF page.
-   * It uses MuPDF's structured text JSON output, filtering text blocks and lines
-   * that fall within the given bounding box (converted from image pixel
-   * coordinates to PDF point coordinates).
+   * Returns the text index of a page, parsing the page's structured text on
+   * first use. The index is kept until the page is released, so all regions
+   * of the page are served from one parse.
+   *
+   * @param {number} pageNum - The 1-based page number.
+   * @returns {Promise<PageTextIndex>} The page's text index.
+   */
+  pageIndex(pageNum) {
+    if (!this._pages.has(pageNum)) {
+      const index = this._parsePage(pageNum)
+      // A failed parse is not cached, so a retry starts over
+      index.catch(() => this._pages.delete(pageNum))
+      this._pages.set(pageNum, index)
+    }
+    return this._pages.get(pageNum)
+  }
+
+  /**
+   * Drops the cached text index of a page once the page is done.
+   *
+   * @param {number} pageNum - The 1-based page number.
+   * @returns {void}
+   */
+  releasePage(pageNum) {
+    this._pages.delete(pageNum)
+  }
+
+  /**
+   * Parses the structured text of a page into a {@link PageTextIndex}.
+   * @private
+   * @param {number} pageNum - The 1-based page number.
+   * @returns {Promise<PageTextIndex>} The page's text index.
+   */
+  async _parsePage(pageNum) {
+    const doc = await this.loadDocument()
+    const page = doc.loadPage(pageNum - 1)
+    const stext = page.toStructuredText('preserve-whitespace')
+    this.parses++
+    return PageTextIndex.fromStructuredText(stext, page.getBounds())
+  }
+
+  /**
+   * Extracts the raw text from a specified rectangular region on a PDF page,
+   * using the page's {@link PageTextIndex}: the lines that touch the region
+   * (converted from image pixel coordinates to PDF point coordinates), in
+   * reading order.
    *
    * @param {number} pageNum - The 1-based page number to extract from.
    * @param {number} x - The x-coordinate of the region's top-left corner in image pixels.
@@ -44,115 +93,92 @@ export class TextExtractor {
    * @returns {Promise<string>} A promise that resolves to the extracted and sorted text.
    */
   async extractTextFromRegion(pageNum, x, y, width, height) {
-    // MuPDF StructuredText works in PDF points (72 dpi);
-    // pipeline coordinates are in image pixels (CONFIG.PDF_DPI).
-    const scale = CONFIG.PDF_DPI / 72 // ≈ 4.166 for 300 dpi
-    const doc = await this._docPromise()
-    const page = doc.loadPage(pageNum - 1)
-    const st = JSON.parse(page.toStructuredText('preserve-whitespace').asJSON())
-
-    // Rectangle in point space
-    const rx0 = x / scale
-    const ry0 = y / scale
-    const rx1 = (x + width) / scale
-    const ry1 = (y + height) / scale
-
-    const lines = []
-
-    for (const block of st.blocks) {
-      if (block.type !== 'text') continue
-      for (const line of block.lines) {
-        const { x: lx, y: ly, w: lw, h: lh } = line.bbox
-        // AABB intersection in the *same* unit system
-        if (lx + lw < rx0 || lx > rx1 || ly + lh < ry0 || ly > ry1) continue
-        lines.push({ y: ly, x: lx, text: line.text })
-      }
-    }
+    return (await this.pageIndex(pageNum)).textIn(x, y, width, height)
+  }
 
-    // Natural reading order
-    lines.sort((a, b) => a.y - b.y || a.x - b.x)
-    return lines
-      .map(l => l.text)
-      .join('\n')
-      .trim()
+  /**
+   * Reads the bounding boxes of all text lines of a page, converted to image
+   * pixels, for the {@link import('./layout-detector.js').LayoutDetector}.
+   *
+   * @param {number} pageNum - The 1-based page number.
+   * @returns {Promise<{width: number, lines: Array<import('./layout-detector.js').TextLine>}>} The
+   *   page width and the lines, both in image pixels.
+   */
+  async getPageLines(pageNum) {
+    const { width, lines } = await this.pageIndex(pageNum)
+    return { width, lines }
   }
 
   /**
    * Extracts text for a series of vertical ranges within a specific page column.
-   * For each range, it extracts both the definition and example text by splitting
-   * the column into two sub-regions.
+   * Every text line of the column is assigned to exactly one range (see
+   * {@link PageTextIndex#assignLines}); lines straddling a break are logged with
+   * the range they went to. For each range, it extracts both the definition and
+   * example text by splitting the column into two sub-regions, then applies the `extract` stage correction
+   * rules and records the ids of those that fired. `runs` keeps the text of both
+   * sub-regions as printed, before the corrections, split by typography, so
+   * headwords, grammatical notation and labels can be told apart by their font.
    *
    * @param {number} pageNum - The 1-based page number to process.
    * @param {Array<[number, number]>} ranges - An array of [y0, y1] detected break ranges.
    * @param {'l'|'r'} column - The column identifier ('l' for left, 'r' for right).
+   * @param {import('./layout-detector.js').ColumnConfig} [columnConfig] - Column geometry of the
+   *   page; defaults to the configured column.
    * @returns {Promise<Array<object>>} A promise that resolves to an array of extracted entry objects.
    */
-  async extractFromRanges(pageNum, ranges, column) {
-    const columnConfig = column === 'l' ? CONFIG.LEFT_COLUMN : CONFIG.RIGHT_COLUMN
-    const results = []
+  async extractFromRanges(
+    pageNum,
+    ranges,
+    column,
+    columnConfig = column === 'l' ? CONFIG.LEFT_COLUMN : CONFIG.RIGHT_COLUMN,
+  ) {
+    const index = await this.pageIndex(pageNum)
+    const { lines, ambiguous } = index.assignLines(
+      columnConfig.TEXT_X,
+      columnConfig.CROP_WIDTH,
+      ranges.map(([y0, y1]) => [CONFIG.Y_OFFSET + y0, CONFIG.Y_OFFSET + y1]),
+    )
+    const prefix = `${padPageNumber(pageNum)}-${column}`
+    for (const { line, ranges: overlapped, range, rule } of ambiguous) {
+      console.warn(
+        `⚠ ${prefix}: "${line.text.trim()}" straddles ranges ${overlapped.join(' and ')} – assigned to ${range} (${rule === 'overlap' ? 'majority overlap' : 'baseline'})`,
+      )
+    }
 
+    const results = []
     for (let i = 0; i < ranges.length; i++) {
       const [y0, y1] = ranges[i]
-      const regionHeight = y1 - y0
-
-      const defText = await this.extractTextFromRegion(
-        pageNum,
-        columnConfig.TEXT_X,
-        CONFIG.Y_OFFSET + y0,
-        columnConfig.TEXT_WIDTH,
-        regionHeight,
-      )
-
-      const exampleText = await this.extractTextFromRegion(
-        pageNum,
+      const defLines = index.within(lines[i], columnConfig.TEXT_X, columnConfig.TEXT_WIDTH)
+      const exampleLines = index.within(
+        lines[i],
         columnConfig.TEXT_X + columnConfig.TEXT_WIDTH,
-        CONFIG.Y_OFFSET + y0,
         columnConfig.CROP_WIDTH - columnConfig.TEXT_WIDTH,
-        regionHeight,
       )
+      const defText = index.text(defLines)
+      const exampleText = index.text(exampleLines)
 
-      const [fixedDef, fixedExample] = this.applyPageSpecificFixes(
-        pageNum,
-        column,
-        defText,
-        exampleText,
+      const corrections = []
+      const fixed = this.corrections.apply(
+        'extract',
+        { definition: defText, example: exampleText },
+        { page: pageNum, column, fired: corrections },
       )
 
       results.push({
+        page: pageNum,
+        column,
         index: i,
-        definition: fixedDef,
-        example: fixedExample,
-        imagePath: `${CONFIG.OUTPUT_DIR}/${pageNum.toString().padStart(3, '0')}-${column}-${i}.png`,
+        yRange: [y0, y1],
+        definition: fixed.definition,
+        example: fixed.example,
+        runs: { definition: index.runs(defLines), example: index.runs(exampleLines) },
+        corrections,
+        imagePath: `${CONFIG.OUTPUT_DIR}/${prefix}-${i}.png`,
       })
     }
     return results
   }
 
-  // --- the rest of the original helper methods stay unchanged ---
-  /**
-   * Applies ad-hoc, hardcoded fixes for known text extraction errors on specific pages.
-   * This handles rare cases where the standard text extraction logic fails.
-   * @private
-   * @param {number} pageNum - The current page number.
-   * @param {'l'|'r'} column - The column identifier.
-   * @param {string} def - The extracted definition text.
-   * @param {string} example - The extracted example text.
-   * @returns {[string, string]} A tuple containing the (potentially corrected) definition and example.
-   */
-  applyPageSpecificFixes(pageNum, column, def, example) {
-    // (same as original implementation)
-    if (pageNum === 79 && column === 'l') {
-      if (def.match(/^die See.*die Nord.*Ostsee/ms) && example.match(/Im Sommer/)) {
-        return ['die See', 'Im Sommer fahren wir immer an die See.']
-      } else if (def.match(/^sehen,/) && example.match(/Warst du schon/)) {
-        return ['die Nord-/Ostsee', 'Warst du schon mal an der Nord/Ostsee?']
-      } else if (def === '' && example.match(/^1\.\s+Ich\s+sehe\s+nicht/)) {
-        return ['sehen, sieht, sah, hat gesehen', example]
-      }
-    }
-    return [def, example]
-  }
-
   /**
    * Persists the extracted data for a column to a JSON file.
    * The JSON is pretty-printed for readability.
@@ -0,0 +1,147 @@
+import { CONFIG } from '../config.js'
+import { NORMALIZATION_CLASSES } from '../data/normalization.js'
+
+/**
+ * Entries whose definitions a report lists per character class.
+ */
+const REPORT_SAMPLES = 20
+
+/**
+ * @typedef {object} NormalizationClass
+ * @property {string} id - Unique, stable identifier used in settings and reports.
+ * @property {string} description - What the class unifies.
+ * @property {RegExp} match - Global pattern of the characters to rewrite.
+ * @property {string|((text: string) => string)} replace - Replacement of each match.
+ */
+
+/**
+ * @typedef {object} NormalizationChange
+ * @property {string} class - Id of the class that rewrote the text.
+ * @property {'definition'|'example'} field - Field that changed.
+ * @property {string} from - Code points of the original text, e.g. "U+00AD".
+ * @property {string} to - Code points of the replacement; empty when removed.
+ * @property {number} count - How often the text was rewritten.
+ */
+
+/**
+ * @class TextNormalizer
+ * @description Unifies Unicode and typographic variants of the extracted text
+ * – decomposed umlauts, soft hyphens, ligatures, special spaces, typographic
+ * quotes and dashes and the plural marker – with the classes of
+ * `src/data/normalization.js`, recording every change per entry for the
+ * normalization report.
+ */
+export class TextNormalizer {
+  /**
+   * @param {NormalizationClass[]} [classes] - All classes, in order.
+   * @param {string[]} [enabled] - Ids of the classes to apply; defaults to `CONFIG.NORMALIZE`.
+   * @throws {Error} When an enabled id names no class.
+   */
+  constructor(classes = NORMALIZATION_CLASSES, enabled = CONFIG.NORMALIZE) {
+    const unknown = enabled.filter(id => !classes.some(normalization => normalization.id === id))
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown normalization class(es) ${unknown.join(', ')} (expected any of ${classes.map(({ id }) => id).join(', ')})`,
+      )
+    }
+    this.classes = classes
+    this.enabled = classes.filter(({ id }) => enabled.includes(id))
+  }
+
+  /**
+   * Normalizes the fields of an entry with the enabled classes.
+   *
+   * @param {Partial<Record<'definition'|'example', string>>} fields - Text to normalize.
+   * @param {NormalizationChange[]} [changes] - Receives the changes made.
+   * @returns {Partial<Record<'definition'|'example', string>>} The normalized fields.
+   */
+  apply(fields, changes = []) {
+    const result = { ...fields }
+    for (const [field, text] of Object.entries(fields)) {
+      result[field] = this.enabled.reduce(
+        (current, normalization) =>
+          current.replace(normalization.match, match => {
+            const replacement =
+              typeof normalization.replace === 'function'
+                ? normalization.replace(match)
+                : normalization.replace
+            if (replacement !== match) {
+              this._record(changes, normalization.id, field, match, replacement)
+            }
+            return replacement
+          }),
+        text,
+      )
+    }
+    return result
+  }
+
+  /**
+   * Summarises the changes of every class over the final entries: how often
+   * it rewrote which characters and in which entries. Classes that changed
+   * nothing are listed as `untouched`.
+   *
+   * @param {Array<{definition: string, normalized?: NormalizationChange[]}>} entries - Final entries.
+   * @returns {{enabled: string[], classes: Array<{id: string, description: string, changes: number, entries: number, characters: Array<{from: string, to: string, count: number}>, definitions: string[]}>, untouched: string[]}} The
+   *   report.
+   */
+  buildReport(entries) {
+    const classes = this.enabled.map(({ id, description }) => {
+      const touched = entries.filter(entry => entry.normalized?.some(change => change.class === id))
+      const characters = new Map()
+      for (const entry of touched) {
+        for (const change of entry.normalized.filter(change => change.class === id)) {
+          const key = `${change.from}→${change.to}`
+          const character = characters.get(key) ?? { from: change.from, to: change.to, count: 0 }
+          character.count += change.count
+          characters.set(key, character)
+        }
+      }
+      return {
+        id,
+        description,
+        changes: [...characters.values()].reduce((sum, { count }) => sum + count, 0),
+        entries: touched.length,
+        characters: [...characters.values()].sort((a, b) => b.count - a.count),
+        definitions: touched.slice(0, REPORT_SAMPLES).map(entry => entry.definition),
+      }
+    })
+
+    return {
+      enabled: this.enabled.map(({ id }) => id),
+      classes: classes.filter(({ changes }) => changes > 0),
+      untouched: classes.filter(({ changes }) => changes === 0).map(({ id }) => id),
+    }
+  }
+
+  /**
+   * @private
+   * @param {NormalizationChange[]} changes
+   * @param {string} id
+   * @param {'definition'|'example'} field
+   * @param {string} match
+   * @param {string} replacement
+   */
+  _record(changes, id, field, match, replacement) {
+    const from = codePoints(match)
+    const to = codePoints(replacement)
+    const change = changes.find(
+      other =>
+        other.class === id && other.field === field && other.from === from && other.to === to,
+    )
+    if (change) change.count++
+    else changes.push({ class: id, field, from, to, count: 1 })
+  }
+}
+
+/**
+ * Spells out text as code points, e.g. "U+0061 U+0308".
+ *
+ * @param {string} text - The text.
+ * @returns {string} Its code points, separated by spaces.
+ */
+function codePoints(text) {
+  return [...text]
+    .map(char => `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`)
+    .join(' ')
+}
@@ -0,0 +1,251 @@
+import { CONFIG } from '../config.js'
+import { TextNormalizer } from './text-normalizer.js'
+
+/**
+ * Points within which the baselines of two lines put them on the same row.
+ */
+const ROW_TOLERANCE = 3
+
+/**
+ * Points a line may start left of a group's heading and still belong to it.
+ */
+const COLUMN_TOLERANCE = 6
+
+/**
+ * Points a row must be indented past the first item of its group to be read
+ * as a note on the item above rather than as an item.
+ */
+const NOTE_INDENT = 12
+
+/**
+ * Points a heading's font is larger than the body text at least.
+ */
+const HEADING_SIZE_STEP = 1
+
+/**
+ * Regional or alternative forms, e.g. "(A)", "auch: Sonnabend", "österr.: Jänner".
+ */
+const VARIANT_NOTE = /^(\(.*\)$|auch\b|österr\.|schweiz\.|süddt\.|norddt\.)/i
+
+/**
+ * Example sentences and usage notes, e.g. "z. B. am Montag".
+ */
+const EXAMPLE_NOTE = /^(z\.\s?B\.|Beispiel)/
+
+/**
+ * A complete sentence, as examples are printed.
+ */
+const SENTENCE_END = /[.!?…]["'“”]?$/
+
+/**
+ * @typedef {object} ThematicNote
+ * @property {'example'|'variant'} kind - An example of use, or a regional or alternative form.
+ * @property {string} text - Text of the note.
+ */
+
+/**
+ * @typedef {object} ThematicItem
+ * @property {string} text - The word or phrase as printed.
+ * @property {ThematicNote[]} notes - Examples and variants printed next to or below it.
+ * @property {number} page - Page the item is printed on.
+ */
+
+/**
+ * @typedef {object} ThematicGroup
+ * @property {string|null} topic - The heading; `null` for items continuing a group of an
+ *   earlier page.
+ * @property {number[]} pages - Pages the group is printed on.
+ * @property {ThematicItem[]} items - The items in reading order.
+ */
+
+/**
+ * @class ThematicExtractor
+ * @description Segments the thematic word groups in front of the
+ * alphabetical list (numbers, colours, countries, days and months, …) from
+ * the text lines of their pages. These pages have no two-column entry grid:
+ * a topic is a heading set larger or bolder than the body text, followed by
+ * its items, often several per row, with examples or variants next to or
+ * indented below them. Groups printed side by side are told apart by the
+ * x position of their headings, and a group running over a page break is
+ * continued on the next page.
+ */
+export class ThematicExtractor {
+  /**
+   * @param {TextNormalizer} [normalizer] - Normalizes the text of headings, items and notes.
+   */
+  constructor(normalizer = new TextNormalizer()) {
+    this.normalizer = normalizer
+  }
+
+  /**
+   * Segments the groups of one page from the lines between `CONFIG.Y_OFFSET`
+   * and the bottom of the entry area, i.e. without page header and footer.
+   *
+   * @param {import('./page-text-index.js').PageTextIndex} index - The page's text index.
+   * @param {number} pageNum - The 1-based page number.
+   * @returns {ThematicGroup[]} The groups of the page; the first has no topic when the page
+   *   starts with items of a group from the previous page.
+   */
+  segmentPage(index, pageNum) {
+    const lines = index
+      .query(0, CONFIG.Y_OFFSET, index.width, CONFIG.IMAGE_HEIGHT)
+      .filter(line => line.text.trim() !== '')
+    const body = bodyStyle(lines)
+
+    const groups = []
+    /** Groups still taking items, ordered by x. */
+    let open = []
+    const start = (topic, x) => {
+      const group = { topic, pages: [pageNum], items: [], x, itemX: null }
+      groups.push(group)
+      open = [...open, group].sort((a, b) => a.x - b.x)
+      return group
+    }
+
+    for (const row of groupRows(lines)) {
+      const started = new Set() // Groups with an item on this row
+      for (const line of row) {
+        const text = this._normalize(line.text)
+        if (isHeading(line, body)) {
+          // A heading ends the groups at and right of it; those to its left continue
+          open = open.filter(group => group.x < line.x - COLUMN_TOLERANCE)
+          start(text.replace(/:$/, ''), line.x)
+          continue
+        }
+
+        const group =
+          open.findLast(({ x }) => x <= line.x + COLUMN_TOLERANCE) ?? open[0] ?? start(null, line.x)
+        const note = this._note(line, text, group, started.has(group))
+        if (note) {
+          group.items.at(-1).notes.push(note)
+        } else {
+          group.itemX ??= line.x
+          group.items.push({ text, notes: [], page: pageNum })
+          started.add(group)
+        }
+      }
+    }
+    return groups.map(({ topic, pages, items }) => ({ topic, pages, items }))
+  }
+
+  /**
+   * Joins the groups of consecutive pages, appending a page's leading items
+   * without topic to the last group of the page before. Headings without any
+   * items, such as a section title above the first topic, are dropped.
+   *
+   * @param {Array<{page: number, groups: ThematicGroup[]}>} pages - Groups per page, in page order.
+   * @returns {ThematicGroup[]} All groups in reading order.
+   */
+  combine(pages) {
+    const groups = []
+    for (const { page, groups: pageGroups } of pages) {
+      for (const group of pageGroups) {
+        const previous = groups.at(-1)
+        if (group.topic === null && previous && previous.pages.at(-1) === page - 1) {
+          previous.pages.push(page)
+          previous.items.push(...group.items)
+        } else {
+          groups.push({ ...group, pages: [...group.pages], items: [...group.items] })
+        }
+      }
+    }
+    return groups.filter(({ items }) => items.length > 0)
+  }
+
+  /**
+   * Creates CSV content with one row per item: topic, item and its notes.
+   *
+   * @param {ThematicGroup[]} groups - The groups.
+   * @returns {string} The CSV, starting with the title row of the other CSVs.
+   */
+  generateCSV(groups) {
+    const quote = text => `"${(text ?? '').replace(/"/g, '""')}"`
+    let csv = `${quote(CONFIG.TITLE)},"Wortgruppen"\n`
+    for (const { topic, items } of groups) {
+      for (const { text, notes } of items) {
+        const examples = notes.filter(({ kind }) => kind === 'example').map(note => note.text)
+        const variants = notes.filter(({ kind }) => kind === 'variant').map(note => note.text)
+        csv += `${[topic, text, examples.join('\n'), variants.join('\n')].map(quote).join(',')}\n`
+      }
+    }
+    return csv
+  }
+
+  /**
+   * Reads a line as a note on the group's last item, if it is one: a
+   * variant form, an example, a sentence following an item on its row, or a
+   * line indented past the group's items.
+   * @private
+   * @param {import('./page-text-index.js').IndexedLine} line - The line.
+   * @param {string} text - Its normalized text.
+   * @param {{items: ThematicItem[], itemX: number|null}} group - The group it belongs to.
+   * @param {boolean} afterItem - Whether the group has an item earlier on the same row.
+   * @returns {ThematicNote|null} The note, or `null` for an item.
+   */
+  _note(line, text, group, afterItem) {
+    if (group.items.length === 0) return null
+    if (VARIANT_NOTE.test(text)) return { kind: 'variant', text }
+
+    const italic = line.runs.length > 0 && line.runs.every(run => run.italic)
+    const indented = !afterItem && line.x > group.itemX + NOTE_INDENT
+    if (italic || indented || EXAMPLE_NOTE.test(text) || (afterItem && SENTENCE_END.test(text))) {
+      return { kind: 'example', text }
+    }
+    return null
+  }
+
+  /** @private */
+  _normalize(text) {
+    return this.normalizer.apply({ text: text.trim() }).text
+  }
+}
+
+/**
+ * Groups lines into rows of matching baselines, top to bottom, each row
+ * ordered left to right.
+ *
+ * @param {Array<import('./page-text-index.js').IndexedLine>} lines - Lines in reading order.
+ * @returns {Array<Array<import('./page-text-index.js').IndexedLine>>} The rows.
+ */
+function groupRows(lines) {
+  const rows = []
+  for (const line of [...lines].sort((a, b) => a.baseline - b.baseline)) {
+    const row = rows.at(-1)
+    if (row && line.baseline - row[0].baseline <= ROW_TOLERANCE) row.push(line)
+    else rows.push([line])
+  }
+  return rows.map(row => row.sort((a, b) => a.x - b.x))
+}
+
+/**
+ * The font size and weight of most characters on a page.
+ *
+ * @param {Array<import('./page-text-index.js').IndexedLine>} lines - The page's lines.
+ * @returns {{size: number, bold: boolean}} The body text style.
+ */
+function bodyStyle(lines) {
+  const counts = new Map()
+  for (const { size, bold, text } of lines.flatMap(line => line.runs)) {
+    const key = `${size}|${bold}`
+    counts.set(key, (counts.get(key) ?? 0) + text.trim().length)
+  }
+  const [key = '0|false'] = [...counts].sort((a, b) => b[1] - a[1])[0] ?? []
+  const [size, bold] = key.split('|')
+  return { size: Number(size), bold: bold === 'true' }
+}
+
+/**
+ * Whether a line is a topic heading: set larger than the body text, or bold
+ * where the body text is not, and not a sentence.
+ *
+ * @param {import('./page-text-index.js').IndexedLine} line - The line.
+ * @param {{size: number, bold: boolean}} body - The page's body text style.
+ * @returns {boolean}
+ */
+function isHeading(line, body) {
+  const runs = line.runs.filter(run => run.text.trim() !== '')
+  if (runs.length === 0 || SENTENCE_END.test(line.text.trim())) return false
+  const larger = runs.every(run => run.size >= body.size + HEADING_SIZE_STEP)
+  const bolder = !body.bold && runs.every(run => run.bold)
+  return larger || bolder
+}
@@ -63,7 +63,9 @@ export class WorkerPool {
       if (!task) return
       if (task.timer) clearTimeout(task.timer)
       worker.currentTask = null
-      task.resolve(task.job.reviver(result))
+      // Workers report failed jobs as { error } instead of throwing
+      if (result?.error !== undefined) task.reject(new Error(result.error))
+      else task.resolve(task.job.reviver(result))
       this._returnWorkerToPool(worker)
     }
 
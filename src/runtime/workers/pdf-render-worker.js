@@ -1,26 +1,21 @@
 import * as mupdf from 'mupdf'
 import { parentPort } from 'node:worker_threads'
 import { promises as fs } from 'node:fs'
-import path from 'node:path'
-import { CONFIG } from '../../config.js'
-import { padPageNumber } from '../../utils/fs.js'
-
-function genName(page) {
-  return `${path.basename(CONFIG.PDF_FILE, '.pdf')}-${padPageNumber(page)}.png`
-}
 
+// Settings come with each job: the worker does not see configuration applied in the main thread
 let doc // cached across jobs
+let docFile
 
-async function ensureDoc() {
-  if (doc) return doc
-  const buf = await fs.readFile(CONFIG.PDF_FILE)
+async function ensureDoc(pdfFile) {
+  if (doc && docFile === pdfFile) return doc
+  const buf = await fs.readFile(pdfFile)
   doc = mupdf.PDFDocument.openDocument(buf, 'application/pdf')
+  docFile = pdfFile
   return doc
 }
 
-parentPort.on('message', async ({ pageNum }) => {
+parentPort.on('message', async ({ pageNum, pdfFile, outPath, dpi }) => {
   try {
-    const outPath = path.join(CONFIG.OUTPUT_DIR, genName(pageNum))
     if (
       await fs
         .access(outPath)
@@ -31,8 +26,8 @@ parentPort.on('message', async ({ pageNum }) => {
       return
     }
 
-    const document = await ensureDoc()
-    const scale = CONFIG.PDF_DPI / 72
+    const document = await ensureDoc(pdfFile)
+    const scale = dpi / 72
     const mat = mupdf.Matrix.scale(scale, scale)
     const page = document.loadPage(pageNum - 1)
     const pix = page.toPixmap(mat, mupdf.ColorSpace.DeviceRGB, false, true)
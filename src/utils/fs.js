@@ -1,4 +1,5 @@
 import { promises as fs } from 'fs'
+import { createHash } from 'node:crypto'
 import { dirname } from 'path'
 
 /**
@@ -55,6 +56,17 @@ export async function writeJSON(path, data) {
   await fs.writeFile(path, JSON.stringify(data, null, 2))
 }
 
+/**
+ * Compute the SHA-256 digest of a file.
+ *
+ * @param {string} path - File location.
+ * @returns {Promise<string>} Lowercase hex digest.
+ */
+export async function hashFile(path) {
+  const content = await fs.readFile(path)
+  return createHash('sha256').update(content).digest('hex')
+}
+
 /**
  * Format page numbers as three-digit strings.
  *
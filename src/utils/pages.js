@@ -0,0 +1,49 @@
+/**
+ * Parse a page selection such as "16-20,42,88-90" into page numbers.
+ *
+ * @param {string} spec - Comma-separated page numbers and inclusive ranges.
+ * @param {{min: number, max: number}} bounds - Allowed page range.
+ * @returns {number[]} Unique page numbers in ascending order.
+ * @throws {Error} When a part is malformed, reversed or outside the bounds.
+ */
+export function parsePageSelection(spec, { min, max }) {
+  if (typeof spec !== 'string' || spec.trim() === '') {
+    throw new Error('Empty page selection')
+  }
+
+  const pages = new Set()
+  for (const part of spec.split(',').map(p => p.trim())) {
+    const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/)
+    if (!match) throw new Error(`Invalid page selection "${part}" (expected e.g. 16-20,42)`)
+
+    const from = parseInt(match[1], 10)
+    const to = match[2] === undefined ? from : parseInt(match[2], 10)
+    if (from > to) throw new Error(`Invalid page range "${part}": start is after end`)
+    if (from < min || to > max) {
+      throw new Error(`Page selection "${part}" is outside the Wortliste pages ${min}-${max}`)
+    }
+
+    for (let page = from; page <= to; page++) pages.add(page)
+  }
+
+  return [...pages].sort((a, b) => a - b)
+}
+
+/**
+ * Format page numbers as a compact selection, the inverse of {@link parsePageSelection}.
+ *
+ * @param {number[]} pages - Page numbers.
+ * @returns {string} E.g. "16-20,42,88-90".
+ */
+export function formatPageSelection(pages) {
+  const sorted = [...new Set(pages)].sort((a, b) => a - b)
+  const parts = []
+
+  for (let i = 0; i < sorted.length; i++) {
+    const from = sorted[i]
+    while (sorted[i + 1] === sorted[i] + 1) i++
+    parts.push(from === sorted[i] ? `${from}` : `${from}-${sorted[i]}`)
+  }
+
+  return parts.join(',')
+}
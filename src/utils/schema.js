@@ -0,0 +1,127 @@
+/**
+ * Minimal JSON Schema validator covering the keywords used by the schemas in
+ * `src/schemas/`: `type`, `const`, `enum`, `properties`, `patternProperties`,
+ * `required`, `additionalProperties`, `items`, `prefixItems`, `minItems`,
+ * `maxItems`, `minimum`, `minLength`, `pattern`, `oneOf`, `anyOf` and local
+ * `$ref`s ("#/$defs/…").
+ * Annotation keywords such as `format` and `description` are ignored.
+ */
+
+/**
+ * JSON Schema type name of a value.
+ *
+ * @param {any} value - Value to classify.
+ * @returns {string} One of null, array, integer, number, string, boolean, object.
+ */
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+/**
+ * Resolves a local JSON pointer such as "#/$defs/entry".
+ *
+ * @param {object} root - Schema the pointer refers into.
+ * @param {string} ref - The `$ref` value.
+ * @returns {object} The referenced sub-schema.
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#'))
+    throw new Error(`Unsupported $ref "${ref}": only local refs are allowed`)
+  const target = ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root)
+  if (!target) throw new Error(`Unresolvable $ref "${ref}"`)
+  return target
+}
+
+/**
+ * Validates a value against a JSON Schema.
+ *
+ * @param {any} value - Data to check.
+ * @param {object} schema - Schema (or sub-schema) to check against.
+ * @param {{root?: object, path?: string}} [options={}] - Root schema for `$ref`s and the
+ *   location used in messages; both default to the top level.
+ * @returns {string[]} Error messages such as `"/entries/3/id: expected string, got null"`; empty when valid.
+ */
+export function validateSchema(value, schema, { root = schema, path = '' } = {}) {
+  const at = path || '/'
+  const child = key => ({ root, path: `${path}/${key}` })
+
+  if (schema.$ref) return validateSchema(value, resolveRef(root, schema.$ref), { root, path })
+
+  const type = typeOf(value)
+  if (schema.type !== undefined) {
+    const allowed = [schema.type].flat()
+    const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'))
+    if (!matches) return [`${at}: expected ${allowed.join(' or ')}, got ${type}`]
+  }
+  if ('const' in schema && value !== schema.const) {
+    return [`${at}: expected ${JSON.stringify(schema.const)}`]
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at}: expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`]
+  }
+
+  const errors = []
+
+  if (schema.oneOf) {
+    const passing = schema.oneOf.filter(s => validateSchema(value, s, { root, path }).length === 0)
+    if (passing.length !== 1) {
+      errors.push(`${at}: expected exactly one alternative to match, ${passing.length} did`)
+    }
+  }
+  if (schema.anyOf?.every(s => validateSchema(value, s, { root, path }).length > 0)) {
+    errors.push(`${at}: expected at least one alternative to match`)
+  }
+
+  if (type === 'string' && value.length < (schema.minLength ?? 0)) {
+    errors.push(`${at}: expected at least ${schema.minLength} characters`)
+  }
+  if (type === 'string' && schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+    errors.push(`${at}: does not match ${schema.pattern}`)
+  }
+  if ((type === 'integer' || type === 'number') && value < (schema.minimum ?? -Infinity)) {
+    errors.push(`${at}: must be >= ${schema.minimum}`)
+  }
+
+  if (type === 'object') {
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`)
+    }
+    const patterns = Object.entries(schema.patternProperties ?? {})
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key]
+      const patternSchema = patterns.find(([pattern]) => new RegExp(pattern, 'u').test(key))?.[1]
+      if (propertySchema) {
+        errors.push(...validateSchema(item, propertySchema, child(key)))
+      } else if (patternSchema) {
+        errors.push(...validateSchema(item, patternSchema, child(key)))
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property "${key}"`)
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, child(key)))
+      }
+    }
+  }
+
+  if (type === 'array') {
+    if (value.length < (schema.minItems ?? 0)) {
+      errors.push(`${at}: expected at least ${schema.minItems} items`)
+    }
+    if (value.length > (schema.maxItems ?? Infinity)) {
+      errors.push(`${at}: expected at most ${schema.maxItems} items`)
+    }
+    const prefix = schema.prefixItems ?? []
+    value.forEach((item, i) => {
+      const itemSchema = i < prefix.length ? prefix[i] : schema.items
+      if (itemSchema) errors.push(...validateSchema(item, itemSchema, child(i)))
+    })
+  }
+
+  return errors
+}
@@ -0,0 +1,26 @@
+/**
+ * Split sorted values into a low and a high class with Otsu's method, i.e. at
+ * the index that maximises the between-class variance. Used to tell line
+ * spacing from entry spacing.
+ *
+ * @param {number[]} values - Values in ascending order.
+ * @param {number} [minRatio=1] - Least ratio between the means of the high and
+ *   the low class for a split to count.
+ * @returns {number|null} Index of the first value of the high class, or `null`
+ *   when no split reaches `minRatio`.
+ */
+export function splitTwoClasses(values, minRatio = 1) {
+  const total = values.reduce((sum, value) => sum + value, 0)
+  let best = { score: -1, index: null }
+  let lowSum = 0
+  for (let i = 1; i < values.length; i++) {
+    lowSum += values[i - 1]
+    const low = lowSum / i
+    const high = (total - lowSum) / (values.length - i)
+    const score = i * (values.length - i) * (high - low) ** 2
+    if (score > best.score && high > low && high >= minRatio * Math.max(low, 1)) {
+      best = { score, index: i }
+    }
+  }
+  return best.index
+}
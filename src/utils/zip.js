@@ -0,0 +1,70 @@
+import { crc32, deflateRawSync } from 'node:zlib'
+
+/**
+ * DOS date for 1980-01-01; entries get a fixed timestamp so identical input
+ * produces an identical archive.
+ */
+const DOS_DATE = (0 << 9) | (1 << 5) | 1
+
+/**
+ * Builds a ZIP archive in memory. Entries are deflated unless that does not
+ * make them smaller (e.g. PNG images), in which case they are stored.
+ *
+ * @param {Array<{name: string, data: Buffer|string}>} files - Archive members in order.
+ * @returns {Buffer} The complete archive.
+ */
+export function createZip(files) {
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8')
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8')
+    const deflated = deflateRawSync(data)
+    const stored = deflated.length >= data.length
+    const body = stored ? data : deflated
+    const checksum = crc32(data)
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0) // local file header signature
+    local.writeUInt16LE(20, 4) // version needed to extract
+    local.writeUInt16LE(0x0800, 6) // UTF-8 file names
+    local.writeUInt16LE(stored ? 0 : 8, 8)
+    local.writeUInt16LE(0, 10) // time
+    local.writeUInt16LE(DOS_DATE, 12)
+    local.writeUInt32LE(checksum, 14)
+    local.writeUInt32LE(body.length, 18)
+    local.writeUInt32LE(data.length, 22)
+    local.writeUInt16LE(name.length, 26)
+    local.writeUInt16LE(0, 28) // extra field length
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0) // central directory header signature
+    central.writeUInt16LE(20, 4) // version made by
+    central.writeUInt16LE(20, 6)
+    central.writeUInt16LE(0x0800, 8)
+    central.writeUInt16LE(stored ? 0 : 8, 10)
+    central.writeUInt16LE(0, 12)
+    central.writeUInt16LE(DOS_DATE, 14)
+    central.writeUInt32LE(checksum, 16)
+    central.writeUInt32LE(body.length, 20)
+    central.writeUInt32LE(data.length, 24)
+    central.writeUInt16LE(name.length, 28)
+    central.writeUInt32LE(offset, 42) // offset of the local header (30-41 stay zero)
+
+    localParts.push(local, name, body)
+    centralParts.push(central, name)
+    offset += local.length + name.length + body.length
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0) // end of central directory signature
+  end.writeUInt16LE(files.length, 8)
+  end.writeUInt16LE(files.length, 10)
+  end.writeUInt32LE(centralSize, 12)
+  end.writeUInt32LE(offset, 16)
+
+  return Buffer.concat([...localParts, ...centralParts, end])
+}
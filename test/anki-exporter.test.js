@@ -0,0 +1,139 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { promises as fs } from 'fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { inflateRawSync } from 'node:zlib'
+import { DatabaseSync } from 'node:sqlite'
+import { AnkiExporter } from '../src/processors/anki-exporter.js'
+
+const metadata = { gitVersion: 'abc1234', generatedAt: '2025-06-01T12:00:00.000Z' }
+
+const region = (column, index) => ({
+  page: 42,
+  column,
+  index,
+  yRange: [0, 10],
+  image: `042-${column}-${index}.png`,
+})
+
+const entries = [
+  {
+    id: 'tisch-0a1b2c',
+    definition: 'der Tisch, -e',
+    example: 'Der Tisch ist <neu>.',
+    provenance: [region('l', 0)],
+  },
+  {
+    id: 'fahren-3d4e5f',
+    definition: 'fahren, fährt, fuhr, ist gefahren',
+    example: '1. Wir fahren.\n2. Er fährt.',
+    provenance: [region('l', 1), region('r', 0)],
+  },
+]
+
+// Reads the members of an archive written by createZip (no data descriptors)
+const readZip = buffer => {
+  const files = {}
+  let offset = 0
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const method = buffer.readUInt16LE(offset + 8)
+    const size = buffer.readUInt32LE(offset + 18)
+    const nameLength = buffer.readUInt16LE(offset + 26)
+    const extraLength = buffer.readUInt16LE(offset + 28)
+    const start = offset + 30 + nameLength + extraLength
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength)
+    const body = buffer.subarray(start, start + size)
+    files[name] = method === 8 ? inflateRawSync(body) : body
+    offset = start + size
+  }
+  return files
+}
+
+const exportPackage = async (outputDir, level) => {
+  const exporter = new AnkiExporter(outputDir, level)
+  const result = await exporter.write(entries, metadata)
+  const files = readZip(await fs.readFile(join(outputDir, 'wortliste.apkg')))
+  const dbPath = join(outputDir, 'collection.anki2')
+  await fs.writeFile(dbPath, files['collection.anki2'])
+  const db = new DatabaseSync(dbPath)
+  const notes = db.prepare('SELECT guid, tags, flds FROM notes ORDER BY id').all()
+  const cards = db.prepare('SELECT nid, did FROM cards').all()
+  const col = db.prepare('SELECT models, decks FROM col').get()
+  db.close()
+  return {
+    result,
+    files,
+    notes,
+    cards,
+    models: JSON.parse(col.models),
+    decks: JSON.parse(col.decks),
+  }
+}
+
+test('apkg contains the collection, the media map and the crop images', async () => {
+  const outputDir = await fs.mkdtemp(join(tmpdir(), 'anki-test-'))
+  try {
+    await fs.writeFile(join(outputDir, '042-l-0.png'), 'png-0')
+    await fs.writeFile(join(outputDir, '042-l-1.png'), 'png-1')
+
+    const { result, files, notes, cards, models } = await exportPackage(outputDir)
+
+    assert.deepStrictEqual(result, { notes: 2, media: 2, missingMedia: ['042-r-0.png'] })
+    assert.deepStrictEqual(JSON.parse(files.media), { 0: '042-l-0.png', 1: '042-l-1.png' })
+    assert.strictEqual(files['1'].toString(), 'png-1')
+
+    assert.deepStrictEqual(
+      Object.values(models)[0].flds.map(field => field.name),
+      ['Definition', 'Example', 'Source image'],
+    )
+    assert.strictEqual(cards.length, 2)
+
+    const fields = Object.fromEntries(notes.map(note => [note.flds.split('\x1f')[0], note]))
+    const tisch = fields['der Tisch, -e']
+    assert.deepStrictEqual(tisch.flds.split('\x1f').slice(1), [
+      'Der Tisch ist &lt;neu&gt;.',
+      '<img src="042-l-0.png">',
+    ])
+    const fahren = fields['fahren, fährt, fuhr, ist gefahren']
+    assert.strictEqual(fahren.tags, ' wortliste level-b1 page-042 column-042-l column-042-r ')
+    assert.ok(fahren.flds.includes('1. Wir fahren.<br>2. Er fährt.'))
+    assert.ok(!fahren.flds.includes('042-r-0.png'))
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true })
+  }
+})
+
+test('note GUIDs are derived from entry IDs and stable across exports', async () => {
+  const outputDir = await fs.mkdtemp(join(tmpdir(), 'anki-test-'))
+  try {
+    const first = await exportPackage(outputDir)
+    const second = await exportPackage(outputDir)
+    const exporter = new AnkiExporter(outputDir)
+
+    assert.deepStrictEqual(
+      first.notes.map(note => note.guid),
+      second.notes.map(note => note.guid),
+    )
+    assert.deepStrictEqual(
+      first.notes.map(note => note.guid).sort(),
+      entries.map(entry => exporter.guid(entry.id)).sort(),
+    )
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true })
+  }
+})
+
+test('the level selects the deck and the level tag', async () => {
+  const outputDir = await fs.mkdtemp(join(tmpdir(), 'anki-test-'))
+  try {
+    const { notes, cards, decks } = await exportPackage(outputDir, 'A1')
+
+    const deck = decks[cards[0].did]
+    assert.strictEqual(deck.name, 'Goethe-Zertifikat A1 Wortliste')
+    assert.ok(cards.every(card => card.did === deck.id))
+    assert.ok(notes.every(note => note.tags.startsWith(' wortliste level-a1 ')))
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true })
+  }
+})
@@ -82,3 +82,43 @@ test('threshold is set correctly', () => {
   const freshDetector = new BreakDetector()
   assert.strictEqual(freshDetector.threshold, 42)
 })
+
+// Column of two-line entries on greyish paper: 3-row lines, 2-row line gaps, 10-row entry gaps
+const paper = [225, 225, 226]
+const ink = [40, 40, 40]
+const rows = [2, 3, 2, 3, 10, 3, 2, 3, 10, 3, 2, 3, 4].flatMap((count, i) =>
+  Array(count).fill(i % 2 === 0 ? paper : ink),
+)
+const greyColumn = Buffer.from(rows.flatMap(row => [...row, ...row]))
+const greyInfo = { width: 2, height: rows.length, channels: 3 }
+
+test('adaptive mode chooses whiteness cutoff and threshold from the column', () => {
+  const adaptiveDetector = new BreakDetector()
+  adaptiveDetector.adaptive = true
+
+  assert.strictEqual(adaptiveDetector.paperCutoff(greyColumn, greyInfo), 210)
+  assert.deepStrictEqual(
+    adaptiveDetector.whitespaceRuns(greyColumn, greyInfo, 210),
+    [2, 10, 2, 10, 2],
+  )
+  assert.deepStrictEqual(adaptiveDetector.adaptiveThresholds(greyColumn, greyInfo, '001-l'), {
+    threshold: 4,
+    whiteThreshold: 210,
+  })
+  assert.deepStrictEqual(adaptiveDetector.detectBreaks(greyColumn, greyInfo, 1, 'l'), [
+    [0, 15],
+    [15, 33],
+    [33, 50],
+  ])
+})
+
+test('adaptive mode falls back to the configured threshold without distinct entry gaps', () => {
+  const adaptiveDetector = new BreakDetector()
+  const uniform = Buffer.from([paper, ink, paper, ink, paper].flatMap(row => [...row, ...row]))
+  const info = { width: 2, height: 5, channels: 3 }
+
+  assert.deepStrictEqual(adaptiveDetector.adaptiveThresholds(uniform, info, '001-l'), {
+    threshold: 42,
+    whiteThreshold: 210,
+  })
+})
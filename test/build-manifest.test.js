@@ -0,0 +1,107 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { promises as fs } from 'fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { BuildManifest, STAGES } from '../src/processors/build-manifest.js'
+
+const withTempDir = async fn => {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'manifest-test-'))
+  try {
+    await fn(dir)
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+}
+
+test('artifacts are fresh only while their inputs are unchanged', async () => {
+  await withTempDir(async dir => {
+    const manifest = new BuildManifest(join(dir, 'manifest.json'))
+    const artifact = join(dir, '042-l.txt')
+    const inputs = { config: { threshold: 42, overrides: [2728] } }
+
+    const digest = await manifest.digest('breaks', inputs)
+    assert.strictEqual(await manifest.isFresh(artifact, 'breaks', digest), false)
+
+    await fs.writeFile(artifact, '0 10')
+    await manifest.record(artifact, 'breaks', digest)
+    assert.strictEqual(await manifest.isFresh(artifact, 'breaks', digest), true)
+
+    const changed = await manifest.digest('breaks', {
+      config: { threshold: 40, overrides: [2728] },
+    })
+    assert.notStrictEqual(changed, digest)
+    assert.strictEqual(await manifest.isFresh(artifact, 'breaks', changed), false)
+
+    await fs.unlink(artifact)
+    assert.strictEqual(await manifest.isFresh(artifact, 'breaks', digest), false)
+  })
+})
+
+test('a rebuilt upstream artifact invalidates downstream artifacts', async () => {
+  await withTempDir(async dir => {
+    const manifest = new BuildManifest(join(dir, 'manifest.json'))
+    const ranges = join(dir, '042-l.txt')
+
+    await fs.writeFile(ranges, '0 10')
+    await manifest.record(ranges, 'breaks', 'a')
+    const before = await manifest.digest('extract', { upstream: [ranges] })
+
+    await fs.writeFile(ranges, '0 10\n20 30')
+    await manifest.record(ranges, 'breaks', 'b')
+    const after = await manifest.digest('extract', { upstream: [ranges] })
+
+    assert.notStrictEqual(before, after)
+  })
+})
+
+test('force options rebuild everything or selected stages', async () => {
+  await withTempDir(async dir => {
+    const manifest = new BuildManifest(join(dir, 'manifest.json'))
+    const crop = join(dir, '042-l-0.png')
+    const csv = join(dir, '042.csv')
+    for (const [file, stage] of [
+      [crop, 'crop'],
+      [csv, 'csv'],
+    ]) {
+      await fs.writeFile(file, stage)
+      await manifest.record(file, stage, 'digest')
+    }
+
+    manifest.configure({ forceStages: ['crop'] })
+    assert.strictEqual(await manifest.isFresh(crop, 'crop', 'digest'), false)
+    assert.strictEqual(await manifest.isFresh(csv, 'csv', 'digest'), true)
+
+    manifest.configure({ force: true })
+    assert.strictEqual(await manifest.isFresh(csv, 'csv', 'digest'), false)
+
+    assert.throws(() => manifest.configure({ forceStages: ['ocr'] }), /Unknown stage "ocr"/)
+  })
+})
+
+test('the manifest persists across runs', async () => {
+  await withTempDir(async dir => {
+    const manifestPath = join(dir, 'manifest.json')
+    const artifact = join(dir, '042.csv')
+    await fs.writeFile(artifact, 'csv')
+
+    const first = new BuildManifest(manifestPath)
+    await first.record(artifact, 'csv', 'digest')
+    await first.save()
+
+    const second = new BuildManifest(manifestPath)
+    assert.strictEqual(await second.isFresh(artifact, 'csv', 'digest'), true)
+  })
+})
+
+test('the code of every stage includes the helpers its processors import', async () => {
+  for (const [stage, files] of Object.entries(STAGES)) {
+    for (const file of files) {
+      const source = await fs.readFile(new URL(`../src/${file}`, import.meta.url), 'utf8')
+      // Shared statistics decide break thresholds, so editing them must rebuild
+      if (source.includes("from '../utils/stats.js'")) {
+        assert.ok(files.includes('utils/stats.js'), `${stage} lacks utils/stats.js for ${file}`)
+      }
+    }
+  }
+})
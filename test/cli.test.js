@@ -0,0 +1,144 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { COMMANDS, EXPORT_FORMATS, parseCommandLine, resolvePages } from '../src/cli.js'
+import { CONFIG } from '../src/config.js'
+
+test('parseCommandLine keeps the legacy flags as the run command', () => {
+  const parsed = parseCommandLine(['--pages', '42-43', '--force-stage', 'breaks,extract'])
+  assert.strictEqual(parsed.command, 'run')
+  assert.deepStrictEqual(resolvePages(parsed.selection), [42, 43])
+  assert.deepStrictEqual(parsed.forceStages, ['breaks', 'extract'])
+  assert.strictEqual(parsed.force, false)
+
+  assert.deepStrictEqual(resolvePages(parseCommandLine(['--page', '42']).selection), [42])
+  assert.strictEqual(
+    resolvePages(parseCommandLine(['--all']).selection).length,
+    CONFIG.PAGE_END - CONFIG.PAGE_START + 1,
+  )
+})
+
+test('parseCommandLine shows help without arguments', () => {
+  assert.strictEqual(parseCommandLine([]).command, 'help')
+  assert.strictEqual(parseCommandLine(['detect', '-h']).command, 'help')
+})
+
+test('stage commands default to all pages and force only their own stage', () => {
+  const parsed = parseCommandLine(['detect', '--threshold', '30', '--force'])
+  assert.strictEqual(parsed.command, 'detect')
+  const pages = resolvePages(parsed.selection)
+  assert.strictEqual(pages[0], CONFIG.PAGE_START)
+  assert.strictEqual(pages.at(-1), CONFIG.PAGE_END)
+  assert.strictEqual(parsed.overrides.breakThreshold, 30)
+  assert.strictEqual(parsed.force, false)
+  assert.deepStrictEqual(parsed.forceStages, ['breaks'])
+
+  assert.deepStrictEqual(parseCommandLine(['aggregate', '--force']).forceStages, ['csv'])
+})
+
+test('groups selects from the thematic pages in front of the Wortliste', () => {
+  const parsed = parseCommandLine(['groups', '--force'])
+  assert.deepStrictEqual(parsed.forceStages, ['groups'])
+  const pages = resolvePages(parsed.selection, COMMANDS.groups)
+  assert.strictEqual(pages[0], CONFIG.THEMATIC_START)
+  assert.strictEqual(pages.at(-1), CONFIG.THEMATIC_END)
+  assert.throws(() => resolvePages('42', COMMANDS.groups), /outside the/)
+})
+
+test('parseCommandLine reads export formats', () => {
+  assert.deepStrictEqual(parseCommandLine(['export']).formats, EXPORT_FORMATS)
+  assert.deepStrictEqual(
+    parseCommandLine(['export', '--format', 'json,sqlite', '--format', 'json']).formats,
+    ['json', 'sqlite'],
+  )
+  assert.throws(() => parseCommandLine(['export', '--format', 'xlsx']), /Unknown format "xlsx"/)
+})
+
+test('parseCommandLine rejects invalid command lines', () => {
+  assert.throws(() => parseCommandLine(['tune']), /Unknown command "tune"/)
+  assert.throws(
+    () => parseCommandLine(['extract', '--threshold', '30']),
+    /--threshold is not supported by "extract"/,
+  )
+  assert.throws(() => parseCommandLine(['detect', '--threshold', 'ten']), /Invalid threshold/)
+  assert.throws(() => parseCommandLine(['crop', '--all', '--pages', '42']), /Use only one of/)
+  assert.throws(() => parseCommandLine(['crop', '42']), /Unexpected argument "42"/)
+  assert.throws(() => resolvePages(parseCommandLine(['--pages', '10']).selection), /outside the/)
+  assert.throws(() => parseCommandLine(['--verbose']), /Unknown option/)
+})
+
+test('parseCommandLine reads failure handling options', () => {
+  const defaults = parseCommandLine(['detect'])
+  assert.strictEqual(defaults.overrides.pageRetries, undefined)
+  assert.strictEqual(defaults.failFast, false)
+
+  const parsed = parseCommandLine(['--all', '--retries', '2', '--fail-fast'])
+  assert.strictEqual(parsed.overrides.pageRetries, 2)
+  assert.strictEqual(parsed.failFast, true)
+  assert.strictEqual(parseCommandLine(['crop', '--keep-going']).failFast, false)
+
+  assert.throws(() => parseCommandLine(['--all', '--retries', 'x']), /Invalid retry count/)
+  assert.throws(
+    () => parseCommandLine(['--all', '--keep-going', '--fail-fast']),
+    /Use only one of --keep-going, --fail-fast/,
+  )
+  assert.throws(() => parseCommandLine(['export', '--retries', '1']), /not supported by "export"/)
+})
+
+test('parseCommandLine reads configuration options of every command', () => {
+  const parsed = parseCommandLine([
+    'export',
+    '--config',
+    'editions.json',
+    '--profile',
+    'scan-600',
+    '--pdf',
+    'scan.pdf',
+    '--output-dir',
+    'out-600',
+  ])
+  assert.strictEqual(parsed.configFile, 'editions.json')
+  assert.strictEqual(parsed.profile, 'scan-600')
+  assert.deepStrictEqual(parsed.overrides, { pdfFile: 'scan.pdf', outputDir: 'out-600' })
+})
+
+test('parseCommandLine accepts the level case-insensitively', () => {
+  assert.strictEqual(parseCommandLine(['run', '--level', 'a2']).overrides.level, 'A2')
+  assert.throws(() => parseCommandLine(['run', '--level', 'C1']), /Unknown level "C1"/)
+})
+
+test('parseCommandLine selects the break detector for run and detect', () => {
+  assert.strictEqual(
+    parseCommandLine(['detect', '--detector', 'text']).overrides.breakDetector,
+    'text',
+  )
+  assert.throws(() => parseCommandLine(['run', '--detector', 'ocr']), /Unknown detector "ocr"/)
+  assert.throws(() => parseCommandLine(['extract', '--detector', 'text']), /not supported/)
+  assert.strictEqual(parseCommandLine(['compare-breaks', '--pages', '42']).selection, '42')
+})
+
+test('parseCommandLine accepts page selection but no stage options for check and benchmark', () => {
+  assert.strictEqual(parseCommandLine(['check', '--pages', '42-44']).selection, '42-44')
+  assert.throws(() => parseCommandLine(['check', '--force']), /not supported/)
+  assert.strictEqual(parseCommandLine(['benchmark', '--page', '42']).selection, '42')
+  assert.throws(() => parseCommandLine(['benchmark', '--force']), /not supported/)
+})
+
+test('parseCommandLine switches to the adaptive threshold with --threshold auto', () => {
+  assert.strictEqual(
+    parseCommandLine(['detect', '--threshold', 'auto']).overrides.adaptiveThreshold,
+    true,
+  )
+  assert.deepStrictEqual(parseCommandLine(['detect', '--threshold', '30']).overrides, {
+    breakThreshold: 30,
+    adaptiveThreshold: false,
+  })
+})
+
+test('parseCommandLine requires one page for edit and validates the port', () => {
+  const parsed = parseCommandLine(['edit', '--page', '42', '--port', '9000'])
+  assert.strictEqual(parsed.selection, '42')
+  assert.strictEqual(parsed.port, 9000)
+  assert.throws(() => parseCommandLine(['edit']), /--page <number>/)
+  assert.throws(() => parseCommandLine(['edit', '--pages', '42-44']), /not supported/)
+  assert.throws(() => parseCommandLine(['edit', '--page', '42', '--port', 'x']), /Invalid port/)
+})
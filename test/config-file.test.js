@@ -0,0 +1,179 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { promises as fs } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { BREAK_OVERRIDES, CONFIG } from '../src/config.js'
+import {
+  applySettings,
+  loadConfigFile,
+  mergeSettings,
+  resolveProfile,
+  saveBreakOverrides,
+} from '../src/config-file.js'
+
+/**
+ * Write a configuration file into a fresh temporary directory.
+ *
+ * @param {object|string} content - Configuration, or raw file content.
+ * @returns {Promise<string>} Path of the file.
+ */
+async function writeConfig(content) {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'wortliste-config-'))
+  const file = join(dir, 'wortliste.config.json')
+  await fs.writeFile(file, typeof content === 'string' ? content : JSON.stringify(content))
+  return file
+}
+
+const profiles = {
+  'b1-2016': { pageStart: 16, pageEnd: 102, leftColumn: { cropX: 140, textWidth: 400 } },
+  'scan-600': { extends: 'b1-2016', dpi: 600, leftColumn: { cropX: 280 }, breakOverrides: {} },
+}
+
+test('loadConfigFile resolves the default profile and extends', async () => {
+  const file = await writeConfig({ defaultProfile: 'scan-600', profiles })
+  const { settings, profile } = await loadConfigFile(file)
+
+  assert.strictEqual(profile, 'scan-600')
+  assert.deepStrictEqual(settings, {
+    pageStart: 16,
+    pageEnd: 102,
+    dpi: 600,
+    leftColumn: { cropX: 280, textWidth: 400 },
+    breakOverrides: {},
+  })
+  assert.deepStrictEqual((await loadConfigFile(file, { profile: 'b1-2016' })).settings.leftColumn, {
+    cropX: 140,
+    textWidth: 400,
+  })
+})
+
+test('loadConfigFile accepts break overrides keyed by page and column', async () => {
+  const file = await writeConfig({
+    profiles: { overrides: { breakOverrides: { '042-l': [2728], '088-r': [] } } },
+  })
+  const { settings } = await loadConfigFile(file, { profile: 'overrides' })
+  assert.deepStrictEqual(settings.breakOverrides, { '042-l': [2728], '088-r': [] })
+})
+
+test('loadConfigFile without a profile or file applies nothing', async () => {
+  const file = await writeConfig({ profiles })
+  assert.deepStrictEqual((await loadConfigFile(file)).settings, {})
+
+  const missing = join(tmpdir(), 'no-such-wortliste.config.json')
+  assert.deepStrictEqual(await loadConfigFile(missing), { settings: {}, profile: null, file: null })
+  await assert.rejects(loadConfigFile(missing, { required: true }), /Config file not found/)
+  await assert.rejects(loadConfigFile(missing, { profile: 'b1-2016' }), /needs a config file/)
+})
+
+test('loadConfigFile reports schema violations with their location', async () => {
+  const file = await writeConfig({
+    profiles: {
+      bad: { dpi: 'high', breakOverrides: { 'page-42': [1] }, normalize: ['nfkc'], colour: true },
+    },
+  })
+  await assert.rejects(loadConfigFile(file), error => {
+    assert.match(error.message, /^Invalid .*wortliste\.config\.json:/)
+    assert.match(error.message, /\/profiles\/bad\/dpi: expected integer, got string/)
+    assert.match(error.message, /\/profiles\/bad\/breakOverrides: unexpected property "page-42"/)
+    assert.match(error.message, /\/profiles\/bad\/normalize\/0: expected one of "plural-marker"/)
+    assert.match(error.message, /\/profiles\/bad: unexpected property "colour"/)
+    return true
+  })
+
+  await assert.rejects(loadConfigFile(await writeConfig('{ "profiles": ')), /is not valid JSON/)
+})
+
+test('resolveProfile rejects unknown and cyclic profiles', () => {
+  assert.throws(
+    () => resolveProfile(profiles, 'a2', 'x.json'),
+    /Unknown profile "a2" in x.json \(available: b1-2016, scan-600\)/,
+  )
+  assert.throws(
+    () => resolveProfile({ a: { extends: 'b' }, b: { extends: 'a' } }, 'a', 'x.json'),
+    /extend each other: a → b → a/,
+  )
+})
+
+test('mergeSettings lets flags override profile values', () => {
+  assert.deepStrictEqual(
+    mergeSettings({ breakThreshold: 42, leftColumn: { cropX: 1 } }, { breakThreshold: 30 }),
+    { breakThreshold: 30, leftColumn: { cropX: 1 } },
+  )
+})
+
+test('applySettings updates CONFIG and replaces BREAK_OVERRIDES', t => {
+  const savedConfig = structuredClone(CONFIG)
+  const savedOverrides = { ...BREAK_OVERRIDES }
+  t.after(() => {
+    Object.assign(CONFIG, savedConfig)
+    for (const prefix of Object.keys(BREAK_OVERRIDES)) delete BREAK_OVERRIDES[prefix]
+    Object.assign(BREAK_OVERRIDES, savedOverrides)
+  })
+
+  applySettings({ dpi: 600, leftColumn: { cropX: 280 }, breakOverrides: { '042-l': [10, 20] } })
+  assert.strictEqual(CONFIG.PDF_DPI, 600)
+  assert.strictEqual(CONFIG.LEFT_COLUMN.CROP_X, 280)
+  assert.strictEqual(CONFIG.LEFT_COLUMN.CROP_WIDTH, savedConfig.LEFT_COLUMN.CROP_WIDTH)
+  assert.deepStrictEqual(Object.keys(BREAK_OVERRIDES), ['042-l'])
+  assert.deepStrictEqual([...BREAK_OVERRIDES['042-l']], [10, 20])
+  assert.strictEqual(CONFIG.BREAK_OVERRIDES_FILE, null)
+
+  assert.throws(() => applySettings({ pageStart: 50, pageEnd: 40 }), /pageStart 50 is after/)
+  assert.throws(
+    () => applySettings({ thematicStart: 12, thematicEnd: 9 }),
+    /thematicStart 12 is after/,
+  )
+})
+
+test('applySettings applies the level settings before the other settings', t => {
+  const savedConfig = structuredClone(CONFIG)
+  const savedOverrides = { ...BREAK_OVERRIDES }
+  t.after(() => {
+    Object.assign(CONFIG, savedConfig)
+    Object.assign(BREAK_OVERRIDES, savedOverrides)
+  })
+
+  const warn = t.mock.method(console, 'warn', () => {})
+  applySettings({ level: 'A1', pageEnd: 30 })
+  assert.match(warn.mock.calls[0].arguments[0], /A1 page ranges .* unverified/)
+  assert.strictEqual(CONFIG.PDF_URL_FALLBACK, null)
+  assert.strictEqual(CONFIG.LEVEL, 'A1')
+  assert.strictEqual(CONFIG.TITLE, 'Goethe-Zertifikat A1 Wortliste')
+  assert.strictEqual(CONFIG.PDF_FILE, 'Goethe-Zertifikat_A1_Wortliste.pdf')
+  assert.strictEqual(CONFIG.OUTPUT_DIR, 'output/a1')
+  assert.deepStrictEqual([CONFIG.PAGE_START, CONFIG.PAGE_END], [9, 30])
+  assert.deepStrictEqual(Object.keys(BREAK_OVERRIDES), [])
+
+  applySettings({ level: 'B1' })
+  assert.strictEqual(warn.mock.callCount(), 1)
+  assert.throws(() => applySettings({ level: 'C1' }), /Unknown level "C1"/)
+})
+
+test('saveBreakOverrides updates one column of the current level in the data file', async t => {
+  const savedConfig = structuredClone(CONFIG)
+  const savedOverrides = { ...BREAK_OVERRIDES }
+  t.after(() => {
+    Object.assign(CONFIG, savedConfig)
+    for (const prefix of Object.keys(BREAK_OVERRIDES)) delete BREAK_OVERRIDES[prefix]
+    Object.assign(BREAK_OVERRIDES, savedOverrides)
+  })
+  const dir = await fs.mkdtemp(join(tmpdir(), 'wortliste-overrides-'))
+  CONFIG.BREAK_OVERRIDES_FILE = join(dir, 'break-overrides.json')
+  await fs.writeFile(
+    CONFIG.BREAK_OVERRIDES_FILE,
+    JSON.stringify({ B1: { '050-l': [442], '022-l': [118] }, A1: {} }),
+  )
+
+  await saveBreakOverrides('042-l', [2728, 150, 150])
+  await saveBreakOverrides('022-l', [])
+  assert.strictEqual(
+    await fs.readFile(CONFIG.BREAK_OVERRIDES_FILE, 'utf8'),
+    '{\n  "B1": {\n    "042-l": [150, 2728],\n    "050-l": [442]\n  },\n  "A1": {}\n}\n',
+  )
+  assert.deepStrictEqual([...BREAK_OVERRIDES['042-l']], [150, 2728])
+  assert.strictEqual(BREAK_OVERRIDES['022-l'], undefined)
+
+  CONFIG.BREAK_OVERRIDES_FILE = null
+  await assert.rejects(saveBreakOverrides('042-l', [1]), /configuration profile/)
+})
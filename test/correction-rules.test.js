@@ -0,0 +1,131 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { CorrectionRules } from '../src/processors/correction-rules.js'
+import { CORRECTION_RULES } from '../src/data/corrections.js'
+import { DataProcessor } from '../src/processors/data-processor.js'
+
+test('bundled correction rules are valid', () => {
+  assert.doesNotThrow(() => new CorrectionRules(CORRECTION_RULES))
+})
+
+test('validate rejects malformed rules', () => {
+  assert.throws(
+    () => new CorrectionRules([{ id: 'a', stage: 'later', field: 'definition', match: /x/ }]),
+    /stage must be one of/,
+  )
+  assert.throws(
+    () =>
+      new CorrectionRules([
+        { id: 'a', stage: 'post', field: 'definition', match: /x/, replace: 'y' },
+        { id: 'a', stage: 'post', field: 'definition', match: /x/, replace: 'y' },
+      ]),
+    /duplicate id/,
+  )
+  assert.throws(
+    () => new CorrectionRules([{ id: 'a', stage: 'post', field: 'definition', match: 'x' }]),
+    /needs either override or field, match and replace/,
+  )
+})
+
+test('apply respects page and column scope and records fired rules', () => {
+  const rules = new CorrectionRules([
+    {
+      id: 'scoped',
+      stage: 'post',
+      page: 42,
+      column: 'r',
+      field: 'example',
+      match: /a/,
+      replace: 'b',
+    },
+  ])
+
+  const fired = []
+  assert.strictEqual(rules.apply('post', { example: 'a' }, { page: 42, column: 'l' }).example, 'a')
+  assert.strictEqual(rules.apply('post', { example: 'a' }).example, 'a')
+  assert.strictEqual(
+    rules.apply('post', { example: 'a' }, { page: 42, column: 'r', fired }).example,
+    'b',
+  )
+  assert.deepStrictEqual(fired, ['scoped'])
+})
+
+test('apply overrides fields when all guards match', () => {
+  const rules = new CorrectionRules(CORRECTION_RULES)
+  const fired = []
+  const result = rules.apply(
+    'extract',
+    { definition: '', example: '1. Ich sehe nicht gut.' },
+    { page: 79, column: 'l', fired },
+  )
+
+  assert.deepStrictEqual(result, {
+    definition: 'sehen, sieht, sah, hat gesehen',
+    example: '1. Ich sehe nicht gut.',
+  })
+  assert.deepStrictEqual(fired, ['p079-sehen'])
+
+  const elsewhere = rules.apply(
+    'extract',
+    { definition: '', example: '1. Ich sehe nicht gut.' },
+    { page: 80, column: 'l' },
+  )
+  assert.strictEqual(elsewhere.definition, '')
+})
+
+test('processExtractedData records rules fired during extraction and processing', async () => {
+  const processor = new DataProcessor()
+  const raw = processor.processRawData(
+    [
+      {
+        definition: 'sehen, sieht, sah, hat gesehen',
+        example: '1. Ich sehe',
+        corrections: ['p079-sehen'],
+      },
+      {
+        definition: 'die Hausfrau',
+        example: 'Die Hausfrau/Der Hausmann kümmert sich.',
+        page: 49,
+      },
+    ],
+    [],
+    { page: 79, column: 'l' },
+  )
+
+  const [sehen, hausfrau] = await processor.processExtractedData(raw)
+  assert.deepStrictEqual(sehen.corrections, ['p079-sehen'])
+  assert.deepStrictEqual(hausfrau.corrections, ['hausfrau-hausmann-lines'])
+  assert.strictEqual(hausfrau.example, 'Die Hausfrau\nDer Hausmann kümmert sich.')
+})
+
+test('processExample keeps "11. Mai" out of list numbering', () => {
+  const processor = new DataProcessor()
+  const fired = []
+  const result = processor.processExample('Wir treffen uns am\n11. Mai.', { page: 80, fired })
+
+  assert.strictEqual(result, 'Wir treffen uns am 11. Mai.')
+  assert.deepStrictEqual(fired, ['mai-date-protect', 'mai-date-restore'])
+
+  // The rules are scoped to page 80
+  const elsewhere = []
+  processor.processExample('Wir treffen uns am\n11. Mai.', { page: 81, fired: elsewhere })
+  assert.deepStrictEqual(elsewhere, [])
+})
+
+test('buildReport lists rules that never matched within the processed pages', () => {
+  const rules = new CorrectionRules([
+    { id: 'hit', stage: 'post', field: 'example', match: /a/, replace: 'b' },
+    { id: 'stale', stage: 'post', field: 'example', match: /c/, replace: 'd' },
+    { id: 'other-page', stage: 'post', page: 99, field: 'example', match: /c/, replace: 'd' },
+  ])
+
+  const report = rules.buildReport([{ definition: 'x', corrections: ['hit'] }], [42])
+  assert.deepStrictEqual(
+    report.rules.map(rule => [rule.id, rule.hits]),
+    [
+      ['hit', 1],
+      ['stale', 0],
+    ],
+  )
+  assert.deepStrictEqual(report.unmatched, ['stale'])
+})
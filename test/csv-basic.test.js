@@ -45,3 +45,27 @@ test('CSV handles multiline text correctly', async () => {
   assert.ok(csv.includes('"test\nmultiline"'))
   assert.ok(csv.includes('"example\nwith\nnewlines"'))
 })
+
+test('CSV appends the lexical parse as a JSON column', async () => {
+  const processor = new DataProcessor()
+  const testData = [
+    { definition: 'der Tisch, -e', example: 'example', lexical: { pos: 'noun', lemma: 'Tisch' } },
+    { definition: '', example: 'example2', lexical: null },
+  ]
+
+  const lines = (await processor.generateCSV(testData, '042')).split('\n')
+
+  assert.strictEqual(lines[1], '"der Tisch, -e","example","{""pos"":""noun"",""lemma"":""Tisch""}"')
+  assert.strictEqual(lines[2], '"","example2",""')
+})
+
+test('CSV appends the entry ID once assigned', async () => {
+  const processor = new DataProcessor()
+  const testData = [
+    { definition: 'ab und zu', example: 'x', lexical: null, id: 'ab-und-zu-1a2b3c' },
+  ]
+
+  const lines = (await processor.generateCSV(testData, 'all')).split('\n')
+
+  assert.strictEqual(lines[1], '"ab und zu","x","","ab-und-zu-1a2b3c"')
+})
@@ -30,7 +30,7 @@ test('processExample handles regular sentences', () => {
 
 test('processExample applies page 39 fix', () => {
   const input = '1 Auf dem Brief fehlt der Absender'
-  const result = processor.processExample(input)
+  const result = processor.processExample(input, { page: 39, column: 'r' })
   assert.strictEqual(result, '1. Auf dem Brief fehlt der Absender')
 })
 
@@ -54,3 +54,47 @@ test('processRawData merges empty definitions', () => {
   assert.strictEqual(result[0].example, 'example 1\nexample 2')
   assert.strictEqual(result[1].definition, 'test2')
 })
+
+test('processRawData keeps the source regions of merged entries', async () => {
+  const left = [
+    {
+      page: 42,
+      column: 'l',
+      index: 0,
+      yRange: [0, 120],
+      definition: 'der Freund, -e',
+      example: 'Ich sehe meine Freunde',
+      imagePath: 'output/042-l-0.png',
+    },
+  ]
+  const right = [
+    {
+      page: 42,
+      column: 'r',
+      index: 0,
+      yRange: [0, 60],
+      definition: '',
+      example: 'nur am Wochenende.',
+      imagePath: 'output/042-r-0.png',
+    },
+  ]
+
+  let raw = processor.processRawData(left, [])
+  raw = processor.processRawData(right, raw)
+  const [entry] = await processor.processExtractedData(raw)
+
+  assert.deepStrictEqual(entry.provenance, [
+    { page: 42, column: 'l', index: 0, yRange: [0, 120], image: '042-l-0.png' },
+    { page: 42, column: 'r', index: 0, yRange: [0, 60], image: '042-r-0.png' },
+  ])
+})
+
+test('processRawData falls back to the given source for older extractions', () => {
+  const [entry] = processor.processRawData([{ definition: 'a', example: 'b' }], [], {
+    page: 16,
+    column: 'r',
+  })
+  assert.deepStrictEqual(entry.provenance, [
+    { page: 16, column: 'r', index: null, yRange: null, image: null },
+  ])
+})
@@ -0,0 +1,199 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { DefinitionParser } from '../src/processors/definition-parser.js'
+import { DataProcessor } from '../src/processors/data-processor.js'
+
+const parser = new DefinitionParser()
+
+test('parse returns null for empty definitions', () => {
+  assert.strictEqual(parser.parse(''), null)
+  assert.strictEqual(parser.parse('   '), null)
+})
+
+test('parse extracts article, gender, lemma and plural', () => {
+  const result = parser.parse('der Tisch, -e')
+  assert.strictEqual(result.pos, 'noun')
+  assert.strictEqual(result.lemma, 'Tisch')
+  assert.deepStrictEqual(result.forms, [
+    {
+      lemma: 'Tisch',
+      article: 'der',
+      gender: 'm',
+      plural: '-e',
+      genitive: null,
+      inflection: { singular: 'Tisch', plural: 'Tische', number: 'both' },
+    },
+  ])
+})
+
+test('parse distinguishes genitive and variant forms', () => {
+  assert.strictEqual(parser.parse('der Name, -ns, -n').forms[0].genitive, '-ns')
+
+  const friede = parser.parse('der Friede, Frieden, -').forms[0]
+  assert.deepStrictEqual(friede.variants, ['Frieden'])
+  assert.strictEqual(friede.plural, '-')
+})
+
+test('parse handles masculine/feminine pairs', () => {
+  const processor = new DataProcessor()
+  const definition = processor.processDefinition('der Lehrer, - / die Lehrerin, -nen')
+  const result = parser.parse(definition)
+
+  assert.deepStrictEqual(
+    result.forms.map(form => [form.article, form.lemma, form.plural]),
+    [
+      ['der', 'Lehrer', '-'],
+      ['die', 'Lehrerin', '-nen'],
+    ],
+  )
+})
+
+test('parse extracts verb principal parts', () => {
+  const result = parser.parse('festnehmen, nimmt fest, nahm fest, hat festgenommen')
+  assert.strictEqual(result.pos, 'verb')
+  assert.strictEqual(result.lemma, 'festnehmen')
+  assert.deepStrictEqual(result.forms[0].principalParts, [
+    'nimmt fest',
+    'nahm fest',
+    'hat festgenommen',
+  ])
+})
+
+test('parse re-joins hyphenated verb forms', () => {
+  const result = parser.parse('funktionieren, funktion- iert, funktionierte,  hat funktioniert')
+  assert.strictEqual(result.forms[0].principalParts[0], 'funktioniert')
+})
+
+test('parse collects regions and cross-references', () => {
+  const result = parser.parse('der Friseur, -e\ndie Friseurin, -nen (D, A) →CH: Coiffeur')
+  assert.deepStrictEqual(result.regions, ['D', 'A'])
+  assert.deepStrictEqual(result.references, [{ regions: ['CH'], target: 'Coiffeur' }])
+  assert.strictEqual(result.forms.length, 2)
+})
+
+test('parse keeps non-region remarks as notes', () => {
+  const result = parser.parse('die Eltern (Pl.)')
+  assert.deepStrictEqual(result.notes, ['Pl.'])
+  assert.deepStrictEqual(result.regions, [])
+})
+
+test('processExtractedData attaches the lexical parse', async () => {
+  const processor = new DataProcessor()
+  const [entry] = await processor.processExtractedData([
+    { definition: 'der Freund, -e', example: 'Ich sehe meine Freunde.' },
+  ])
+  assert.strictEqual(entry.definition, 'der Freund, -e')
+  assert.strictEqual(entry.lexical.lemma, 'Freund')
+})
+
+test('parseVerb splits principal parts and detects separable prefixes', () => {
+  const { verb } = parser.parse('festnehmen, nimmt fest, nahm fest, hat festgenommen').forms[0]
+  assert.deepStrictEqual(verb, {
+    infinitive: 'festnehmen',
+    present3sg: 'nimmt fest',
+    preterite: 'nahm fest',
+    auxiliary: 'haben',
+    participle: 'festgenommen',
+    separablePrefix: 'fest',
+    separable: 'fest|nehmen',
+    reflexive: false,
+  })
+})
+
+test('parseVerb marks reflexive verbs and the sein auxiliary', () => {
+  const freuen = parser.parse('sich freuen, freut sich, freute sich,  hat sich gefreut').forms[0]
+  assert.strictEqual(freuen.verb.infinitive, 'freuen')
+  assert.strictEqual(freuen.verb.reflexive, true)
+  assert.strictEqual(freuen.verb.participle, 'gefreut')
+  assert.strictEqual(freuen.verb.separablePrefix, null)
+
+  const ausruhen = parser.parse('(sich) ausruhen, ruht aus, ruhte aus, hat ausgeruht').forms[0]
+  assert.strictEqual(ausruhen.verb.reflexive, 'optional')
+  assert.strictEqual(ausruhen.verb.separable, 'aus|ruhen')
+
+  const fahren = parser.parse('fahren, fährt, fuhr, ist gefahren').forms[0]
+  assert.strictEqual(fahren.verb.auxiliary, 'sein')
+
+  for (const perfect of ['hat/ist gefahren', 'ist/hat gefahren']) {
+    const { verb } = parser.parse(`fahren, fährt, fuhr, ${perfect}`).forms[0]
+    assert.strictEqual(verb.auxiliary, 'haben/sein')
+    assert.strictEqual(verb.participle, 'gefahren')
+  }
+})
+
+test('parseVerb honours an explicit prefix marker', () => {
+  const { verb } = parser.parse('an|rufen, ruft an, rief an, hat angerufen').forms[0]
+  assert.strictEqual(verb.infinitive, 'anrufen')
+  assert.strictEqual(verb.separable, 'an|rufen')
+})
+
+test('buildVerbReport lists verb entries that do not match the pattern', async () => {
+  const processor = new DataProcessor()
+  const entries = await processor.processExtractedData([
+    { definition: 'fressen, frisst, fraß,  hat gefressen', example: 'x' },
+    { definition: 'festnehmen nimmt fest, nahm fest, hat festgenommen', example: 'x' },
+    { definition: 'backen, bäckt, backte, hat, gebacken', example: 'x' },
+    { definition: 'der Tisch, -e', example: 'x' },
+  ])
+
+  const report = processor.buildVerbReport(entries)
+  assert.strictEqual(report.verbs, 2)
+  assert.deepStrictEqual(report.mismatches[0].issues, [
+    'expected 3 principal parts, found 2',
+    'unexpected infinitive "festnehmen nimmt fest"',
+  ])
+  assert.deepStrictEqual(
+    report.mismatches.map(m => m.lemma),
+    ['festnehmen nimmt fest', 'backen, bäckt, backte, hat, gebacken'],
+  )
+})
+
+test('inflectNoun expands suffix and umlaut plural notation', () => {
+  const plural = definition => parser.parse(definition).forms[0].inflection.plural
+
+  assert.strictEqual(plural('die Mutter, ¨-'), 'Mütter')
+  assert.strictEqual(plural('der Baum, ¨-e'), 'Bäume')
+  assert.strictEqual(plural('das Haus, ¨-er'), 'Häuser')
+  assert.strictEqual(plural('der Saal, ¨-e'), 'Säle')
+  assert.strictEqual(plural('der Apfel, ¨-'), 'Äpfel')
+  assert.strictEqual(plural('das Auto, -s'), 'Autos')
+  assert.strictEqual(plural('der Lehrer, -'), 'Lehrer')
+  assert.strictEqual(plural('das Museum, Museen'), 'Museen')
+})
+
+test('inflectNoun honours singular- and plural-only markers', () => {
+  assert.deepStrictEqual(parser.parse('das Obst, nur Sg.').forms[0].inflection, {
+    singular: 'Obst',
+    plural: null,
+    number: 'singular',
+  })
+  assert.deepStrictEqual(parser.parse('die Milch (Sg.)').forms[0].inflection, {
+    singular: 'Milch',
+    plural: null,
+    number: 'singular',
+  })
+
+  const eltern = parser.parse('die Eltern (Pl.)').forms[0]
+  assert.deepStrictEqual(eltern.inflection, { singular: null, plural: 'Eltern', number: 'plural' })
+  assert.strictEqual(eltern.gender, null)
+})
+
+test('buildNounReport lists nouns whose notation cannot be expanded', async () => {
+  const processor = new DataProcessor()
+  const entries = await processor.processExtractedData([
+    { definition: 'der Tisch, -e', example: 'x' },
+    { definition: 'die Freude', example: 'x' },
+    { definition: 'der Typ, -en?', example: 'x' },
+    { definition: 'das Bild, ¨-er', example: 'x' },
+  ])
+
+  const report = processor.buildNounReport(entries)
+  assert.strictEqual(report.nouns, 4)
+  assert.deepStrictEqual(
+    report.unexpanded.map(u => [u.lemma, u.issues]),
+    [
+      ['Typ', ['cannot expand plural notation "-en?"']],
+      ['Bild', ['cannot expand plural notation "¨-er"']],
+    ],
+  )
+})
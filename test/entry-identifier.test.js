@@ -0,0 +1,87 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { EntryIdentifier } from '../src/processors/entry-identifier.js'
+
+const identifier = new EntryIdentifier()
+
+const entry = (definition, lemma) => ({ definition, lexical: lemma ? { lemma } : null })
+
+test('slugify transliterates umlauts and strips punctuation', () => {
+  assert.strictEqual(identifier.slugify('Führerschein'), 'fuehrerschein')
+  assert.strictEqual(identifier.slugify('Straße'), 'strasse')
+  assert.strictEqual(identifier.slugify('Café'), 'cafe')
+  assert.strictEqual(identifier.slugify('ab und zu'), 'ab-und-zu')
+  assert.strictEqual(identifier.slugify('…'), 'entry')
+})
+
+test('fingerprint ignores case, whitespace and Unicode normalisation', () => {
+  assert.strictEqual(
+    identifier.fingerprint('der Bär,  ¨-en'),
+    identifier.fingerprint('Der Bär, ¨-en'),
+  )
+  assert.notStrictEqual(identifier.fingerprint('der Bär'), identifier.fingerprint('die Bär'))
+})
+
+test('assign mints IDs from lemma and definition hash and keeps them on rerun', () => {
+  const first = [entry('der Tisch, -e', 'Tisch'), entry('ab und zu')]
+  const { map, report } = identifier.assign(first, null)
+
+  assert.match(first[0].id, /^tisch-[0-9a-f]{6}$/)
+  assert.match(first[1].id, /^ab-und-zu-[0-9a-f]{6}$/)
+  assert.strictEqual(report.previousRun, false)
+  assert.strictEqual(report.minted.length, 2)
+
+  // Reordered rerun: IDs follow the entries, not the rows
+  const second = [entry('ab und zu'), entry('der Tisch, -e', 'Tisch')]
+  const rerun = identifier.assign(second, map)
+  assert.deepStrictEqual(
+    second.map(e => e.id),
+    [first[1].id, first[0].id],
+  )
+  assert.strictEqual(rerun.report.kept, 2)
+  assert.deepStrictEqual(rerun.report.minted, [])
+  assert.deepStrictEqual(rerun.report.disappeared, [])
+})
+
+test('assign prefixes minted IDs with the level prefix', () => {
+  const entries = [entry('der Tisch, -e', 'Tisch')]
+  new EntryIdentifier(undefined, 'a1-').assign(entries, null)
+  assert.match(entries[0].id, /^a1-tisch-[0-9a-f]{6}$/)
+})
+
+test('assign lets a corrected definition inherit the ID of its lemma', () => {
+  const first = [entry('der Tisch, -en', 'Tisch')]
+  const { map } = identifier.assign(first, null)
+
+  const corrected = [entry('der Tisch, -e', 'Tisch')]
+  const { report } = identifier.assign(corrected, map)
+  assert.strictEqual(corrected[0].id, first[0].id)
+  assert.strictEqual(report.kept, 1)
+})
+
+test('assign disambiguates identical lemmas and definitions', () => {
+  const entries = [entry('die Bank, -en', 'Bank'), entry('die Bank, -en', 'Bank')]
+  identifier.assign(entries, null)
+  assert.strictEqual(entries[1].id, `${entries[0].id}-2`)
+})
+
+test('assign retires disappeared IDs and revives them only for the same entry', () => {
+  const first = [entry('der Tisch, -e', 'Tisch'), entry('der Stuhl, ¨-e', 'Stuhl')]
+  const { map } = identifier.assign(first, null)
+  const stuhlId = first[1].id
+
+  const without = [entry('der Tisch, -e', 'Tisch')]
+  const removed = identifier.assign(without, map)
+  assert.deepStrictEqual(removed.report.disappeared, [{ id: stuhlId, lemma: 'stuhl' }])
+  assert.strictEqual(removed.map.ids[stuhlId].retired, true)
+
+  // A different Stuhl definition must not take over the retired ID
+  const other = [entry('der Tisch, -e', 'Tisch'), entry('der Stuhl, -s', 'Stuhl')]
+  identifier.assign(other, removed.map)
+  assert.notStrictEqual(other[1].id, stuhlId)
+
+  const back = [entry('der Tisch, -e', 'Tisch'), entry('der Stuhl, ¨-e', 'Stuhl')]
+  const revived = identifier.assign(back, removed.map)
+  assert.strictEqual(back[1].id, stuhlId)
+  assert.deepStrictEqual(revived.report.disappeared, [])
+})
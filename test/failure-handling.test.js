@@ -0,0 +1,71 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { promises as fs } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { GoetheBrListProcessor } from '../src/index.js'
+
+/**
+ * Create a processor whose manifest lives in a temporary directory.
+ *
+ * @returns {Promise<GoetheBrListProcessor>}
+ */
+async function createProcessor() {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'wortliste-failures-'))
+  const processor = new GoetheBrListProcessor()
+  processor.manifest.manifestPath = join(dir, 'manifest.json')
+  return processor
+}
+
+test('forEachPage retries failed pages and records what still fails', async () => {
+  const processor = await createProcessor()
+  processor.retries = 1
+  const attempts = new Map()
+
+  await processor.forEachPage([16, 17, 18], 'detect', async page => {
+    attempts.set(page, (attempts.get(page) ?? 0) + 1)
+    if (page === 16 && attempts.get(page) === 1) throw new Error('flaky')
+    if (page === 17) {
+      const error = new Error('no text')
+      error.stage = 'extract'
+      throw error
+    }
+  })
+  await processor.destroy()
+
+  assert.deepStrictEqual(Object.fromEntries(attempts), { 16: 2, 17: 2, 18: 1 })
+  assert.deepStrictEqual(processor.failures, [
+    { page: 17, stage: 'extract', error: 'no text', attempts: 2 },
+  ])
+  assert.deepStrictEqual(processor.skipped, [])
+})
+
+test('forEachPage skips the remaining pages with failFast', async () => {
+  const processor = await createProcessor()
+  processor.failFast = true
+  const seen = []
+
+  await processor.forEachPage([16, 17, 18], 'crop', async page => {
+    seen.push(page)
+    throw new Error('broken image')
+  })
+  await processor.destroy()
+
+  assert.strictEqual(seen.length, processor.failures.length)
+  assert.ok(processor.failures.every(({ stage }) => stage === 'crop'))
+  assert.deepStrictEqual([...seen, ...processor.skipped].sort(), [16, 17, 18])
+  assert.ok(processor.shouldStop())
+})
+
+test('runStep records errors of whole-run steps without a page', async () => {
+  const processor = await createProcessor()
+  const result = await processor.runStep('export', async () => {
+    throw new Error('disk full')
+  })
+  await processor.destroy()
+
+  assert.strictEqual(result, undefined)
+  assert.deepStrictEqual(processor.failures, [
+    { page: null, stage: 'export', error: 'disk full', attempts: 1 },
+  ])
+})
@@ -0,0 +1,106 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { DataProcessor } from '../src/processors/data-processor.js'
+import { EntryIdentifier } from '../src/processors/entry-identifier.js'
+import { JsonExporter, SCHEMA_VERSION } from '../src/processors/json-exporter.js'
+import { validateSchema } from '../src/utils/schema.js'
+
+const metadata = {
+  title: 'Goethe Zertifikat B1 Wortliste',
+  level: 'B1',
+  gitVersion: 'abc1234',
+  generatedAt: '2025-06-01T12:00:00.000Z',
+  source: { file: 'Goethe-Zertifikat_B1_Wortliste.pdf', sha256: 'a'.repeat(64) },
+  pages: [42],
+}
+
+const buildEntries = async () => {
+  const processor = new DataProcessor()
+  const raw = processor.processRawData(
+    [
+      { definition: 'der Tisch, -e', example: 'Der Tisch ist neu.', index: 0, yRange: [10, 90] },
+      { definition: 'fahren, fährt, fuhr, ist gefahren', example: '1. Wir fahren.' },
+      { definition: '', example: '2. Er fährt.' },
+      { definition: 'ab und zu', example: 'Ab und zu ge\u00adhe ich.' },
+    ],
+    [],
+    { page: 42, column: 'l' },
+  )
+  const entries = await processor.processExtractedData(raw)
+  new EntryIdentifier().assign(entries, null)
+  return entries
+}
+
+test('envelope carries run metadata and every entry field', async () => {
+  const exporter = new JsonExporter('output')
+  const envelope = exporter.createEnvelope(await buildEntries(), metadata)
+
+  assert.strictEqual(envelope.schemaVersion, SCHEMA_VERSION)
+  assert.strictEqual(envelope.metadata.entryCount, 3)
+  assert.strictEqual(envelope.metadata.gitVersion, 'abc1234')
+  assert.deepStrictEqual(Object.keys(envelope.entries[0]), [
+    'id',
+    'definition',
+    'example',
+    'lexical',
+    'corrections',
+    'normalized',
+    'provenance',
+  ])
+  assert.strictEqual(envelope.entries[1].provenance.length, 2)
+  assert.deepStrictEqual(envelope.entries[2].normalized, [
+    { class: 'soft-hyphen', field: 'example', from: 'U+00AD', to: '', count: 1 },
+  ])
+})
+
+test('JSON output validates against the published schema', async () => {
+  const exporter = new JsonExporter('output')
+  const schema = await exporter.loadSchema()
+  const envelope = exporter.createEnvelope(await buildEntries(), metadata)
+
+  assert.deepStrictEqual(validateSchema(envelope, schema), [])
+  assert.deepStrictEqual(
+    validateSchema(
+      exporter.createEnvelope(await buildEntries(), {
+        ...metadata,
+        source: { file: 'x.pdf', sha256: null },
+      }),
+      schema,
+    ),
+    [],
+  )
+  // Consumers rely on the level tag
+  const { level, ...untagged } = metadata
+  assert.strictEqual(level, 'B1')
+  assert.notDeepStrictEqual(
+    validateSchema(exporter.createEnvelope(await buildEntries(), untagged), schema),
+    [],
+  )
+})
+
+test('NDJSON has a header line followed by one entry per line', async () => {
+  const exporter = new JsonExporter('output')
+  const schema = await exporter.loadSchema()
+  const envelope = exporter.createEnvelope(await buildEntries(), metadata)
+  const lines = exporter.toNDJSON(envelope).trimEnd().split('\n').map(JSON.parse)
+
+  assert.strictEqual(lines.length, 4)
+  assert.deepStrictEqual(validateSchema(lines[0], { $ref: '#/$defs/header' }, { root: schema }), [])
+  for (const entry of lines.slice(1)) {
+    assert.deepStrictEqual(validateSchema(entry, { $ref: '#/$defs/entry' }, { root: schema }), [])
+  }
+})
+
+test('validateSchema reports the location of invalid data', async () => {
+  const schema = await new JsonExporter('output').loadSchema()
+  const envelope = new JsonExporter('output').createEnvelope(await buildEntries(), metadata)
+  delete envelope.entries[2].definition
+  envelope.entries[0].provenance[0].column = 'x'
+  envelope.metadata.source.sha256 = 'not-a-hash'
+
+  assert.deepStrictEqual(validateSchema(envelope, schema), [
+    '/metadata/source/sha256: does not match ^[0-9a-f]{64}$',
+    '/entries/0/provenance/0/column: expected one of "l", "r", null',
+    '/entries/2: missing required property "definition"',
+  ])
+})
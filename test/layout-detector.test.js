@@ -0,0 +1,62 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { CONFIG } from '../src/config.js'
+import { LayoutDetector } from '../src/processors/layout-detector.js'
+
+const detector = new LayoutDetector()
+const pageWidth = 2480
+
+const line = (x0, x1, y) => ({ x0, x1, y0: y, y1: y + 40, text: 'text' })
+
+// Two entries per column: definitions, then examples further right
+const columnLines = (defX, exampleX) =>
+  [400, 600].flatMap(y => [
+    line(defX, defX + 360, y),
+    line(defX, defX + 200, y + 50),
+    line(exampleX, exampleX + 570, y),
+  ])
+
+const page = [
+  line(160, 2300, 100), // running header above the entry area
+  ...columnLines(160, 580),
+  ...columnLines(1330, 1750),
+]
+
+test('detect derives gutter and definition/example boundary from line bboxes', () => {
+  const layout = detector.detect(page, pageWidth)
+
+  assert.strictEqual(layout.source, 'detected')
+  assert.deepStrictEqual(layout.warnings, [])
+  assert.deepStrictEqual(layout.columns.l, {
+    CROP_X: 143,
+    CROP_WIDTH: 1097,
+    TEXT_X: 143,
+    TEXT_WIDTH: 407,
+    FULL_WIDTH: 1240,
+  })
+  assert.deepStrictEqual(layout.columns.r, {
+    CROP_X: 1240,
+    CROP_WIDTH: 1097,
+    TEXT_X: 1240,
+    TEXT_WIDTH: 480,
+    FULL_WIDTH: 2337,
+  })
+})
+
+test('detect falls back to the configured columns when definitions run into examples', () => {
+  const layout = detector.detect([...page, line(160, 700, 800)], pageWidth)
+
+  assert.strictEqual(layout.source, 'config')
+  assert.deepStrictEqual(layout.warnings, ['column l: definitions and examples overlap'])
+  assert.deepStrictEqual(layout.columns, { l: CONFIG.LEFT_COLUMN, r: CONFIG.RIGHT_COLUMN })
+})
+
+test('detect falls back when there is no gutter or too little text', () => {
+  assert.deepStrictEqual(detector.detect([line(160, 2300, 400)], pageWidth).warnings, [
+    'no text-free gutter between the columns',
+  ])
+  assert.deepStrictEqual(
+    detector.detect([...columnLines(160, 580), line(1330, 1690, 400)], pageWidth).warnings,
+    ['column r has only 1 text line(s)'],
+  )
+})
@@ -0,0 +1,133 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { promises as fs } from 'fs'
+import { request } from 'node:http'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { BREAK_OVERRIDES, CONFIG } from '../src/config.js'
+import { OverrideEditor } from '../src/processors/override-editor.js'
+
+/**
+ * Page processor stand-in: every forced break splits the column there.
+ */
+function fakePageProcessor() {
+  return {
+    processed: [],
+    pageLayout: async () => ({ columns: { l: CONFIG.LEFT_COLUMN, r: CONFIG.RIGHT_COLUMN } }),
+    async previewColumn(pageNum, column, overrides) {
+      const bounds = [0, ...overrides, CONFIG.IMAGE_HEIGHT]
+      const ranges = bounds.slice(1).map((y, i) => [bounds[i], y])
+      return {
+        ranges,
+        entries: ranges.map(([y0]) => ({
+          definition: `${column}${y0}`,
+          example: '',
+          page: pageNum,
+        })),
+      }
+    },
+    async processPage(pageNum) {
+      this.processed.push(pageNum)
+    },
+  }
+}
+
+test('the editor previews and saves the forced breaks of a column', async t => {
+  const savedConfig = structuredClone(CONFIG)
+  const savedOverrides = { ...BREAK_OVERRIDES }
+  const dir = await fs.mkdtemp(join(tmpdir(), 'wortliste-editor-'))
+  CONFIG.BREAK_OVERRIDES_FILE = join(dir, 'break-overrides.json')
+  await fs.writeFile(CONFIG.BREAK_OVERRIDES_FILE, JSON.stringify({ B1: {} }))
+
+  const pageProcessor = fakePageProcessor()
+  const editor = new OverrideEditor(pageProcessor, 42)
+  const url = await editor.listen(0)
+  t.after(async () => {
+    await editor.close()
+    Object.assign(CONFIG, savedConfig)
+    for (const prefix of Object.keys(BREAK_OVERRIDES)) delete BREAK_OVERRIDES[prefix]
+    Object.assign(BREAK_OVERRIDES, savedOverrides)
+  })
+  const post = (path, body) =>
+    fetch(new URL(path, url), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    })
+
+  const state = await (await fetch(new URL('api/state', url))).json()
+  assert.strictEqual(state.page, 42)
+  assert.strictEqual(state.editable, true)
+  assert.deepStrictEqual(state.columns.l.overrides, [...BREAK_OVERRIDES['042-l']])
+
+  const preview = await (await post('api/preview', { column: 'r', overrides: [900, 300] })).json()
+  assert.deepStrictEqual(preview.ranges, [
+    [0, 300],
+    [300, 900],
+    [900, CONFIG.IMAGE_HEIGHT],
+  ])
+  assert.deepStrictEqual(preview.regions[1], { definition: 'r300', example: '' })
+
+  const saved = await post('api/save', { column: 'r', overrides: [900, 300] })
+  assert.deepStrictEqual(await saved.json(), { overrides: [300, 900] })
+  assert.deepStrictEqual(JSON.parse(await fs.readFile(CONFIG.BREAK_OVERRIDES_FILE, 'utf8')), {
+    B1: { '042-r': [300, 900] },
+  })
+  assert.deepStrictEqual(pageProcessor.processed, [42])
+
+  const invalid = await post('api/save', { column: 'x', overrides: [-1] })
+  assert.strictEqual(invalid.status, 400)
+  assert.match((await invalid.json()).error, /Expected \{"column"/)
+  assert.strictEqual((await fetch(new URL('missing', url))).status, 404)
+})
+
+test('the editor rejects posts from other sites', async t => {
+  const savedConfig = structuredClone(CONFIG)
+  const savedOverrides = { ...BREAK_OVERRIDES }
+  const dir = await fs.mkdtemp(join(tmpdir(), 'wortliste-editor-'))
+  CONFIG.BREAK_OVERRIDES_FILE = join(dir, 'break-overrides.json')
+  await fs.writeFile(CONFIG.BREAK_OVERRIDES_FILE, JSON.stringify({ B1: {} }))
+
+  const pageProcessor = fakePageProcessor()
+  const editor = new OverrideEditor(pageProcessor, 42)
+  const url = await editor.listen(0)
+  t.after(async () => {
+    await editor.close()
+    Object.assign(CONFIG, savedConfig)
+    for (const prefix of Object.keys(BREAK_OVERRIDES)) delete BREAK_OVERRIDES[prefix]
+    Object.assign(BREAK_OVERRIDES, savedOverrides)
+  })
+  const save = headers =>
+    fetch(new URL('api/save', url), {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ column: 'r', overrides: [300] }),
+    })
+
+  // A simple cross-site form or fetch post needs no preflight
+  const plain = await save({ 'Content-Type': 'text/plain' })
+  assert.strictEqual(plain.status, 415)
+  assert.strictEqual((await save({})).status, 415)
+  const foreign = await save({ 'Content-Type': 'application/json', Origin: 'https://example.com' })
+  assert.strictEqual(foreign.status, 403)
+  assert.match((await foreign.json()).error, /Forbidden origin/)
+
+  // DNS rebinding: a foreign name resolving to the loopback address; fetch fixes the Host
+  const rebound = await new Promise((resolve, reject) =>
+    request(new URL('api/state', url), { headers: { Host: 'evil.example:8042' } }, response => {
+      response.resume()
+      resolve(response.statusCode)
+    })
+      .on('error', reject)
+      .end(),
+  )
+  assert.strictEqual(rebound, 403)
+
+  assert.deepStrictEqual(JSON.parse(await fs.readFile(CONFIG.BREAK_OVERRIDES_FILE, 'utf8')), {
+    B1: {},
+  })
+  assert.deepStrictEqual(pageProcessor.processed, [])
+
+  const own = await save({ 'Content-Type': 'application/json', Origin: url.slice(0, -1) })
+  assert.strictEqual(own.status, 200)
+})
@@ -0,0 +1,149 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { PageTextIndex, readTextRuns } from '../src/processors/page-text-index.js'
+
+// Structured text as mupdf reports it, in PDF points
+const font = { name: 'Helvetica', weight: 'normal', style: 'normal', size: 10 }
+const line = (x, y, text) => ({ bbox: { x, y, w: 100, h: 10 }, font, text })
+const structuredText = {
+  blocks: [
+    { type: 'text', lines: [line(200, 100, 'Wir kaufen einen Tisch.'), line(40, 100, 'Tisch')] },
+    { type: 'image' },
+    { type: 'text', lines: [line(40, 60, 'der'), line(40, 300, 'Stuhl, -e')] },
+  ],
+}
+
+// Two image pixels per point
+const index = new PageTextIndex(structuredText, [0, 0, 595, 842], 2)
+
+test('PageTextIndex lists the lines of the page in reading order and image pixels', () => {
+  assert.strictEqual(index.width, 1190)
+  assert.deepStrictEqual(
+    index.lines.map(({ text }) => text),
+    ['der', 'Tisch', 'Wir kaufen einen Tisch.', 'Stuhl, -e'],
+  )
+  assert.deepStrictEqual(index.lines[1], { x0: 80, y0: 200, x1: 280, y1: 220, text: 'Tisch' })
+  assert.strictEqual(index.lines, index.lines)
+})
+
+test('PageTextIndex returns the lines touching a region', () => {
+  assert.strictEqual(index.textIn(0, 0, 300, 300), 'der\nTisch')
+  assert.strictEqual(
+    index.textIn(0, 0, 1190, 1684),
+    'der\nTisch\nWir kaufen einen Tisch.\nStuhl, -e',
+  )
+  // Lines touching the region's edge count, as before the index
+  assert.strictEqual(index.textIn(380, 220, 100, 10), 'Wir kaufen einen Tisch.')
+  assert.strictEqual(index.textIn(0, 221, 1190, 378), '')
+  assert.deepStrictEqual(index.query(0, 590, 300, 100), [
+    {
+      x: 40,
+      y: 300,
+      w: 100,
+      h: 10,
+      baseline: 310,
+      text: 'Stuhl, -e',
+      runs: [{ text: 'Stuhl, -e', font: 'Helvetica', size: 10, bold: false, italic: false }],
+    },
+  ])
+})
+
+/**
+ * Structured text stand-in whose characters come in the given fonts.
+ */
+function fakeStructuredText(lines) {
+  const fonts = {
+    B: { getName: () => 'ABCDEF+Arial-BoldMT', isBold: () => true, isItalic: () => false },
+    R: { getName: () => 'ABCDEF+ArialMT', isBold: () => false, isItalic: () => false },
+    I: { getName: () => 'ABCDEF+Arial-ItalicMT', isBold: () => false, isItalic: () => true },
+  }
+  return {
+    asJSON: () =>
+      JSON.stringify({
+        blocks: [{ type: 'text', lines: lines.map(([y, text]) => line(40, y, text.join(''))) }],
+      }),
+    walk(walker) {
+      for (const [, text, styles] of lines) {
+        walker.beginLine()
+        text.forEach((chars, i) => {
+          for (const c of chars) walker.onChar(c, [0, 0], fonts[styles[i]], 9.96)
+        })
+        walker.endLine()
+      }
+    },
+  }
+}
+
+test('PageTextIndex keeps the runs of each line by typography', () => {
+  const stext = fakeStructuredText([
+    [100, ['ab|fahren', ', fährt ab'], 'BR'],
+    [112, ['(D) ', 'ugs.'], 'RI'],
+  ])
+  assert.deepStrictEqual(
+    readTextRuns(stext).map(runs => runs.map(({ text, font }) => [text, font])),
+    [
+      [
+        ['ab|fahren', 'Arial-BoldMT'],
+        [', fährt ab', 'ArialMT'],
+      ],
+      [
+        ['(D) ', 'ArialMT'],
+        ['ugs.', 'Arial-ItalicMT'],
+      ],
+    ],
+  )
+
+  const fromStext = PageTextIndex.fromStructuredText(stext, [0, 0, 595, 842])
+  const scale = fromStext.scale
+  const runs = fromStext.runsIn(0, 0, 300 * scale, 200 * scale)
+  assert.strictEqual(
+    runs.map(({ text }) => text).join(''),
+    fromStext.textIn(0, 0, 300 * scale, 200 * scale),
+  )
+  assert.deepStrictEqual(runs, [
+    { text: 'ab|fahren', font: 'Arial-BoldMT', size: 10, bold: true, italic: false },
+    { text: ', fährt ab\n(D) ', font: 'ArialMT', size: 10, bold: false, italic: false },
+    { text: 'ugs.', font: 'Arial-ItalicMT', size: 10, bold: false, italic: true },
+  ])
+})
+
+test('PageTextIndex assigns every line of a column to exactly one range', () => {
+  const at = (y, h, baseline, text) => ({ bbox: { x: 40, y, w: 100, h }, y: baseline, text })
+  const column = new PageTextIndex(
+    {
+      blocks: [
+        {
+          type: 'text',
+          lines: [
+            at(10, 10, 18, 'der Tisch, -e'),
+            at(28, 10, 36, 'Der Tisch ist neu.'),
+            at(48, 10, 56, 'Wir fahren.'),
+            at(65, 10, 73, 'die Uhr, -en'),
+            at(80, 20, 85, 'Es ist spät.'),
+          ],
+        },
+      ],
+    },
+    [0, 0, 595, 842],
+    1,
+  )
+  const { lines, ambiguous } = column.assignLines(0, 200, [
+    [0, 30],
+    [30, 60],
+    [60, 90],
+    [90, 120],
+  ])
+
+  assert.deepStrictEqual(
+    lines.map(range => column.text(range)),
+    ['der Tisch, -e', 'Der Tisch ist neu.\nWir fahren.', 'die Uhr, -en\nEs ist spät.', ''],
+  )
+  assert.deepStrictEqual(
+    ambiguous.map(({ line, ranges, range, rule }) => [line.text, ranges, range, rule]),
+    [
+      ['Der Tisch ist neu.', [0, 1], 1, 'overlap'],
+      ['Es ist spät.', [2, 3], 2, 'baseline'],
+    ],
+  )
+  assert.deepStrictEqual(column.within(lines[1], 150, 50), [])
+})
@@ -0,0 +1,110 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { CONFIG } from '../src/config.js'
+import { SegmentationChecker } from '../src/processors/segmentation-checker.js'
+
+const checker = new SegmentationChecker()
+const columnConfig = CONFIG.LEFT_COLUMN
+
+// A 40px line of the left column at y (relative to the entry area)
+const line = (y, text) => ({
+  x0: 160,
+  x1: 460,
+  y0: CONFIG.Y_OFFSET + y,
+  y1: CONFIG.Y_OFFSET + y + 40,
+  text,
+})
+
+const lines = [
+  line(100, 'der Tisch, -e'),
+  line(150, 'Wir kaufen einen Tisch.'),
+  line(210, 'fahren, fährt, fuhr'),
+  line(400, 'Stuhl, -e'),
+  line(450, 'Der Stuhl (neu.'),
+]
+
+const entry = (definition, example) => ({
+  definition,
+  example,
+  imagePath: 'output/042-l-0.png',
+})
+
+test('checkColumn flags cut lines, thin ranges, broken verbs, missing articles and parentheses', () => {
+  const reports = checker.checkColumn({
+    page: 42,
+    column: 'l',
+    ranges: [
+      [0, 230],
+      [230, 270],
+      [270, 290],
+      [290, 600],
+    ],
+    entries: [
+      entry('der Tisch, -e', 'Wir kaufen einen Tisch.'),
+      entry('fahren, fährt, fuhr', 'Wir fahren.'),
+      entry('', ''),
+      entry('Stuhl, -e', 'Der Stuhl (neu.'),
+    ],
+    lines,
+    columnConfig,
+  })
+
+  assert.deepStrictEqual(
+    reports.map(report => report.issues.map(({ check }) => check)),
+    [
+      [],
+      ['straddling-line', 'verb-pattern'],
+      ['short-range', 'empty-range'],
+      ['no-article', 'unbalanced-parentheses'],
+    ],
+  )
+  assert.strictEqual(reports[1].issues[0].message, 'boundary at 230 cuts "fahren, fährt, fuhr"')
+  assert.strictEqual(reports[0].contentHeight, 90)
+  assert.strictEqual(reports[0].crop, 'output/042-l-0.png')
+
+  assert.throws(
+    () => checker.checkColumn({ page: 42, column: 'l', ranges: [[0, 10]], entries: [], lines }),
+    /1 ranges but 0 extracted entries/,
+  )
+})
+
+test('checkContinuation accepts mid-sentence and new-sentence continuations only', () => {
+  const previous = example => ({ example })
+  assert.deepStrictEqual(checker.checkContinuation('gehen wir.', previous('Morgen')), [])
+  assert.deepStrictEqual(checker.checkContinuation('Wir gehen.', previous('Ich auch.')), [])
+  assert.deepStrictEqual(
+    checker.checkContinuation('gehen wir.', previous('Ich auch.')).map(({ check }) => check),
+    ['unmerged-continuation'],
+  )
+  assert.deepStrictEqual(checker.checkContinuation('Wir gehen.', undefined), [])
+})
+
+test('checkHeights and rank put the most suspicious ranges first', () => {
+  const report = (index, contentHeight, issues = []) => ({
+    page: 42,
+    column: 'l',
+    index,
+    contentHeight,
+    issues,
+  })
+  const reports = [
+    report(0, 100),
+    report(1, 90, [{ check: 'no-article' }]),
+    report(2, 110),
+    report(3, 400),
+    report(4, 0, [{ check: 'empty-range' }]),
+  ]
+
+  assert.strictEqual(checker.checkHeights(reports), 110)
+  assert.deepStrictEqual(reports[3].issues, [
+    { check: 'tall-range', message: 'text is 400px tall, 3.6× the median range' },
+  ])
+  assert.deepStrictEqual(
+    checker.rank(reports).map(({ rank, index, score }) => [rank, index, score]),
+    [
+      [1, 4, 4],
+      [2, 3, 3],
+      [3, 1, 1],
+    ],
+  )
+})
@@ -0,0 +1,103 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { promises as fs } from 'fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { DatabaseSync } from 'node:sqlite'
+import { DataProcessor } from '../src/processors/data-processor.js'
+import { EntryIdentifier } from '../src/processors/entry-identifier.js'
+import { SqliteExporter, DATABASE_VERSION } from '../src/processors/sqlite-exporter.js'
+
+const metadata = {
+  title: 'Goethe Zertifikat B1 Wortliste',
+  gitVersion: 'abc1234',
+  generatedAt: '2025-06-01T12:00:00.000Z',
+  source: { file: 'Goethe-Zertifikat_B1_Wortliste.pdf', sha256: null },
+  pages: [42, 43],
+}
+
+test('splitExamples returns one item per numbered example', () => {
+  const processor = new DataProcessor()
+  assert.deepStrictEqual(processor.splitExamples('1. Wir fahren.\n2. Er fährt am 11. Mai.'), [
+    { number: 1, text: 'Wir fahren.' },
+    { number: 2, text: 'Er fährt am 11. Mai.' },
+  ])
+  assert.deepStrictEqual(processor.splitExamples('Ab und zu gehe ich.'), [
+    { number: null, text: 'Ab und zu gehe ich.' },
+  ])
+  assert.deepStrictEqual(processor.splitExamples(''), [])
+})
+
+test('wortliste.sqlite holds entries, examples, pages, provenance and a full-text index', async () => {
+  const processor = new DataProcessor()
+  const raw = processor.processRawData(
+    [
+      { definition: 'der Tisch, -e', example: 'Der Tisch ist neu.', index: 0, yRange: [10, 90] },
+      { definition: 'fahren, fährt, fuhr, ist gefahren', example: '1. Wir fahren.', index: 1 },
+      { definition: '', example: '2. Er fährt nach Köln.', index: 2 },
+    ],
+    [],
+    { page: 42, column: 'l' },
+  )
+  const entries = await processor.processExtractedData(raw)
+  new EntryIdentifier().assign(entries, null)
+
+  const outputDir = await fs.mkdtemp(join(tmpdir(), 'sqlite-test-'))
+  try {
+    const counts = await new SqliteExporter(outputDir).write(entries, metadata)
+    assert.deepStrictEqual(counts, { entries: 2, examples: 3, pages: 2 })
+
+    const db = new DatabaseSync(join(outputDir, 'wortliste.sqlite'))
+    try {
+      assert.strictEqual(db.prepare('PRAGMA user_version').get().user_version, DATABASE_VERSION)
+      assert.strictEqual(
+        db.prepare("SELECT value FROM metadata WHERE key = 'git_version'").get().value,
+        'abc1234',
+      )
+      assert.deepStrictEqual(
+        db
+          .prepare('SELECT number, entry_count FROM pages ORDER BY number')
+          .all()
+          .map(r => ({ ...r })),
+        [
+          { number: 42, entry_count: 2 },
+          { number: 43, entry_count: 0 },
+        ],
+      )
+
+      const fahren = db.prepare("SELECT id, pos, lemma FROM entries WHERE lemma = 'fahren'").get()
+      assert.strictEqual(fahren.pos, 'verb')
+      assert.deepStrictEqual(
+        db
+          .prepare('SELECT number, text FROM examples WHERE entry_id = ? ORDER BY position')
+          .all(fahren.id)
+          .map(r => ({ ...r })),
+        [
+          { number: 1, text: 'Wir fahren.' },
+          { number: 2, text: 'Er fährt nach Köln.' },
+        ],
+      )
+      assert.deepStrictEqual(
+        db
+          .prepare('SELECT range_index FROM provenance WHERE entry_id = ? ORDER BY position')
+          .all(fahren.id)
+          .map(r => r.range_index),
+        [1, 2],
+      )
+
+      const match = db
+        .prepare(
+          'SELECT entries.lemma FROM entries_fts JOIN entries ON entries.rowid = entries_fts.rowid WHERE entries_fts MATCH ?',
+        )
+        .all('köln')
+      assert.deepStrictEqual(
+        match.map(r => r.lemma),
+        ['fahren'],
+      )
+    } finally {
+      db.close()
+    }
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true })
+  }
+})
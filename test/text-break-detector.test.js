@@ -0,0 +1,108 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { BREAK_OVERRIDES, CONFIG } from '../src/config.js'
+import { TextBreakDetector } from '../src/processors/text-break-detector.js'
+
+const detector = new TextBreakDetector()
+const column = CONFIG.LEFT_COLUMN
+
+// A line of the left column at y (relative to the entry area), in the definition or example part
+const line = (part, y, text = part) => {
+  const x0 = part === 'def' ? 160 : 600
+  return { x0, x1: x0 + 300, y0: CONFIG.Y_OFFSET + y, y1: CONFIG.Y_OFFSET + y + 40, text }
+}
+
+// Three entries: 10px line spacing, 60px entry spacing
+const lines = [
+  line('def', 100, 'der Tisch, -e'),
+  line('ex', 100, 'Der Tisch ist neu.'),
+  line('ex', 150, 'Wir kaufen einen Tisch.'),
+  line('def', 250, 'fahren, fährt,'),
+  line('ex', 250, 'Wir fahren.'),
+  line('def', 300, 'fuhr, ist gefahren'),
+  line('def', 400, 'ab und zu'),
+  line('ex', 400, 'Ab und zu gehe ich.'),
+  { ...line('def', 100, 'right column'), x0: 1400, x1: 1600 }, // outside the column
+]
+
+test('rows groups definition and example lines at the same height', () => {
+  const rows = detector.rows(lines, column)
+  assert.deepStrictEqual(
+    rows.map(row => [row.y0, row.definition, row.text]),
+    [
+      [100, true, 'der Tisch, -e Der Tisch ist neu.'],
+      [150, false, 'Wir kaufen einen Tisch.'],
+      [250, true, 'fahren, fährt, Wir fahren.'],
+      [300, true, 'fuhr, ist gefahren'],
+      [400, true, 'ab und zu Ab und zu gehe ich.'],
+    ],
+  )
+})
+
+test('detectBreaks starts entries at definition rows after entry spacing', () => {
+  assert.deepStrictEqual(detector.detectBreaks(lines, column, 42, 'l', { overrides: false }), [
+    [0, 220],
+    [220, 370],
+    [370, CONFIG.IMAGE_HEIGHT],
+  ])
+  assert.deepStrictEqual(detector.detectBreaks([], column, 42, 'l'), [])
+})
+
+test('detectBreaks drops forced breaks in a gap that already has a break', t => {
+  const saved = BREAK_OVERRIDES['042-l']
+  t.after(() => {
+    if (saved) BREAK_OVERRIDES['042-l'] = saved
+    else delete BREAK_OVERRIDES['042-l']
+  })
+  // 226 lies a few pixels below the break at 220, 40 above the first row and 320 in a row
+  BREAK_OVERRIDES['042-l'] = [226, 40, 320]
+  assert.deepStrictEqual(detector.detectBreaks(lines, column, 42, 'l'), [
+    [0, 40],
+    [40, 220],
+    [220, 320],
+    [320, 370],
+    [370, CONFIG.IMAGE_HEIGHT],
+  ])
+  assert.deepStrictEqual(detector.detectBreaks(lines, column, 42, 'l', { overrides: [364, 395] }), [
+    [0, 220],
+    [220, 370],
+    [370, CONFIG.IMAGE_HEIGHT],
+  ])
+})
+
+test('detectBreaks compares uniform spacing with the row height', () => {
+  const detect = ys =>
+    detector.detectBreaks(
+      ys.map(y => line('def', y)),
+      column,
+      42,
+      'l',
+      { overrides: false },
+    )
+  // One entry of three lines, then three one-line entries
+  assert.deepStrictEqual(detect([100, 150, 200]), [[0, CONFIG.IMAGE_HEIGHT]])
+  assert.deepStrictEqual(detect([100, 200, 300]), [
+    [0, 170],
+    [170, 270],
+    [270, CONFIG.IMAGE_HEIGHT],
+  ])
+})
+
+test('compare reports rows only one detector starts an entry at', () => {
+  const rows = detector.rows(lines, column)
+  // The pixel detector broke in the same gap at another height, and once more inside entry two
+  const pixel = [
+    [0, 230],
+    [230, 295],
+    [295, 380],
+    [380, 2000],
+  ]
+  const text = detector.detectBreaks(lines, column, 42, 'l', { overrides: false })
+  const { pixelOnly, textOnly } = detector.compare(rows, pixel, text)
+
+  assert.deepStrictEqual(
+    pixelOnly.map(row => row.text),
+    ['fuhr, ist gefahren'],
+  )
+  assert.deepStrictEqual(textOnly, [])
+})
@@ -0,0 +1,83 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { NORMALIZATION_CLASSES } from '../src/data/normalization.js'
+import { readJSON } from '../src/utils/fs.js'
+import { TextNormalizer } from '../src/processors/text-normalizer.js'
+
+const normalizer = new TextNormalizer(
+  NORMALIZATION_CLASSES,
+  NORMALIZATION_CLASSES.map(({ id }) => id),
+)
+
+test('TextNormalizer unifies invisible and typographic variants', () => {
+  const changes = []
+  const fields = normalizer.apply(
+    {
+      definition: 'der Apfel, \u0308-\nder Scha\u0308\u00adfer',
+      example: '„Das ist o\ufb03ziell“ – sagt\u00a0er\u200b. Er’s gut.',
+    },
+    changes,
+  )
+
+  assert.deepStrictEqual(fields, {
+    definition: 'der Apfel, ¨-\nder Schäfer',
+    example: '"Das ist offiziell" - sagt er. Er\'s gut.',
+  })
+  assert.deepStrictEqual(
+    changes.map(({ class: id, field, from, to, count }) => [id, field, from, to, count]),
+    [
+      ['plural-marker', 'definition', 'U+0308', 'U+00A8', 1],
+      ['nfc', 'definition', 'U+0061 U+0308', 'U+00E4', 1],
+      ['soft-hyphen', 'definition', 'U+00AD', '', 1],
+      ['zero-width', 'example', 'U+200B', '', 1],
+      ['non-breaking-space', 'example', 'U+00A0', 'U+0020', 1],
+      ['ligature', 'example', 'U+FB03', 'U+0066 U+0066 U+0069', 1],
+      ['quote', 'example', 'U+201E', 'U+0022', 1],
+      ['quote', 'example', 'U+201C', 'U+0022', 1],
+      ['quote', 'example', 'U+2019', 'U+0027', 1],
+      ['dash', 'example', 'U+2013', 'U+002D', 1],
+    ],
+  )
+})
+
+test('TextNormalizer applies only the enabled classes and reports what it touched', () => {
+  const dashes = new TextNormalizer(NORMALIZATION_CLASSES, ['dash', 'soft-hyphen'])
+  const entries = ['fahren – fuhr', 'gehen – ging \u2212 ', 'kaufen „jetzt“'].map(definition => {
+    const normalized = []
+    return { ...dashes.apply({ definition }, normalized), normalized }
+  })
+  assert.strictEqual(entries[2].definition, 'kaufen „jetzt“')
+
+  assert.deepStrictEqual(dashes.buildReport(entries), {
+    enabled: ['soft-hyphen', 'dash'],
+    classes: [
+      {
+        id: 'dash',
+        description: 'Hyphens, dashes and the minus sign become "-"',
+        changes: 3,
+        entries: 2,
+        characters: [
+          { from: 'U+2013', to: 'U+002D', count: 2 },
+          { from: 'U+2212', to: 'U+002D', count: 1 },
+        ],
+        definitions: ['fahren - fuhr', 'gehen - ging - '],
+      },
+    ],
+    untouched: ['soft-hyphen'],
+  })
+
+  assert.throws(
+    () => new TextNormalizer(NORMALIZATION_CLASSES, ['nfkc']),
+    /Unknown normalization class\(es\) nfkc/,
+  )
+})
+
+test('the configuration schema accepts exactly the normalization classes', async () => {
+  const schema = await readJSON(
+    new URL('../src/schemas/wortliste-config.schema.json', import.meta.url),
+  )
+  assert.deepStrictEqual(
+    schema.$defs.profile.properties.normalize.items.enum,
+    NORMALIZATION_CLASSES.map(({ id }) => id),
+  )
+})
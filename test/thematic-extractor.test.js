@@ -0,0 +1,94 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { PageTextIndex } from '../src/processors/page-text-index.js'
+import { ThematicExtractor } from '../src/processors/thematic-extractor.js'
+
+// A line of structured text in PDF points, set in one font
+const line = (x, y, text, { size = 10, bold = false, italic = false } = {}) => ({
+  bbox: { x, y, w: 8 * text.length, h: size },
+  y: y + size,
+  text,
+  runs: [{ text, font: 'ArialMT', size, bold, italic }],
+})
+const bold = { bold: true }
+const page = (...lines) =>
+  new PageTextIndex({ blocks: [{ type: 'text', lines }] }, [0, 0, 595, 842])
+
+const page8 = page(
+  line(40, 40, 'Goethe-Zertifikat B1 Wortliste', bold),
+  line(40, 100, 'Wortgruppen', { size: 14, bold: true }),
+  line(40, 130, 'Farben', bold),
+  // Normalized like the entries: the soft hyphen goes
+  line(300, 130, 'Wochen\u00adtage', bold),
+  line(40, 150, 'blau'),
+  line(120, 150, 'grün'),
+  line(300, 150, 'der Montag'),
+  line(400, 150, 'Am Montag arbeite ich.'),
+  line(40, 165, 'rot'),
+  line(300, 165, 'der Samstag'),
+  line(400, 165, '(norddt.: Sonnabend)'),
+  line(60, 180, 'Das Auto ist rot.'),
+  line(40, 200, 'Zahlen', bold),
+  line(40, 215, 'eins'),
+  line(120, 215, 'zwei'),
+  line(200, 215, 'drei'),
+  line(40, 800, 'Seite 8'),
+)
+const page9 = page(
+  line(40, 100, 'vier'),
+  line(40, 120, 'Monate:', bold),
+  line(40, 135, 'der Januar'),
+  line(200, 135, 'auch: Jänner (A)'),
+)
+
+test('ThematicExtractor segments headings, items and notes of a page', () => {
+  const groups = new ThematicExtractor().segmentPage(page8, 8)
+  assert.deepStrictEqual(
+    groups.map(({ topic }) => topic),
+    ['Wortgruppen', 'Farben', 'Wochentage', 'Zahlen'],
+  )
+
+  const [, colours, days, numbers] = groups
+  assert.deepStrictEqual(colours.items, [
+    { text: 'blau', notes: [], page: 8 },
+    { text: 'grün', notes: [], page: 8 },
+    { text: 'rot', notes: [{ kind: 'example', text: 'Das Auto ist rot.' }], page: 8 },
+  ])
+  assert.deepStrictEqual(
+    days.items.map(({ text, notes }) => [text, notes]),
+    [
+      ['der Montag', [{ kind: 'example', text: 'Am Montag arbeite ich.' }]],
+      ['der Samstag', [{ kind: 'variant', text: '(norddt.: Sonnabend)' }]],
+    ],
+  )
+  // Page header and footer lie outside the entry area
+  assert.deepStrictEqual(
+    numbers.items.map(({ text }) => text),
+    ['eins', 'zwei', 'drei'],
+  )
+})
+
+test('ThematicExtractor continues a group over the page break', () => {
+  const extractor = new ThematicExtractor()
+  const [continued] = extractor.segmentPage(page9, 9)
+  assert.strictEqual(continued.topic, null)
+
+  const groups = extractor.combine([
+    { page: 8, groups: extractor.segmentPage(page8, 8) },
+    { page: 9, groups: extractor.segmentPage(page9, 9) },
+  ])
+  assert.deepStrictEqual(
+    groups.map(({ topic, pages, items }) => [topic, pages, items.length]),
+    [
+      ['Farben', [8], 3],
+      ['Wochentage', [8], 2],
+      ['Zahlen', [8, 9], 4],
+      ['Monate', [9], 1],
+    ],
+  )
+  assert.deepStrictEqual(groups[3].items[0].notes, [{ kind: 'variant', text: 'auch: Jänner (A)' }])
+
+  const csv = extractor.generateCSV(groups).split('\n')
+  assert.strictEqual(csv[3], '"Farben","rot","Das Auto ist rot.",""')
+  assert.strictEqual(csv.at(-2), '"Monate","der Januar","","auch: Jänner (A)"')
+})
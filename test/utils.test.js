@@ -2,6 +2,8 @@ import { test } from 'node:test'
 import assert from 'node:assert'
 import { promises as fs } from 'fs'
 import { ensureDir, fileExists, padPageNumber } from '../src/utils/fs.js'
+import { formatPageSelection, parsePageSelection } from '../src/utils/pages.js'
+import { splitTwoClasses } from '../src/utils/stats.js'
 import { join } from 'path'
 
 test('padPageNumber formats correctly', () => {
@@ -32,3 +34,31 @@ test('ensureDir creates directories', async () => {
   // Clean up
   await fs.rm(join(process.cwd(), 'test', 'tmp'), { recursive: true })
 })
+
+test('parsePageSelection expands ranges and removes duplicates', () => {
+  const bounds = { min: 16, max: 102 }
+  assert.deepStrictEqual(
+    parsePageSelection('88-90,16-18, 42,17', bounds),
+    [16, 17, 18, 42, 88, 89, 90],
+  )
+  assert.deepStrictEqual(parsePageSelection('42', bounds), [42])
+})
+
+test('parsePageSelection rejects malformed and out-of-range selections', () => {
+  const bounds = { min: 16, max: 102 }
+  assert.throws(() => parsePageSelection(undefined, bounds), /Empty page selection/)
+  assert.throws(() => parsePageSelection('16-', bounds), /Invalid page selection "16-"/)
+  assert.throws(() => parsePageSelection('20-16', bounds), /start is after end/)
+  assert.throws(() => parsePageSelection('10-20', bounds), /outside the Wortliste pages 16-102/)
+})
+
+test('formatPageSelection compresses consecutive pages', () => {
+  assert.strictEqual(formatPageSelection([42, 16, 17, 18, 88, 89, 90]), '16-18,42,88-90')
+  assert.strictEqual(formatPageSelection([]), '')
+})
+
+test('splitTwoClasses separates line spacing from entry spacing', () => {
+  assert.strictEqual(splitTwoClasses([8, 9, 9, 10, 40, 44]), 4)
+  assert.strictEqual(splitTwoClasses([9, 9, 10, 11], 1.5), null)
+  assert.strictEqual(splitTwoClasses([12]), null)
+})